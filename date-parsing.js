@@ -0,0 +1,442 @@
+// --- Date Parsing ---
+// Reads dates in an explicit per-column format instead of trusting Date.parse, which reads
+// "03/04/2024" as March 4th whatever the file meant. Parsed values are stored as ISO 8601 text:
+// "2024-04-03" for calendar dates, "2024-04-03T14:30:00.000Z" for date-times (UTC instants) and
+// "14:30:00" for times of day. Shared by the main thread and the parse worker.
+
+// Formats a column can be read in, with the label shown to the user.
+export const DATE_FORMATS = {
+    ymd: 'YYYY-MM-DD',
+    dmy: 'DD/MM/YYYY',
+    mdy: 'MM/DD/YYYY',
+    named: 'D MMM YYYY',
+    time: 'HH:MM'
+};
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const TIME_PART = '(?:(?:T|\\s+|\\s*,\\s*)(?<hour>\\d{1,2}):(?<minute>\\d{2})(?::(?<second>\\d{2})(?:[.,](?<fraction>\\d{1,9}))?)?\\s*(?<meridiem>[AaPp]\\.?[Mm]\\.?)?)?\\s*(?<zone>Z|[+-]\\d{2}:?\\d{2}|UTC|GMT)?';
+const NUMERIC_DATE = new RegExp(`^(?<a>\\d{1,4})(?<sep>[-/.])(?<b>\\d{1,2})\\k<sep>(?<c>\\d{1,4})${TIME_PART}$`);
+// "3 Apr 2024", "03-Apr-24", "Wednesday, 3rd April 2024"
+const DAY_FIRST_NAMED_DATE = new RegExp(`^(?:[A-Za-z]+,?\\s+)?(?<day>\\d{1,2})(?:st|nd|rd|th)?[\\s-]+(?<month>[A-Za-z]{3,})\\.?,?[\\s-]+(?<year>\\d{2}|\\d{4})${TIME_PART}$`);
+// "Apr 3, 2024", "Wednesday, April 3rd 2024"
+const MONTH_FIRST_NAMED_DATE = new RegExp(`^(?:[A-Za-z]+,?\\s+)?(?<month>[A-Za-z]{3,})\\.?\\s+(?<day>\\d{1,2})(?:st|nd|rd|th)?,?\\s+(?<year>\\d{4})${TIME_PART}$`);
+const TIME_OF_DAY = /^(?<hour>\d{1,2}):(?<minute>\d{2})(?::(?<second>\d{2})(?:[.,](?<fraction>\d{1,9}))?)?\s*(?<meridiem>[AaPp]\.?[Mm]\.?)?$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const ISO_TIME = /^(\d{2}):(\d{2}):(\d{2})$/;
+const EXCEL_EPOCH_OFFSET = 25569; // Days from Excel's 1900 epoch to 1970-01-01
+const EXCEL_1904_OFFSET = 1462; // Days between the 1900 and 1904 date systems
+const DAY_MS = 86400000;
+const formatters = new Map();
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Reads the wall-clock date and time of an instant in a timezone.
+ */
+function getWallClock(ms, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(ms)).forEach(({ type, value }) => { parts[type] = value; });
+    return {
+        year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+        hour: Number(parts.hour), minute: Number(parts.minute), second: Number(parts.second)
+    };
+}
+
+/**
+ * Converts a wall-clock time in a timezone to a UTC instant, accounting for daylight saving.
+ */
+function wallClockToUtc(wallMs, timeZone) {
+    const offsetAt = (ms) => {
+        const wall = getWallClock(ms, timeZone);
+        return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second) - Math.floor(ms / 1000) * 1000;
+    };
+    const guess = wallMs - offsetAt(wallMs);
+    return wallMs - offsetAt(guess);
+}
+
+function expandYear(year) {
+    if (year.length === 4) return Number(year);
+    if (year.length !== 2) return NaN;
+    const value = Number(year);
+    return value < 50 ? 2000 + value : 1900 + value; // "24" is 2024, "87" is 1987
+}
+
+// Accepts "Apr", "April" and "Sept", but not "Aprxyz".
+function readMonthName(name) {
+    const lower = name.toLowerCase();
+    const index = MONTH_NAMES.findIndex(month => month.startsWith(lower));
+    return index === -1 ? NaN : index + 1;
+}
+
+function readTime(groups) {
+    if (groups.hour === undefined) return null;
+    let hour = Number(groups.hour);
+    const minute = Number(groups.minute);
+    const second = groups.second ? Number(groups.second) : 0;
+    const millisecond = groups.fraction ? Math.round(Number(`0.${groups.fraction}`) * 1000) : 0;
+    if (groups.meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        const isPm = groups.meridiem[0].toLowerCase() === 'p';
+        hour = (hour % 12) + (isPm ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59 || second > 59) return null;
+    return { hour, minute, second, millisecond };
+}
+
+function readZoneOffset(zone) {
+    if (!zone) return null;
+    if (zone === 'Z' || zone === 'UTC' || zone === 'GMT') return 0;
+    const match = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return (match[1] === '-' ? -minutes : minutes) * 60000;
+}
+
+/**
+ * Splits a value into date and time parts according to a column format.
+ * @returns {Object|null} { year, month, day, time, zone } or null if the value doesn't fit the format.
+ */
+function readDateParts(text, format) {
+    if (format === 'time') {
+        const match = text.match(TIME_OF_DAY);
+        const time = match && readTime(match.groups);
+        return time ? { year: null, month: null, day: null, time, zone: null } : null;
+    }
+
+    let year, month, day, groups;
+    if (format === 'named') {
+        const match = text.match(DAY_FIRST_NAMED_DATE) || text.match(MONTH_FIRST_NAMED_DATE);
+        if (!match) return null;
+        groups = match.groups;
+        year = expandYear(groups.year);
+        month = readMonthName(groups.month);
+        day = Number(groups.day);
+    } else {
+        const match = text.match(NUMERIC_DATE);
+        if (!match) return null;
+        groups = match.groups;
+        const { a, b, c } = groups;
+        if (format === 'ymd') {
+            if (a.length !== 4 || c.length > 2) return null;
+            [year, month, day] = [Number(a), Number(b), Number(c)];
+        } else {
+            if (a.length > 2 || (c.length !== 2 && c.length !== 4)) return null;
+            year = expandYear(c);
+            [day, month] = format === 'dmy' ? [Number(a), Number(b)] : [Number(b), Number(a)];
+        }
+    }
+
+    if (!(month >= 1 && month <= 12) || !(year >= 1000)) return null;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (!(day >= 1 && day <= daysInMonth)) return null;
+
+    const time = readTime(groups);
+    if (groups.hour !== undefined && !time) return null;
+    return { year, month, day, time, zone: groups.zone || null };
+}
+
+/**
+ * Parses a date in a known format and returns it as ISO 8601 text.
+ * Date-times without a UTC offset are read as wall-clock times in the given timezone.
+ * @param {*} raw - The cell value.
+ * @param {string} format - One of the DATE_FORMATS keys.
+ * @param {string} timeZone - An IANA timezone, e.g. 'Europe/Berlin'.
+ * @returns {string|null} The ISO text, or null if the value is not a date in that format.
+ */
+export function parseDateText(raw, format, timeZone = 'UTC') {
+    if (raw === null || raw === undefined) return null;
+    const text = String(raw).trim();
+    if (text === '') return null;
+
+    const parts = readDateParts(text, format);
+    if (!parts) return null;
+    const { year, month, day, time, zone } = parts;
+
+    if (year === null) return `${pad(time.hour)}:${pad(time.minute)}:${pad(time.second)}`;
+    if (!time) return `${year}-${pad(month)}-${pad(day)}`;
+
+    const wallMs = Date.UTC(year, month - 1, day, time.hour, time.minute, time.second, time.millisecond);
+    const offset = readZoneOffset(zone);
+    const utcMs = offset === null ? wallClockToUtc(wallMs, timeZone) : wallMs - offset;
+    return new Date(utcMs).toISOString();
+}
+
+/**
+ * Finds the format that reads the most values of a column as dates.
+ * When day-first and month-first read the same values (every day is 12 or less), the column is
+ * ambiguous and the preferred order wins; both are returned as alternatives so the user can choose.
+ * @param {Array} values - Non-empty sample values of the column.
+ * @param {string} preferredOrder - 'dmy' or 'mdy', used to break a tie.
+ * @returns {Object|null} { format, ratio, alternatives }, or null if no value is a date.
+ */
+export function detectDateFormat(values, preferredOrder = 'dmy') {
+    const texts = values.filter(value => typeof value === 'string').map(value => value.trim());
+    if (texts.length === 0) return null;
+
+    const counts = {};
+    Object.keys(DATE_FORMATS).forEach(format => {
+        counts[format] = texts.filter(text => readDateParts(text, format)).length;
+    });
+
+    const best = Math.max(...Object.values(counts));
+    if (best === 0) return null;
+    const candidates = Object.keys(counts).filter(format => counts[format] === best);
+    const format = candidates.includes(preferredOrder) ? preferredOrder : candidates[0];
+    const alternatives = candidates.filter(c => c === 'dmy' || c === 'mdy');
+    return { format, ratio: best / texts.length, alternatives: alternatives.length > 1 ? alternatives : [] };
+}
+
+/**
+ * Converts an Excel serial date (days since 1900, or 1904 on old Mac workbooks) into ISO text.
+ * Excel date-times carry no timezone, so date-times come back without one.
+ * @param {number} serial - The cell's numeric value.
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system.
+ * @returns {string|null} "YYYY-MM-DD", "YYYY-MM-DDTHH:MM:SS" or "HH:MM:SS" (for times of day).
+ */
+export function excelSerialToIso(serial, date1904 = false) {
+    if (typeof serial !== 'number' || !Number.isFinite(serial) || serial < 0) return null;
+    let days = serial;
+    if (date1904) {
+        days += EXCEL_1904_OFFSET;
+    } else if (days < 60) {
+        days += 1; // Excel counts a February 29th 1900 that never existed
+    }
+
+    const date = new Date(Math.round((days - EXCEL_EPOCH_OFFSET) * DAY_MS / 1000) * 1000);
+    const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+    if (serial < 1) return time;
+    const isoDate = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    return time === '00:00:00' ? isoDate : `${isoDate}T${time}`;
+}
+
+/**
+ * Splits a stored temporal value into calendar parts, reading instants in the given timezone.
+ * Times of day have no date parts and year columns (2023) have only a year.
+ * @param {*} value - An ISO date, date-time or time, or a year number.
+ * @param {string} timeZone - An IANA timezone.
+ * @returns {Object|null} { year, month, day, hour, minute, second, dayOfWeek } (missing parts are null).
+ */
+export function getDateParts(value, timeZone = 'UTC') {
+    const empty = { year: null, month: null, day: null, hour: null, minute: null, second: null, dayOfWeek: null };
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && value >= 1000 && value <= 9999 ? { ...empty, year: value } : null;
+    }
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+
+    let match = text.match(ISO_DATE);
+    if (match) {
+        const [year, month, day] = match.slice(1).map(Number);
+        return { ...empty, year, month, day, dayOfWeek: new Date(Date.UTC(year, month - 1, day)).getUTCDay() };
+    }
+    match = text.match(ISO_TIME);
+    if (match) {
+        const [hour, minute, second] = match.slice(1).map(Number);
+        return { ...empty, hour, minute, second };
+    }
+    if (/^\d{4}$/.test(text)) return { ...empty, year: Number(text) };
+
+    // Date-times without an offset are already wall-clock times; instants are read in the timezone.
+    match = text.match(ISO_DATE_TIME);
+    let wall;
+    if (match && !match[7]) {
+        const [year, month, day, hour, minute] = match.slice(1, 6).map(Number);
+        wall = { year, month, day, hour, minute, second: Number(match[6] || 0) };
+    } else {
+        const ms = Date.parse(text);
+        if (isNaN(ms)) return null;
+        wall = getWallClock(ms, timeZone);
+    }
+    return { ...wall, dayOfWeek: new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay() };
+}
+
+/**
+ * Gives a stored temporal value a sortable number: milliseconds since 1970 for dates, date-times
+ * and years, or since midnight for times of day.
+ * @returns {number|null} The timestamp, or null if the value is not in a stored date form.
+ */
+export function toTimestamp(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && value >= 1000 && value <= 9999 ? Date.UTC(value, 0, 1) : null;
+    }
+    if (typeof value !== 'string') return null;
+    const text = value.trim();
+    if (/^\d{4}$/.test(text)) return Date.UTC(Number(text), 0, 1);
+    const time = text.match(ISO_TIME);
+    if (time) return ((Number(time[1]) * 60 + Number(time[2])) * 60 + Number(time[3])) * 1000;
+    const dateTime = text.match(ISO_DATE_TIME);
+    if (ISO_DATE.test(text) || dateTime) {
+        // Date.parse reads date-times without an offset as local time but dates as UTC; reading
+        // wall-clock date-times as UTC too keeps them on the same scale as dates.
+        const ms = dateTime && !dateTime[7] ? Date.parse(`${text}Z`) : Date.parse(text);
+        return isNaN(ms) ? null : ms;
+    }
+    return null;
+}
+
+// Calendar arithmetic on stored values. Date-times are placed on the calendar of the given timezone.
+
+export const DATE_UNITS = ['minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
+export const DATE_PERIODS = ['day', 'week', 'month', 'quarter', 'year', 'fiscal_quarter', 'fiscal_year'];
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: DAY_MS, week: 7 * DAY_MS };
+const MONTHS_PER_UNIT = { month: 1, quarter: 3, year: 12 };
+
+const isoDate = (year, month, day) => `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+
+/**
+ * Reads the calendar date of a UTC midnight timestamp, letting Date.UTC roll days and months over.
+ */
+function utcDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Places a calendar month in a fiscal year that starts in `startMonth` (1 = January). Fiscal years
+ * are named after the calendar year they end in, so with an April start April 2024 is the first
+ * month of FY2025.
+ * @returns {Object} { fiscalYear, fiscalQuarter, fiscalMonth }.
+ */
+export function getFiscalPeriod(year, month, startMonth = 1) {
+    const fiscalMonth = ((month - startMonth + 12) % 12) + 1;
+    const fiscalYear = startMonth === 1 || month < startMonth ? year : year + 1;
+    return { fiscalYear, fiscalQuarter: Math.ceil(fiscalMonth / 3), fiscalMonth };
+}
+
+/**
+ * The ISO 8601 week of a date: weeks start on Monday and week 1 holds the year's first Thursday,
+ * so the first days of January can belong to the previous year's last week.
+ * @returns {Object} { year, week }.
+ */
+export function getIsoWeek(year, month, day) {
+    const dayOfWeek = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7; // 0 = Monday
+    const thursday = utcDate(year, month, day - dayOfWeek + 3);
+    const week = Math.floor((Date.UTC(thursday.year, thursday.month - 1, thursday.day) - Date.UTC(thursday.year, 0, 1)) / (7 * DAY_MS)) + 1;
+    return { year: thursday.year, week };
+}
+
+/**
+ * Finds the first day of the period a stored temporal value falls in, as an ISO date: its day,
+ * week, month, quarter or year, or its fiscal quarter or year. Year numbers (2023) only truncate
+ * to years; times of day have no period.
+ * @param {*} value - An ISO date or date-time, or a year number.
+ * @param {string} period - One of DATE_PERIODS.
+ * @param {string} timeZone - The timezone whose calendar instants are placed on.
+ * @param {Object} options - { weekStart: 'monday' | 'sunday', fiscalYearStartMonth }.
+ * @returns {string|null} "YYYY-MM-DD", or null if the value is not a date.
+ */
+export function truncateDate(value, period, timeZone = 'UTC', options = {}) {
+    if (!DATE_PERIODS.includes(period)) throw new Error(`Unknown period "${period}". Use one of: ${DATE_PERIODS.join(', ')}`);
+    const parts = getDateParts(value, timeZone);
+    if (!parts || parts.year === null) return null;
+    const { year, month, day, dayOfWeek } = parts;
+    if (month === null) return period === 'year' ? isoDate(year, 1, 1) : null;
+
+    const { weekStart = 'monday', fiscalYearStartMonth = 1 } = options;
+    let start;
+    switch (period) {
+        case 'day': start = { year, month, day }; break;
+        case 'week': start = utcDate(year, month, day - (weekStart === 'sunday' ? dayOfWeek : (dayOfWeek + 6) % 7)); break;
+        case 'month': start = { year, month, day: 1 }; break;
+        case 'quarter': start = { year, month: month - (month - 1) % 3, day: 1 }; break;
+        case 'year': start = { year, month: 1, day: 1 }; break;
+        default: {
+            const { fiscalMonth } = getFiscalPeriod(year, month, fiscalYearStartMonth);
+            const monthsBack = period === 'fiscal_year' ? fiscalMonth - 1 : (fiscalMonth - 1) % 3;
+            start = utcDate(year, month - monthsBack, 1);
+        }
+    }
+    return isoDate(start.year, start.month, start.day);
+}
+
+/**
+ * Adds a whole number of units to a stored temporal value, keeping its form: dates stay ISO dates,
+ * instants stay instants and date-times without an offset stay that way. Months, quarters and years
+ * keep the day of the month, or use the month's last day when it is shorter (Jan 31 + 1 month is
+ * Feb 28 or 29). Days and longer are added on the timezone's calendar, so a date-time keeps its
+ * time of day across daylight saving changes. Minutes and hours only apply to date-times, and year
+ * numbers (2023) only take years.
+ * @param {*} value - An ISO date or date-time, or a year number.
+ * @param {number} amount - The number of units to add; negative to subtract.
+ * @param {string} unit - One of DATE_UNITS.
+ * @returns {*} The shifted value, or null if the value is not a date or the unit doesn't apply.
+ */
+export function addToDate(value, amount, unit, timeZone = 'UTC') {
+    if (!DATE_UNITS.includes(unit)) throw new Error(`Unknown date unit "${unit}". Use one of: ${DATE_UNITS.join(', ')}`);
+    if (!Number.isInteger(amount) || value === null || value === undefined) return null;
+    const text = String(value).trim();
+    if (typeof value === 'number' || /^\d{4}$/.test(text)) {
+        if (unit !== 'year' || !getDateParts(value)) return null;
+        return typeof value === 'number' ? value + amount : String(Number(text) + amount);
+    }
+
+    const dateTime = text.match(ISO_DATE_TIME);
+    if (!ISO_DATE.test(text) && !dateTime) return null;
+    const hasOffset = Boolean(dateTime && dateTime[7]);
+    const format = (ms) => hasOffset ? new Date(ms).toISOString() : new Date(ms).toISOString().slice(0, 19);
+
+    if (unit === 'minute' || unit === 'hour') {
+        if (!dateTime) return null;
+        // Instants move on the clock; wall-clock times are read as they are written.
+        const ms = hasOffset ? Date.parse(text) : Date.parse(`${text}Z`);
+        return isNaN(ms) ? null : format(ms + amount * UNIT_MS[unit]);
+    }
+
+    const parts = getDateParts(text, timeZone);
+    if (!parts) return null;
+    let shifted;
+    if (unit === 'day' || unit === 'week') {
+        shifted = utcDate(parts.year, parts.month, parts.day + amount * (unit === 'week' ? 7 : 1));
+    } else {
+        const months = parts.year * 12 + parts.month - 1 + amount * MONTHS_PER_UNIT[unit];
+        const year = Math.floor(months / 12);
+        const month = months - year * 12 + 1;
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        shifted = { year, month, day: Math.min(parts.day, lastDay) };
+    }
+    if (!dateTime) return isoDate(shifted.year, shifted.month, shifted.day);
+
+    const wallMs = Date.UTC(shifted.year, shifted.month - 1, shifted.day, parts.hour, parts.minute, parts.second);
+    return format(hasOffset ? wallClockToUtc(wallMs, timeZone) : wallMs);
+}
+
+/**
+ * Counts the whole units from one stored temporal value to another, negative when the end is
+ * earlier. Months, quarters and years count whole calendar months, like birthdays, with the same
+ * end-of-month rule as addToDate: 2024-01-31 to 2024-02-29 is 1 month, to 2024-02-28 is 0.
+ * Shorter units count elapsed time.
+ * @param {string} unit - One of DATE_UNITS.
+ * @returns {number|null} The difference, or null if either value is not a date.
+ */
+export function diffDates(start, end, unit = 'day', timeZone = 'UTC') {
+    if (!DATE_UNITS.includes(unit)) throw new Error(`Unknown date unit "${unit}". Use one of: ${DATE_UNITS.join(', ')}`);
+    if (MONTHS_PER_UNIT[unit]) {
+        const from = getDateParts(start, timeZone);
+        const to = getDateParts(end, timeZone);
+        if (!from || !to || from.year === null || to.year === null) return null;
+        let months = (to.year - from.year) * 12 + ((to.month ?? 1) - (from.month ?? 1));
+        // The start's day lands in the end month the way addToDate clamps it, so Jan 31 + 1 month
+        // is Feb 29 and counts as a whole month.
+        const lastDay = new Date(Date.UTC(to.year, to.month ?? 1, 0)).getUTCDate();
+        const anniversary = Math.min(from.day ?? 1, lastDay);
+        if (months > 0 && (to.day ?? 1) < anniversary) months--;
+        if (months < 0 && (to.day ?? 1) > anniversary) months++;
+        return Math.trunc(months / MONTHS_PER_UNIT[unit]) || 0; // No -0 for less than a quarter back
+    }
+    const startTime = toTimestamp(start);
+    const endTime = toTimestamp(end);
+    if (startTime === null || endTime === null) return null;
+    return Math.trunc((endTime - startTime) / UNIT_MS[unit]);
+}
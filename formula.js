@@ -0,0 +1,528 @@
+import { parseNumberText } from "./number-parsing.js";
+import { getDateParts, diffDates, DATE_UNITS } from "./date-parsing.js";
+
+// --- Formula Language ---
+// A small expression language for calculated columns, e.g. "(Revenue - Cost) / Revenue * 100",
+// "IF([Unit Price] > 100, 'premium', 'standard')" or "DATEDIFF([Order Date], [Ship Date])".
+// Formulas are parsed once into a tree that is walked for every row, so no text from the user
+// or the AI is ever run as JavaScript.
+//
+// Syntax:
+// - Columns by name: Revenue, or [Unit Price] for names with spaces or symbols ("]]" escapes "]").
+// - Text in single or double quotes (a doubled quote escapes it), numbers, TRUE, FALSE and NULL.
+// - Operators, loosest first: OR (||), AND (&&), NOT (!), = != <> < <= > >=, & (joins text),
+//   + -, * / %, ^ (power), and unary minus.
+// - Empty cells are NULL. Arithmetic with NULL gives NULL, so COALESCE can supply a default.
+
+const OPERATORS = ['<=', '>=', '<>', '!=', '==', '&&', '||', '+', '-', '*', '/', '%', '^', '&', '=', '<', '>', '!', '(', ')', ','];
+const BINARY_POWER = {
+    OR: 1, AND: 2,
+    '=': 4, '!=': 4, '<': 4, '<=': 4, '>': 4, '>=': 4,
+    '&': 5, '+': 6, '-': 6, '*': 7, '/': 7, '%': 7, '^': 9
+};
+const OPERATOR_ALIASES = { '==': '=', '<>': '!=', '&&': 'AND', '||': 'OR' };
+const NOT_POWER = 3;
+const NEGATE_POWER = 8;
+const KEYWORDS = ['AND', 'OR', 'NOT', 'TRUE', 'FALSE', 'NULL'];
+
+function formulaError(message, position) {
+    return new Error(`${message} (at character ${position + 1}).`);
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    // Reads quoted text or a [column name] up to its closing mark; a doubled mark stands for itself.
+    const readQuoted = (close, unclosedMessage) => {
+        const start = i;
+        let text = '';
+        i++;
+        for (;;) {
+            if (i >= source.length) throw formulaError(unclosedMessage, start);
+            if (source[i] === close) {
+                if (source[i + 1] !== close) break;
+                text += close;
+                i += 2;
+            } else {
+                text += source[i++];
+            }
+        }
+        i++;
+        return text;
+    };
+
+    while (i < source.length) {
+        const ch = source[i];
+        const start = i;
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        const number = source.slice(i).match(/^(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i);
+        if (number) {
+            tokens.push({ type: 'number', value: Number(number[0]), start, end: i + number[0].length });
+            i += number[0].length;
+        } else if (ch === '"' || ch === "'") {
+            const value = readQuoted(ch, 'Text is missing its closing quote');
+            tokens.push({ type: 'string', value, start, end: i });
+        } else if (ch === '[') {
+            const value = readQuoted(']', 'Column name is missing its closing "]"');
+            tokens.push({ type: 'column', value, start, end: i });
+        } else {
+            const word = source.slice(i).match(/^[\p{L}_][\p{L}\p{N}_.]*/u);
+            if (word) {
+                tokens.push({ type: 'word', value: word[0], start, end: i + word[0].length });
+                i += word[0].length;
+                continue;
+            }
+            const op = OPERATORS.find(candidate => source.startsWith(candidate, i));
+            if (!op) throw formulaError(`Unexpected character "${ch}"`, start);
+            tokens.push({ type: 'operator', value: op, start, end: i + op.length });
+            i += op.length;
+        }
+    }
+    tokens.push({ type: 'end', start: source.length, end: source.length });
+    return tokens;
+}
+
+/**
+ * Parses a formula into a tree of { type: 'literal' | 'column' | 'call' | 'unary' | 'binary' } nodes.
+ * @throws {Error} On a syntax error, naming the character it was found at.
+ */
+function parse(source) {
+    const tokens = tokenize(source);
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isOperator = (token, value) => token.type === 'operator' && token.value === value;
+    const describe = (token) => token.type === 'end' ? 'the end of the formula' : `"${source.slice(token.start, token.end)}"`;
+
+    const infixOperator = (token) => {
+        if (token.type === 'operator') {
+            const op = OPERATOR_ALIASES[token.value] || token.value;
+            return BINARY_POWER[op] ? op : null;
+        }
+        if (token.type === 'word') {
+            const word = token.value.toUpperCase();
+            return word === 'AND' || word === 'OR' ? word : null;
+        }
+        return null;
+    };
+
+    const parsePrefix = () => {
+        const token = next();
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'column') {
+            return { type: 'column', name: token.value, start: token.start };
+        }
+        if (token.type === 'word') {
+            const word = token.value.toUpperCase();
+            if (word === 'TRUE' || word === 'FALSE') return { type: 'literal', value: word === 'TRUE' };
+            if (word === 'NULL') return { type: 'literal', value: null };
+            if (word === 'NOT') return { type: 'unary', op: 'NOT', operand: parseExpression(NOT_POWER) };
+            if (isOperator(peek(), '(')) return parseCall(token);
+            if (KEYWORDS.includes(word)) throw formulaError(`Expected a value but found ${describe(token)}`, token.start);
+            return { type: 'column', name: token.value, start: token.start };
+        }
+        if (isOperator(token, '-') || isOperator(token, '+')) {
+            return { type: 'unary', op: token.value, operand: parseExpression(NEGATE_POWER) };
+        }
+        if (isOperator(token, '!')) {
+            return { type: 'unary', op: 'NOT', operand: parseExpression(NOT_POWER) };
+        }
+        if (isOperator(token, '(')) {
+            const inner = parseExpression(0);
+            const close = next();
+            if (!isOperator(close, ')')) throw formulaError(`Expected ")" but found ${describe(close)}`, close.start);
+            return inner;
+        }
+        if (token.type === 'end') throw formulaError('The formula ends too early', token.start);
+        throw formulaError(`Expected a value but found ${describe(token)}`, token.start);
+    };
+
+    const parseCall = (nameToken) => {
+        const name = nameToken.value.toUpperCase();
+        const definition = FUNCTIONS[name];
+        if (!definition) {
+            throw formulaError(`Unknown function "${nameToken.value}". Available functions: ${Object.keys(FUNCTIONS).join(', ')}`, nameToken.start);
+        }
+        next(); // (
+        const args = [];
+        if (!isOperator(peek(), ')')) {
+            for (;;) {
+                args.push(parseExpression(0));
+                const separator = next();
+                if (isOperator(separator, ')')) break;
+                if (!isOperator(separator, ',')) throw formulaError(`Expected "," or ")" but found ${describe(separator)}`, separator.start);
+            }
+        } else {
+            next();
+        }
+        const [min, max] = definition.args;
+        if (args.length < min || args.length > max) {
+            const expected = min === max ? `${min}` : (max === Infinity ? `at least ${min}` : `${min} to ${max}`);
+            throw formulaError(`${name} takes ${expected} argument(s) but got ${args.length}`, nameToken.start);
+        }
+        return { type: 'call', name, args };
+    };
+
+    const parseExpression = (minPower) => {
+        let left = parsePrefix();
+        for (;;) {
+            const op = infixOperator(peek());
+            if (!op || BINARY_POWER[op] <= minPower) break;
+            next();
+            // Powers group to the right: 2^3^2 is 2^(3^2).
+            const right = parseExpression(op === '^' ? BINARY_POWER[op] - 1 : BINARY_POWER[op]);
+            left = { type: 'binary', op, left, right };
+        }
+        return left;
+    };
+
+    const tree = parseExpression(0);
+    const rest = peek();
+    if (rest.type !== 'end') {
+        const hint = rest.type === 'word' || rest.type === 'number' ? '. Wrap column names with spaces in [brackets]' : '';
+        throw formulaError(`Unexpected ${describe(rest)}${hint}`, rest.start);
+    }
+    return { tree, tokens };
+}
+
+// --- Values ---
+
+const isEmpty = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+function toNumber(value) {
+    if (isEmpty(value)) return null;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const parsed = parseNumberText(value);
+    if (!parsed) throw new Error(`"${value}" is not a number`);
+    return parsed.value;
+}
+
+function toText(value) {
+    return isEmpty(value) ? '' : String(value);
+}
+
+function isTruthy(value) {
+    if (isEmpty(value)) return false;
+    if (typeof value === 'number') return value !== 0;
+    if (typeof value === 'boolean') return value;
+    return !['false', 'no', 'n', '0'].includes(String(value).trim().toLowerCase());
+}
+
+function checkNumber(result) {
+    if (result !== null && !Number.isFinite(result)) throw new Error('The result is not a finite number');
+    return result;
+}
+
+/**
+ * Multiplies by 10^places through the decimal text rather than binary arithmetic, so
+ * 1.005 shifts to exactly 100.5. Values already in exponent form, like 1e-7, have their
+ * exponent adjusted instead.
+ */
+function shiftDecimal(num, places) {
+    const [mantissa, exponent = '0'] = String(num).split('e');
+    return Number(`${mantissa}e${Number(exponent) + places}`);
+}
+
+/**
+ * Compares two values: as numbers when both read as numbers, otherwise as text.
+ * Dates are stored as ISO text, so they compare correctly as text.
+ */
+function compareValues(a, b) {
+    const asNumber = (value) => {
+        if (typeof value === 'number' || typeof value === 'boolean') return Number(value);
+        const parsed = parseNumberText(value);
+        return parsed ? parsed.value : null;
+    };
+    const numA = asNumber(a);
+    const numB = asNumber(b);
+    if (numA !== null && numB !== null) return numA === numB ? 0 : (numA < numB ? -1 : 1);
+    const textA = String(a);
+    const textB = String(b);
+    return textA === textB ? 0 : (textA < textB ? -1 : 1);
+}
+
+function dateParts(value, context) {
+    if (isEmpty(value)) return null;
+    const parts = getDateParts(value, context.timeZone);
+    if (!parts) throw new Error(`"${value}" is not a date`);
+    return parts;
+}
+
+function datePart(key) {
+    return (args, context) => {
+        const parts = dateParts(args[0], context);
+        return parts ? parts[key] ?? null : null;
+    };
+}
+
+function padDate(year, month, day) {
+    return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function dateDiff(args, context) {
+    const [start, end, unit = 'day'] = args;
+    if (isEmpty(start) || isEmpty(end)) return null;
+    const unitName = String(unit).toLowerCase().replace(/s$/, '');
+    if (!DATE_UNITS.includes(unitName)) throw new Error(`Unknown date unit "${unit}". Use ${DATE_UNITS.join(', ')}`);
+    const difference = diffDates(start, end, unitName, context.timeZone);
+    if (difference === null) {
+        const isDate = (value) => getDateParts(value, context.timeZone) !== null;
+        throw new Error(`"${isDate(start) ? end : start}" is not a date`);
+    }
+    return difference;
+}
+
+/**
+ * The functions formulas can call. `args` is the [min, max] argument count. Lazy functions get
+ * argument thunks so that only the branch that is used is evaluated: IF(Qty = 0, 0, Total / Qty)
+ * never divides by zero.
+ */
+const FUNCTIONS = {
+    // Logic
+    IF: { args: [2, 3], lazy: true, fn: ([condition, then, otherwise]) => isTruthy(condition()) ? then() : (otherwise ? otherwise() : null) },
+    CASE: {
+        args: [2, Infinity], lazy: true,
+        fn: (args) => {
+            // CASE(condition1, result1, condition2, result2, ..., [otherwise])
+            for (let i = 0; i + 1 < args.length; i += 2) {
+                if (isTruthy(args[i]())) return args[i + 1]();
+            }
+            return args.length % 2 === 1 ? args[args.length - 1]() : null;
+        }
+    },
+    COALESCE: {
+        args: [1, Infinity], lazy: true,
+        fn: (args) => {
+            for (const arg of args) {
+                const value = arg();
+                if (!isEmpty(value)) return value;
+            }
+            return null;
+        }
+    },
+    ISBLANK: { args: [1, 1], fn: ([value]) => isEmpty(value) },
+
+    // Math
+    ROUND: {
+        args: [1, 2],
+        fn: ([value, digits = 0]) => {
+            const num = toNumber(value);
+            if (num === null) return null;
+            const places = Math.trunc(toNumber(digits) || 0);
+            // Shifting by exponent avoids binary rounding errors, e.g. ROUND(1.005, 2) = 1.01.
+            const shifted = shiftDecimal(num, places);
+            // Only values too large to have any decimals overflow, so there is nothing to round.
+            if (!Number.isFinite(shifted)) return num;
+            return shiftDecimal(Math.round(shifted), -places);
+        }
+    },
+    ABS: { args: [1, 1], fn: ([value]) => { const num = toNumber(value); return num === null ? null : Math.abs(num); } },
+    FLOOR: { args: [1, 1], fn: ([value]) => { const num = toNumber(value); return num === null ? null : Math.floor(num); } },
+    CEIL: { args: [1, 1], fn: ([value]) => { const num = toNumber(value); return num === null ? null : Math.ceil(num); } },
+    SQRT: {
+        args: [1, 1],
+        fn: ([value]) => {
+            const num = toNumber(value);
+            if (num !== null && num < 0) throw new Error('SQRT of a negative number');
+            return num === null ? null : Math.sqrt(num);
+        }
+    },
+    POWER: { args: [2, 2], fn: ([base, exponent]) => binary('^', base, exponent) },
+    MOD: { args: [2, 2], fn: ([value, divisor]) => binary('%', value, divisor) },
+    MIN: { args: [1, Infinity], fn: (args) => extreme(args, Math.min) },
+    MAX: { args: [1, Infinity], fn: (args) => extreme(args, Math.max) },
+
+    // Text
+    CONCAT: { args: [1, Infinity], fn: (args) => args.map(toText).join('') },
+    UPPER: { args: [1, 1], fn: ([value]) => isEmpty(value) ? null : String(value).toUpperCase() },
+    LOWER: { args: [1, 1], fn: ([value]) => isEmpty(value) ? null : String(value).toLowerCase() },
+    TRIM: { args: [1, 1], fn: ([value]) => isEmpty(value) ? null : String(value).trim() },
+    LEN: { args: [1, 1], fn: ([value]) => toText(value).length },
+    LEFT: { args: [1, 2], fn: ([value, count = 1]) => isEmpty(value) ? null : String(value).slice(0, Math.max(0, toNumber(count))) },
+    RIGHT: {
+        args: [1, 2],
+        fn: ([value, count = 1]) => {
+            const n = Math.max(0, toNumber(count));
+            return isEmpty(value) ? null : (n === 0 ? '' : String(value).slice(-n));
+        }
+    },
+    MID: {
+        args: [3, 3],
+        fn: ([value, start, count]) => {
+            if (isEmpty(value)) return null;
+            const from = Math.max(1, toNumber(start)) - 1; // Positions start at 1, as in spreadsheets
+            return String(value).slice(from, from + Math.max(0, toNumber(count)));
+        }
+    },
+    REPLACE: { args: [3, 3], fn: ([value, find, replacement]) => isEmpty(value) ? null : String(value).split(toText(find)).join(toText(replacement)) },
+    CONTAINS: { args: [2, 2], fn: ([value, find]) => toText(value).toLowerCase().includes(toText(find).toLowerCase()) },
+    TEXT: { args: [1, 1], fn: ([value]) => isEmpty(value) ? null : String(value) },
+    NUMBER: { args: [1, 1], fn: ([value]) => toNumber(value) },
+
+    // Dates
+    YEAR: { args: [1, 1], fn: datePart('year') },
+    MONTH: { args: [1, 1], fn: datePart('month') },
+    DAY: { args: [1, 1], fn: datePart('day') },
+    HOUR: { args: [1, 1], fn: datePart('hour') },
+    MINUTE: { args: [1, 1], fn: datePart('minute') },
+    WEEKDAY: { args: [1, 1], fn: datePart('dayOfWeek') }, // 0 = Sunday, 6 = Saturday
+    DATE: {
+        args: [3, 3],
+        fn: (args) => {
+            const [year, month, day] = args.map(toNumber);
+            if ([year, month, day].includes(null)) return null;
+            // Out-of-range parts roll over as in spreadsheets: DATE(2024, 13, 1) is 2025-01-01.
+            const date = new Date(Date.UTC(year, month - 1, day));
+            return padDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+        }
+    },
+    DATEDIFF: { args: [2, 3], fn: dateDiff },
+    TODAY: {
+        args: [0, 0],
+        fn: (args, context) => {
+            const parts = getDateParts(new Date().toISOString(), context.timeZone);
+            return padDate(parts.year, parts.month, parts.day);
+        }
+    },
+    NOW: { args: [0, 0], fn: () => new Date().toISOString() }
+};
+
+function extreme(args, pick) {
+    const numbers = args.map(toNumber).filter(num => num !== null);
+    return numbers.length > 0 ? pick(...numbers) : null;
+}
+
+function binary(op, leftValue, rightValue) {
+    if (op === '&') return toText(leftValue) + toText(rightValue);
+    if (['=', '!=', '<', '<=', '>', '>='].includes(op)) {
+        // An empty cell only equals another empty cell, and is neither less nor greater than anything.
+        if (isEmpty(leftValue) || isEmpty(rightValue)) {
+            const bothEmpty = isEmpty(leftValue) && isEmpty(rightValue);
+            if (op === '=') return bothEmpty;
+            if (op === '!=') return !bothEmpty;
+            return false;
+        }
+        const order = compareValues(leftValue, rightValue);
+        return { '=': order === 0, '!=': order !== 0, '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[op];
+    }
+
+    const a = toNumber(leftValue);
+    const b = toNumber(rightValue);
+    if (a === null || b === null) return null;
+    switch (op) {
+        case '+': return checkNumber(a + b);
+        case '-': return checkNumber(a - b);
+        case '*': return checkNumber(a * b);
+        case '/':
+            if (b === 0) throw new Error('Division by zero');
+            return checkNumber(a / b);
+        case '%':
+            if (b === 0) throw new Error('Division by zero');
+            return checkNumber(a % b);
+        case '^': return checkNumber(a ** b);
+    }
+    throw new Error(`Unknown operator "${op}"`);
+}
+
+function evaluateNode(node, row, context) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'column': {
+            const value = row[node.column];
+            return value === undefined ? null : value;
+        }
+        case 'unary': {
+            const value = evaluateNode(node.operand, row, context);
+            if (node.op === 'NOT') return !isTruthy(value);
+            const num = toNumber(value);
+            return num === null ? null : (node.op === '-' ? -num : num);
+        }
+        case 'binary': {
+            if (node.op === 'AND') return isTruthy(evaluateNode(node.left, row, context)) && isTruthy(evaluateNode(node.right, row, context));
+            if (node.op === 'OR') return isTruthy(evaluateNode(node.left, row, context)) || isTruthy(evaluateNode(node.right, row, context));
+            return binary(node.op, evaluateNode(node.left, row, context), evaluateNode(node.right, row, context));
+        }
+        case 'call': {
+            const definition = FUNCTIONS[node.name];
+            const args = definition.lazy
+                ? node.args.map(arg => () => evaluateNode(arg, row, context))
+                : node.args.map(arg => evaluateNode(arg, row, context));
+            return definition.fn(args, context);
+        }
+    }
+    throw new Error(`Unknown formula node "${node.type}"`);
+}
+
+function collectColumnNodes(node, found = []) {
+    if (node.type === 'column') found.push(node);
+    if (node.operand) collectColumnNodes(node.operand, found);
+    if (node.left) collectColumnNodes(node.left, found);
+    if (node.right) collectColumnNodes(node.right, found);
+    if (node.args) node.args.forEach(arg => collectColumnNodes(arg, found));
+    return found;
+}
+
+/**
+ * Compiles a formula against a dataset's columns. Column names match exactly, or else ignoring case.
+ * @param {string} source - The formula text.
+ * @param {Array<string>} fields - The dataset's columns.
+ * @param {Object} options - { timeZone }: the timezone date functions read date-times in.
+ * @returns {Object} { references, evaluate(row) }: the columns used, and a function returning the
+ *   row's value that throws an Error explaining why the row could not be calculated.
+ * @throws {Error} If the formula has a syntax error or names an unknown column.
+ */
+export function compileFormula(source, fields, options = {}) {
+    const { tree } = parse(String(source));
+    const references = [];
+    collectColumnNodes(tree).forEach(node => {
+        const lower = node.name.trim().toLowerCase();
+        const match = fields.find(field => field === node.name) || fields.find(field => field.trim().toLowerCase() === lower);
+        if (!match) {
+            throw formulaError(`Unknown column "${node.name}". Wrap names with spaces in [brackets]. Available columns: [${fields.join(', ')}]`, node.start);
+        }
+        node.column = match;
+        if (!references.includes(match)) references.push(match);
+    });
+
+    const context = { timeZone: options.timeZone || 'UTC' };
+    return {
+        references,
+        evaluate: (row) => {
+            const value = evaluateNode(tree, row, context);
+            return typeof value === 'number' ? checkNumber(value) : value;
+        }
+    };
+}
+
+/**
+ * Lists the column names a formula refers to, as written, without checking them against a dataset.
+ * @throws {Error} If the formula has a syntax error.
+ */
+export function getFormulaReferences(source) {
+    return Array.from(new Set(collectColumnNodes(parse(String(source)).tree).map(node => node.name)));
+}
+
+/**
+ * Rewrites the column references of a formula, leaving everything else as written.
+ * @param {string} source - The formula text.
+ * @param {Object} mapping - Old column name -> new column name.
+ * @returns {string} The formula with renamed columns written as [New Name].
+ */
+export function renameFormulaColumns(source, mapping) {
+    const { tree, tokens } = parse(String(source));
+    const starts = new Set(collectColumnNodes(tree).filter(node => mapping[node.name]).map(node => node.start));
+    let result = String(source);
+    tokens.filter(token => starts.has(token.start)).reverse().forEach(token => {
+        result = `${result.slice(0, token.start)}[${mapping[token.value].replace(/]/g, ']]')}]${result.slice(token.end)}`;
+    });
+    return result;
+}
@@ -4,6 +4,13 @@ import { GoogleGenAI, Chat } from "https://esm.run/@google/genai";
 import Papa from "https://esm.run/papaparse";
 import zoomPlugin from 'https://esm.run/chartjs-plugin-zoom';
 import * as XLSX from "https://esm.run/xlsx";
+import { tableFromIPC, tableToIPC, vectorFromArray, Table as ArrowTable, DataType, Float64, Utf8, Bool, TimestampMillisecond } from "https://esm.run/apache-arrow";
+import { parseNumberText, detectDecimalSeparator, createSeparatorNormalizer } from "./number-parsing.js";
+import { DATE_FORMATS, DATE_UNITS, DATE_PERIODS, parseDateText, detectDateFormat, excelSerialToIso, getDateParts, toTimestamp, getFiscalPeriod, getIsoWeek, truncateDate, addToDate, diffDates } from "./date-parsing.js";
+import { compileFormula, getFormulaReferences, renameFormulaColumns } from "./formula.js";
+
+// parquet-wasm ships a WebAssembly binary, so it is only fetched the first time a Parquet file is used.
+const PARQUET_WASM_URL = 'https://cdn.jsdelivr.net/npm/parquet-wasm@0.6.1/esm/parquet_wasm.js';
 
 // --- DOM Elements ---
 const uploadZone = document.getElementById('upload-zone');
@@ -18,16 +25,35 @@ const dataSummary = document.getElementById('data-summary');
 const fileNameEl = document.getElementById('file-name');
 const rowCountEl = document.getElementById('row-count');
 const colCountEl = document.getElementById('col-count');
+const sheetIndicator = document.getElementById('sheet-indicator');
+const activeSheetNameEl = document.getElementById('active-sheet-name');
+const sheetSelect = document.getElementById('sheet-select');
+const workspaceSection = document.getElementById('workspace-section');
+const datasetList = document.getElementById('dataset-list');
+const historySection = document.getElementById('history-section');
+const historyList = document.getElementById('history-list');
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
+const saveRecipeBtn = document.getElementById('save-recipe-btn');
+const applyRecipeBtn = document.getElementById('apply-recipe-btn');
+const recipeFileInput = document.getElementById('recipe-file-input');
+const addDatasetBtn = document.getElementById('add-dataset-btn');
 const menuBtn = document.getElementById('menu-btn');
 const dataSection = document.querySelector('.data-section');
 const sidebarBackdrop = document.getElementById('sidebar-backdrop');
 const exportOptions = document.getElementById('export-options');
 const exportCsvBtn = document.getElementById('export-csv-btn');
 const exportExcelBtn = document.getElementById('export-excel-btn');
+const exportParquetBtn = document.getElementById('export-parquet-btn');
+const timezoneSelect = document.getElementById('timezone-select');
 const sidebarAnalysisGuide = document.getElementById('sidebar-analysis-guide'); 
 const filterSection = document.getElementById('filter-section');
 const filterList = document.getElementById('filter-list');
 const clearFiltersBtn = document.getElementById('clear-filters-btn');
+const segmentNameInput = document.getElementById('segment-name-input');
+const saveSegmentBtn = document.getElementById('save-segment-btn');
+const segmentsSection = document.getElementById('segments-section');
+const segmentList = document.getElementById('segment-list');
 const stagingSection = document.getElementById('staging-section');
 const stagedFiltersList = document.getElementById('staged-filters-list');
 const applyFiltersBtn = document.getElementById('apply-filters-btn');
@@ -38,6 +64,51 @@ const welcomeUploadPrompt = document.getElementById('welcome-upload-prompt');
 const howToUseBtn = document.getElementById('how-to-use-btn');
 const helpModal = document.getElementById('help-modal');
 const closeHelpBtn = document.getElementById('close-help-btn');
+// Data Grid
+const openGridBtn = document.getElementById('open-grid-btn');
+const gridModal = document.getElementById('grid-modal');
+const closeGridBtn = document.getElementById('close-grid-btn');
+const gridSearch = document.getElementById('grid-search');
+const gridColumnsBtn = document.getElementById('grid-columns-btn');
+const gridColumnMenu = document.getElementById('grid-column-menu');
+const gridStatus = document.getElementById('grid-status');
+const gridViewport = document.getElementById('grid-viewport');
+const gridHeader = document.getElementById('grid-header');
+const gridBody = document.getElementById('grid-body');
+const gridRows = document.getElementById('grid-rows');
+const sheetPickerModal = document.getElementById('sheet-picker-modal');
+const sheetPickerSubtitle = document.getElementById('sheet-picker-subtitle');
+const sheetPickerList = document.getElementById('sheet-picker-list');
+const sheetPickerLoadBtn = document.getElementById('sheet-picker-load-btn');
+const closeSheetPickerBtn = document.getElementById('close-sheet-picker-btn');
+const jsonOptionsModal = document.getElementById('json-options-modal');
+const jsonOptionsSubtitle = document.getElementById('json-options-subtitle');
+const jsonExplodeSelect = document.getElementById('json-explode-select');
+const jsonOptionsLoadBtn = document.getElementById('json-options-load-btn');
+const closeJsonOptionsBtn = document.getElementById('close-json-options-btn');
+const recipeModal = document.getElementById('recipe-modal');
+const recipeSubtitle = document.getElementById('recipe-subtitle');
+const recipeMapping = document.getElementById('recipe-mapping');
+const recipeStepList = document.getElementById('recipe-step-list');
+const recipeRunBtn = document.getElementById('recipe-run-btn');
+const closeRecipeBtn = document.getElementById('close-recipe-btn');
+const csvImportModal = document.getElementById('csv-import-modal');
+const csvImportSubtitle = document.getElementById('csv-import-subtitle');
+const csvDelimiterSelect = document.getElementById('csv-delimiter-select');
+const csvQuoteSelect = document.getElementById('csv-quote-select');
+const csvEncodingSelect = document.getElementById('csv-encoding-select');
+const csvSkipRowsInput = document.getElementById('csv-skip-rows-input');
+const csvHeaderRowInput = document.getElementById('csv-header-row-input');
+const csvDecimalSelect = document.getElementById('csv-decimal-select');
+const csvPreview = document.getElementById('csv-preview');
+const csvLoadModeSection = document.getElementById('csv-load-mode-section');
+const csvImportLoadBtn = document.getElementById('csv-import-load-btn');
+const closeCsvImportBtn = document.getElementById('close-csv-import-btn');
+const loadModeFullOption = document.getElementById('load-mode-full');
+const loadModeFullNote = document.getElementById('load-mode-full-note');
+const stratifyColSelect = document.getElementById('stratify-col-select');
+const sampleSizeInput = document.getElementById('sample-size-input');
+const sampleIndicator = document.getElementById('sample-indicator');
 
 // Data Tools Elements
 const dataToolsSection = document.getElementById('data-tools-section');
@@ -49,6 +120,7 @@ const renameNewName = document.getElementById('rename-new-name');
 const toolRenameBtn = document.getElementById('tool-rename-btn');
 // Math Tool
 const mathNewName = document.getElementById('math-new-name');
+const mathFormula = document.getElementById('math-formula');
 const mathCol1 = document.getElementById('math-col1');
 const mathOp = document.getElementById('math-op');
 const mathCol2 = document.getElementById('math-col2');
@@ -57,7 +129,69 @@ const toolMathBtn = document.getElementById('tool-math-btn');
 const filterColSelect = document.getElementById('filter-col-select');
 const filterOp = document.getElementById('filter-op');
 const filterValue = document.getElementById('filter-value');
+const filterValueTo = document.getElementById('filter-value-to');
 const toolFilterAddBtn = document.getElementById('tool-filter-add-btn');
+const filterCancelEditBtn = document.getElementById('filter-cancel-edit-btn');
+// Clean Tool
+const cleanAction = document.getElementById('clean-action');
+const cleanColumnList = document.getElementById('clean-column-list');
+const cleanColumnsHint = document.getElementById('clean-columns-hint');
+const cleanOptions = document.querySelectorAll('.clean-option');
+const cleanFillMethod = document.getElementById('clean-fill-method');
+const cleanFillValue = document.getElementById('clean-fill-value');
+const cleanKeep = document.getElementById('clean-keep');
+const cleanCollapseSpaces = document.getElementById('clean-collapse-spaces');
+const cleanCase = document.getElementById('clean-case');
+const cleanCastType = document.getElementById('clean-cast-type');
+const toolCleanBtn = document.getElementById('tool-clean-btn');
+// Dates Tool
+const datesAction = document.getElementById('dates-action');
+const datesColumnLabel = document.getElementById('dates-column-label');
+const datesColumn = document.getElementById('dates-column');
+const datesEndColumn = document.getElementById('dates-end-column');
+const datesOptions = document.querySelectorAll('.dates-option');
+const datesPeriod = document.getElementById('dates-period');
+const datesWeekStart = document.getElementById('dates-week-start');
+const datesPart = document.getElementById('dates-part');
+const datesUnit = document.getElementById('dates-unit');
+const datesAmount = document.getElementById('dates-amount');
+const datesNewName = document.getElementById('dates-new-name');
+const fiscalStartSelect = document.getElementById('fiscal-start-select');
+const toolDatesBtn = document.getElementById('tool-dates-btn');
+// Text Tool
+const textAction = document.getElementById('text-action');
+const textOptions = document.querySelectorAll('.text-option');
+const textColumn = document.getElementById('text-column');
+const textColumnList = document.getElementById('text-column-list');
+const textDelimiter = document.getElementById('text-delimiter');
+const textSeparator = document.getElementById('text-separator');
+const textPattern = document.getElementById('text-pattern');
+const textStart = document.getElementById('text-start');
+const textLength = document.getElementById('text-length');
+const textFind = document.getElementById('text-find');
+const textReplace = document.getElementById('text-replace');
+const textRegex = document.getElementById('text-regex');
+const textMatchCase = document.getElementById('text-match-case');
+const textWholeCell = document.getElementById('text-whole-cell');
+const textNewNameLabel = document.getElementById('text-new-name-label');
+const textNewName = document.getElementById('text-new-name');
+const textNewNameHint = document.getElementById('text-new-name-hint');
+const toolTextBtn = document.getElementById('tool-text-btn');
+// Columns Tool
+const columnsAction = document.getElementById('columns-action');
+const columnsOptions = document.querySelectorAll('.columns-option');
+const columnsList = document.getElementById('columns-list');
+const columnsHint = document.getElementById('columns-hint');
+const columnsSource = document.getElementById('columns-source');
+const columnsNewName = document.getElementById('columns-new-name');
+const columnsCastType = document.getElementById('columns-cast-type');
+const toolColumnsBtn = document.getElementById('tool-columns-btn');
+// Schema Tool
+const schemaList = document.getElementById('schema-list');
+// Profile Tool
+const toolProfile = document.getElementById('tool-profile');
+const profileSummary = document.getElementById('profile-summary');
+const profileList = document.getElementById('profile-list');
 
 
 // --- App State ---
@@ -65,11 +199,33 @@ let ai;
 let chat = null; // The stateful chat session with the AI
 let originalData = null; // The master, unfiltered data
 let activeData = null; // The data currently being displayed/analyzed (can be filtered)
-let activeFilters = []; // { column, value }
+let activeFilters = []; // { column, operator, value } conditions, as in remove_rows
 let stagedFilters = []; // Filters selected by user, waiting to be applied
+let editingFilterIndex = null; // The active filter being edited in the Filter tool, if any
+let savedSegments = []; // { name, filters } - named filter sets, kept in localStorage across sessions
 let isFilteredState = false; // Is the app currently showing a filtered subset of data?
+let datasets = []; // { id, name, fileName, sheetName, data } - every dataset loaded into the session
+let activeDatasetId = null; // The dataset currently held in originalData
+let pendingWorkbook = null; // { fileName, sheets } waiting for the user to pick sheets
+let pendingJsonImport = null; // { fileName, records } waiting for the user to choose JSON options
+let parquetModulePromise = null; // Lazily initialized parquet-wasm module
+let pendingCsvImport = null; // { file, bytes, detectedDelimiter } waiting for the user to confirm parse options
+const queuedCsvFiles = []; // Delimited files dropped while the import dialog was already open
+const activeParseTasks = new Set(); // Cancel functions of running worker tasks
+let isProfileStale = true; // The column profile no longer matches activeData and is rebuilt when shown
+// Date-times without a UTC offset are read in this timezone, and hours and days are extracted in it.
+let dataTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+let fiscalYearStartMonth = 1; // The month fiscal years start in (1 = January); fiscal periods default to it
 const chartInstances = new Map();
 const MAX_FILE_SIZE = 49 * 1024 * 1024; // 49MB
+// Delimiter used for each plain-text table extension ('' lets Papa auto-detect it)
+const DELIMITERS_BY_EXTENSION = { csv: '', txt: '', tsv: '\t', tab: '\t', psv: '|' };
+const JSON_EXTENSIONS = ['json', 'ndjson', 'jsonl'];
+const ARROW_EXTENSIONS = ['arrow', 'feather', 'ipc'];
+const CSV_PREVIEW_BYTES = 256 * 1024; // Text read to build the import preview
+const CSV_PREVIEW_ROWS = 8; // Data rows shown in the import preview
+const STREAMING_THRESHOLD = 5 * 1024 * 1024; // Delimited files above 5MB are parsed in a worker
+const DEFAULT_SAMPLE_SIZE = 100000; // Rows kept when sampling a large file
 
 // --- Chart Interaction State ---
 let clickTimer = null;
@@ -81,6 +237,7 @@ let currentTooltip = null;
 document.addEventListener('DOMContentLoaded', () => {
     Chart.register(zoomPlugin);
     initializeAi();
+    savedSegments = loadSavedSegments();
     setupEventListeners();
     observeChatInputResize();
 });
@@ -103,7 +260,16 @@ function setupEventListeners() {
     sidebarBackdrop.addEventListener('click', toggleSidebar);
     exportCsvBtn.addEventListener('click', exportAsCsv);
     exportExcelBtn.addEventListener('click', exportAsExcel);
+    exportParquetBtn.addEventListener('click', exportAsParquet);
+    populateTimezoneSelect();
+    timezoneSelect.addEventListener('change', () => {
+        const previousTimezone = dataTimezone;
+        dataTimezone = timezoneSelect.value;
+        if (originalData) initializeChatSession(originalData);
+        rereadDatesInTimezone(previousTimezone);
+    });
     clearFiltersBtn.addEventListener('click', handleClearFilters);
+    saveSegmentBtn.addEventListener('click', handleSaveSegment);
     applyFiltersBtn.addEventListener('click', handleApplyStagedFilters);
     cancelStagingBtn.addEventListener('click', handleCancelStaging);
     welcomeUploadPrompt.addEventListener('click', () => fileInput.click());
@@ -121,6 +287,61 @@ function setupEventListeners() {
         }
     });
 
+    // Sheet Picker Listeners
+    sheetPickerLoadBtn.addEventListener('click', handleLoadSelectedSheets);
+    closeSheetPickerBtn.addEventListener('click', closeSheetPicker);
+    sheetSelect.addEventListener('change', () => switchDataset(sheetSelect.value));
+    jsonOptionsLoadBtn.addEventListener('click', handleLoadJsonImport);
+    csvImportLoadBtn.addEventListener('click', handleLoadCsvImport);
+    closeCsvImportBtn.addEventListener('click', closeCsvImportDialog);
+    [csvDelimiterSelect, csvQuoteSelect, csvEncodingSelect, csvSkipRowsInput, csvHeaderRowInput, csvDecimalSelect].forEach(control => {
+        control.addEventListener('change', refreshCsvPreview);
+    });
+    closeJsonOptionsBtn.addEventListener('click', closeJsonOptions);
+    addDatasetBtn.addEventListener('click', () => fileInput.click());
+    undoBtn.addEventListener('click', undoTransformation);
+    redoBtn.addEventListener('click', redoTransformation);
+    saveRecipeBtn.addEventListener('click', saveRecipe);
+    applyRecipeBtn.addEventListener('click', () => recipeFileInput.click());
+    recipeFileInput.addEventListener('change', handleRecipeFileSelect);
+    recipeRunBtn.addEventListener('click', runRecipe);
+    closeRecipeBtn.addEventListener('click', closeRecipeDialog);
+    openGridBtn.addEventListener('click', openDataGrid);
+    closeGridBtn.addEventListener('click', closeDataGrid);
+    gridModal.addEventListener('click', (e) => {
+        if (e.target === gridModal) closeDataGrid();
+    });
+    gridSearch.addEventListener('input', () => {
+        clearTimeout(gridSearchTimer);
+        gridSearchTimer = setTimeout(() => refreshDataGrid(), GRID_SEARCH_DELAY);
+    });
+    gridColumnsBtn.addEventListener('click', () => gridColumnMenu.classList.toggle('hidden'));
+    gridViewport.addEventListener('scroll', () => {
+        const input = gridRows.querySelector('.grid-cell-input');
+        if (input) input.blur(); // Rows are reused while scrolling, so the edit is saved first
+        if (!gridRenderQueued) {
+            gridRenderQueued = true;
+            requestAnimationFrame(() => {
+                gridRenderQueued = false;
+                renderGridRows();
+            });
+        }
+    });
+    gridRows.addEventListener('dblclick', (e) => {
+        const cell = e.target instanceof Element && e.target.closest('.grid-cell[data-column]');
+        if (cell) startGridEdit(cell);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || !originalData) return;
+        if (e.target instanceof Element && e.target.closest('input, textarea, select')) return; // Text fields keep their own undo
+        e.preventDefault();
+        if (e.shiftKey) {
+            redoTransformation();
+        } else {
+            undoTransformation();
+        }
+    });
+
     // Data Tools Tabs
     toolTabs.forEach(tab => {
         tab.addEventListener('click', () => {
@@ -128,6 +349,7 @@ function setupEventListeners() {
             toolContents.forEach(c => c.classList.remove('active'));
             tab.classList.add('active');
             document.getElementById(tab.dataset.target).classList.add('active');
+            if (tab.dataset.target === 'tool-profile' && isProfileStale) renderProfilePanel();
         });
     });
 
@@ -135,6 +357,42 @@ function setupEventListeners() {
     toolRenameBtn.addEventListener('click', handleManualRename);
     toolMathBtn.addEventListener('click', handleManualMath);
     toolFilterAddBtn.addEventListener('click', handleManualFilterAdd);
+    filterOp.addEventListener('change', updateFilterInputs);
+    filterColSelect.addEventListener('change', updateFilterInputs);
+    filterCancelEditBtn.addEventListener('click', () => {
+        stopFilterEditing();
+        filterValue.value = '';
+        filterValueTo.value = '';
+    });
+    updateFilterInputs();
+    toolCleanBtn.addEventListener('click', handleManualClean);
+    cleanAction.addEventListener('change', updateCleanOptions);
+    cleanFillMethod.addEventListener('change', updateCleanOptions);
+    updateCleanOptions();
+    toolDatesBtn.addEventListener('click', handleManualDates);
+    datesAction.addEventListener('change', updateDateOptions);
+    updateDateOptions();
+    toolTextBtn.addEventListener('click', handleManualText);
+    textAction.addEventListener('change', updateTextOptions);
+    updateTextOptions();
+    toolColumnsBtn.addEventListener('click', handleManualColumns);
+    columnsAction.addEventListener('change', updateColumnsOptions);
+    columnsList.addEventListener('click', handleColumnMove);
+    updateColumnsOptions();
+    fiscalStartSelect.addEventListener('change', () => {
+        fiscalYearStartMonth = Number(fiscalStartSelect.value);
+        if (originalData) initializeChatSession(originalData);
+    });
+}
+
+/**
+ * Lists the timezones the browser knows, starting with UTC and the browser's own.
+ */
+function populateTimezoneSelect() {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    const options = Array.from(new Set(['UTC', dataTimezone, ...zones]));
+    timezoneSelect.innerHTML = options.map(zone => `<option value="${zone}">${zone}</option>`).join('');
+    timezoneSelect.value = dataTimezone;
 }
 
 function toggleSidebar() {
@@ -152,140 +410,339 @@ function initializeAi() {
 
 // --- Data Cleaning & Inference ---
 
+const CLEANING_THRESHOLD = 0.8; // 80% confidence required to alter a column
+
 /**
  * Automatically cleans "dirty" numeric columns.
- * Specifically targets columns that act like numbers but contain non-numeric characters
- * like currency symbols (₹, $, etc.), commas, or spaces.
+ * Targets columns that act like numbers but are written with formatting: currency symbols or codes
+ * (₹, $, EUR), thousands separators in either locale ("1,234.56" or "1.234,56"), accounting negatives
+ * ("(1,200)"), percentages ("45%" becomes 0.45), scale suffixes ("2.5K") and units ("12 kg").
+ * Columns that mix currencies or units are left as text, since their values can't be compared.
  * 
- * Mutates the data array in place.
+ * Mutates the data array in place, keeping the raw text of every cleaned column so it can be restored.
+ * @returns {Object} { numberFormats, report, skipped }: the number format of each cleaned column
+ *   ({ decimal, currency, unit, percent }), one report entry per cleaned column
+ *   ({ field, kind: 'number', format, examples, converted, failed, rawValues }) and one
+ *   { field, reason } entry per number column left as text.
  */
 function cleanAndNormalizeData(data, fields) {
-    if (!data || data.length === 0) return;
+    const numberFormats = {};
+    const report = [];
+    const skipped = [];
+    if (!data || data.length === 0) return { numberFormats, report, skipped };
 
-    const SAMPLE_LIMIT = 100;
-    const CLEANING_THRESHOLD = 0.8; // 80% confidence required to alter a column
-    const sample = data.slice(0, SAMPLE_LIMIT);
-    const fieldsToClean = [];
+    const sample = sampleRows(data, INFERENCE_SAMPLE_SIZE);
 
     fields.forEach(field => {
+        const values = sample
+            .map(row => row[field])
+            .filter(val => val !== null && val !== undefined && String(val).trim() !== '');
+        if (values.length === 0) return;
+
+        // Each column gets its own locale, since merged exports can mix them.
+        const decimal = detectDecimalSeparator(values);
         let numericLikeCount = 0;
-        let validValueCount = 0;
+        let percentCount = 0;
         let needsCleaning = false;
+        const currencies = new Set();
+        const units = new Set();
+
+        values.forEach(val => {
+            const parsed = parseNumberText(val, decimal);
+            if (!parsed) return;
+            numericLikeCount++;
+            if (!parsed.plain) needsCleaning = true;
+            if (parsed.percent) percentCount++;
+            if (parsed.currency) currencies.add(parsed.currency);
+            if (parsed.unit) units.add(parsed.unit);
+        });
 
-        for (const row of sample) {
-            const val = row[field];
-            if (val === null || val === undefined || String(val).trim() === '') continue;
-            validValueCount++;
-
-            if (typeof val === 'number') {
-                numericLikeCount++;
-            } else if (typeof val === 'string') {
-                // 1. Check if it's already a clean valid number string
-                if (!isNaN(Number(val)) && val.trim() !== '') {
-                    numericLikeCount++;
-                    continue;
-                }
-
-                // 2. Check if it becomes a number after stripping "noise"
-                // Remove everything that is NOT a digit, dot (.), or minus sign (-)
-                const cleaned = val.replace(/[^0-9.-]/g, '');
-                
-                // Ensure the cleaned string is a valid number and actually contains digits
-                if (cleaned !== '' && !isNaN(Number(cleaned)) && /\d/.test(cleaned)) {
-                    // Check if specific "bad" chars existed in the original string (to verify it needed cleaning)
-                    // e.g., "₹ 150" has '₹' and ' '. "150" does not.
-                    if (/[^0-9.-]/.test(val)) {
-                        needsCleaning = true;
-                    }
-                    numericLikeCount++;
-                }
-            }
-        }
-
-        // If most values look like numbers (or can be made into numbers), and we detected some dirt, mark for cleaning.
-        if (validValueCount > 0 && (numericLikeCount / validValueCount) >= CLEANING_THRESHOLD && needsCleaning) {
-            fieldsToClean.push(field);
+        // If most values look like numbers (or can be made into numbers), and we detected some formatting, mark for cleaning.
+        if (numericLikeCount / values.length < CLEANING_THRESHOLD || !needsCleaning) return;
+        if (currencies.size > 1 || units.size > 1) {
+            skipped.push({ field, reason: `it mixes ${[...currencies, ...units].join(', ')}` });
+            return;
         }
+        numberFormats[field] = {
+            decimal,
+            currency: currencies.size === 1 ? [...currencies][0] : null,
+            unit: units.size === 1 ? [...units][0] : null,
+            percent: percentCount > numericLikeCount / 2
+        };
     });
 
+    const fieldsToClean = Object.keys(numberFormats);
     if (fieldsToClean.length > 0) {
         console.log(`Auto-cleaning columns: ${fieldsToClean.join(', ')}`);
         
         // Apply cleaning to the entire dataset
-        data.forEach(row => {
-            fieldsToClean.forEach(field => {
+        fieldsToClean.forEach(field => {
+            const format = numberFormats[field];
+            const entry = { field, kind: 'number', format, examples: [], converted: 0, failed: 0, rawValues: new Array(data.length) };
+
+            data.forEach((row, index) => {
                 const val = row[field];
-                if (typeof val === 'string') {
-                    const cleaned = val.replace(/[^0-9.-]/g, '');
-                    if (cleaned !== '' && !isNaN(Number(cleaned))) {
-                        // Mutate the row value to be a pure Number
-                        row[field] = Number(cleaned);
+                entry.rawValues[index] = val;
+                if (typeof val !== 'string') return;
+                if (val.trim() === '') return;
+
+                const parsed = parseNumberText(val, format.decimal);
+                // A currency or unit the sample didn't show stays as text rather than being silently mixed in.
+                if (parsed && (!parsed.currency || parsed.currency === format.currency) && (!parsed.unit || parsed.unit === format.unit)) {
+                    row[field] = parsed.value;
+                    entry.converted++;
+                    if (!parsed.plain && entry.examples.length < 3 && !entry.examples.some(example => example.before === val)) {
+                        entry.examples.push({ before: val, after: parsed.value });
                     }
+                } else {
+                    entry.failed++;
                 }
             });
+            report.push(entry);
         });
     }
+    return { numberFormats, report, skipped };
+}
+
+/**
+ * The day/month order assumed when a column's dates read both ways, e.g. "03/04/2024".
+ * Follows the browser's locale: month-first in the US, day-first almost everywhere else.
+ */
+function getPreferredDateOrder() {
+    const locale = (navigator.language || 'en-US').toLowerCase();
+    return ['en-us', 'en-ph', 'es-us', 'en-ca'].includes(locale) ? 'mdy' : 'dmy';
+}
+
+/**
+ * Converts a column's dates to ISO text in the given format.
+ * @param {Array<Object>} data - The rows, mutated in place.
+ * @param {string} field - The column.
+ * @param {string} format - One of the DATE_FORMATS keys.
+ * @param {Array} rawValues - The column's original values, one per row.
+ * @returns {Object} { examples, converted, failed } for the cleaning report.
+ */
+function convertDateColumn(data, field, format, rawValues) {
+    const result = { examples: [], converted: 0, failed: 0 };
+    data.forEach((row, index) => {
+        const val = rawValues[index];
+        if (typeof val !== 'string' || val.trim() === '') return;
+
+        const iso = parseDateText(val, format, dataTimezone);
+        if (iso === null) {
+            row[field] = val;
+            result.failed++;
+            return;
+        }
+        row[field] = iso;
+        result.converted++;
+        if (iso !== val && result.examples.length < 3 && !result.examples.some(example => example.before === val)) {
+            result.examples.push({ before: val, after: iso });
+        }
+    });
+    return result;
+}
+
+/**
+ * Detects the date format of each text column and stores its dates as ISO 8601 text
+ * ("2024-04-03", "2024-04-03T12:30:00.000Z" or "14:30:00"), so sorting, extraction and grouping
+ * never depend on how the browser guesses. Columns whose dates read both day-first and
+ * month-first are marked with both alternatives so the user can pick one.
+ *
+ * Mutates the data array in place, keeping the raw text of every converted column so it can be restored.
+ * @param {Array<Object>} data - The rows.
+ * @param {Array<string>} fields - The columns to inspect.
+ * @returns {Object} { dateFormats, report }: the format of each converted column and one report
+ *   entry per column ({ field, kind: 'date', format, alternatives, examples, converted, failed, rawValues }).
+ */
+function normalizeDateColumns(data, fields) {
+    const dateFormats = {};
+    const report = [];
+    if (!data || data.length === 0) return { dateFormats, report };
+
+    const sample = sampleRows(data, INFERENCE_SAMPLE_SIZE);
+    fields.forEach(field => {
+        const values = sample
+            .map(row => row[field])
+            .filter(val => val !== null && val !== undefined && String(val).trim() !== '');
+        // Numbers were cleaned already; year columns like 2023 stay numbers.
+        if (values.length === 0 || values.some(val => typeof val !== 'string')) return;
+
+        const detected = detectDateFormat(values, getPreferredDateOrder());
+        if (!detected || detected.ratio < CLEANING_THRESHOLD) return;
+
+        const rawValues = data.map(row => row[field]);
+        const { examples, converted, failed } = convertDateColumn(data, field, detected.format, rawValues);
+        dateFormats[field] = detected.format;
+        report.push({ field, kind: 'date', format: detected.format, alternatives: detected.alternatives, examples, converted, failed, rawValues });
+    });
+    return { dateFormats, report };
 }
 
-const MAX_SAMPLE_SIZE = 100;
+const INFERENCE_SAMPLE_SIZE = 1000; // Rows drawn from the whole dataset for cleaning and type inference
 const CATEGORICAL_UNIQUENESS_THRESHOLD = 0.5; // If unique values are less than 50% of sample size
 const CATEGORICAL_MAX_UNIQUE_VALUES = 50; // And unique values are less than 50
 
+// Every column type the app knows. Numeric types are measures that can be summed and averaged.
+const COLUMN_TYPES = ['numerical', 'integer', 'percentage', 'currency', 'temporal', 'boolean', 'categorical', 'geographic', 'identifier', 'email', 'url', 'string'];
+const NUMERIC_TYPES = ['numerical', 'integer', 'percentage', 'currency'];
+
+// Explains the column types to the AI; included wherever a prompt lists the schema.
+const COLUMN_TYPE_GUIDE = `Column types: 'numerical', 'integer', 'percentage' and 'currency' columns are measures that can be summed or averaged (average percentages rather than summing them). 'temporal' columns are dates (ISO text such as "2024-04-03", or UTC instants for date-times) or years and suit trends over time. 'categorical', 'boolean' and 'geographic' columns are dimensions to group or filter by. 'identifier' columns are codes or IDs: count them, but never sum or average them. 'email', 'url' and 'string' columns are free text.`;
+
+// Explains the formula language (formula.js) to the AI; included wherever it can create columns.
+const FORMULA_GUIDE = `Formulas reference columns by name, in [brackets] when the name has spaces or symbols ([Unit Price]), and text in quotes. Operators: + - * / % ^, comparisons = != < <= > >=, AND, OR, NOT, and & to join text. Functions: IF(cond, then, else), CASE(cond1, result1, cond2, result2, ..., else), COALESCE(a, b, ...), ISBLANK(x), ROUND(x, digits), ABS, FLOOR, CEIL, SQRT, POWER(x, y), MOD(x, y), MIN(...), MAX(...), CONCAT(...), UPPER, LOWER, TRIM, LEN, LEFT(text, n), RIGHT(text, n), MID(text, start, n), REPLACE(text, find, with), CONTAINS(text, find), TEXT(x), NUMBER(x), YEAR, MONTH, DAY, HOUR, MINUTE, WEEKDAY (0 = Sunday), DATE(y, m, d), DATEDIFF(start, end, 'day' | 'week' | 'month' | 'quarter' | 'year' | 'hour' | 'minute'; months, quarters and years count whole calendar months), TODAY(), NOW(). Empty cells are NULL and make arithmetic NULL; use COALESCE(x, 0) where a default makes sense.`;
+
+const BOOLEAN_VALUES = ['true', 'false', 'yes', 'no', 'y', 'n'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^(https?:\/\/|www\.)\S+$/i;
+const CODE_PATTERN = /^[A-Z]{1,5}[-_]?\d{2,}$/i; // e.g. "INV-0042", "SKU12345"
+const IDENTIFIER_NAME_PATTERN = /(^|[^a-z])(id|key|code|sku|zip|zipcode|postal|postcode|phone|invoice|account|ref|serial|uuid|guid)([^a-z]|$)|[a-z]Id$|#|(^|[^a-z])(no|num|number)\.?$/i;
+const GEOGRAPHIC_NAME_PATTERN = /(^|[^a-z])(country|state|province|city|town|region|county|continent|district|territory|location|address|lat|latitude|lng|lon|longitude)([^a-z]|$)/i;
+const YEAR_NAME_PATTERN = /(^|[^a-z])(year|yr|fy)([^a-z]|$)/i;
+// Date.parse accepts almost any text ending in a number, so dates must also look like one.
+const DATE_LIKE_PATTERN = /\d{1,4}[-/.]\d{1,2}|\d{1,2}:\d{2}|\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\b/i;
+
+function isNumericType(type) {
+    return NUMERIC_TYPES.includes(type);
+}
+
+/**
+ * Draws a uniform random sample of rows from the whole dataset (reservoir sampling), so that
+ * sorted files are judged on all of their values rather than on their first rows.
+ * @param {Array<Object>} data - The array of data rows.
+ * @param {number} size - The maximum number of rows to return.
+ * @returns {Array<Object>} The sampled rows (all rows if there are fewer than size).
+ */
+function sampleRows(data, size) {
+    if (data.length <= size) return data;
+    const sample = data.slice(0, size);
+    for (let i = size; i < data.length; i++) {
+        const j = Math.floor(Math.random() * (i + 1));
+        if (j < size) sample[j] = data[i];
+    }
+    return sample;
+}
+
+/**
+ * Infers the type of one column from its non-empty sample values.
+ * @param {string} field - The column name, used as a hint for identifiers, years and places.
+ * @param {Array} values - The column's non-empty sample values.
+ * @param {Object|undefined} numberFormat - How the column's numbers were written, if it was cleaned.
+ * @param {string|undefined} dateFormat - The format the column's dates were read in, if it holds dates.
+ * @returns {string} One of COLUMN_TYPES.
+ */
+function inferColumnType(field, values, numberFormat, dateFormat) {
+    if (dateFormat) return 'temporal';
+    if (values.length === 0) return 'string';
+    const texts = values.map(value => String(value).trim());
+    const uniqueCount = new Set(texts).size;
+
+    if (values.every(value => typeof value === 'boolean' || BOOLEAN_VALUES.includes(String(value).trim().toLowerCase()))) {
+        return 'boolean';
+    }
+
+    const isNumeric = values.every(value => {
+        if (typeof value === 'number') return true;
+        const cleanedValue = String(value).replace(/[\$,%]/g, '').trim();
+        return cleanedValue !== '' && !isNaN(Number(cleanedValue));
+    });
+    if (isNumeric) {
+        const numbers = values.map(value => typeof value === 'number' ? value : Number(String(value).replace(/[\$,%]/g, '').trim()));
+        const allIntegers = numbers.every(Number.isInteger);
+
+        if ((numberFormat && numberFormat.percent) || texts.every(text => text.endsWith('%'))) return 'percentage';
+        if ((numberFormat && numberFormat.currency) || texts.every(text => text.startsWith('$'))) return 'currency';
+        if (GEOGRAPHIC_NAME_PATTERN.test(field)) return 'geographic'; // Latitude and longitude
+        // Leading zeros only survive in codes such as zip codes.
+        if (texts.some(text => /^0\d+$/.test(text))) return 'identifier';
+        if (allIntegers && IDENTIFIER_NAME_PATTERN.test(field)) return 'identifier';
+        if (allIntegers && YEAR_NAME_PATTERN.test(field) && numbers.every(n => n >= 1800 && n <= 2200)) return 'temporal';
+        return allIntegers ? 'integer' : 'numerical';
+    }
+
+    // Exclude raw numbers from being parsed as dates (e.g., year '2023')
+    if (values.every(value => typeof value !== 'number' && DATE_LIKE_PATTERN.test(String(value)) && !isNaN(Date.parse(String(value))))) return 'temporal';
+    if (texts.every(text => EMAIL_PATTERN.test(text))) return 'email';
+    if (texts.every(text => URL_PATTERN.test(text))) return 'url';
+    if (GEOGRAPHIC_NAME_PATTERN.test(field)) return 'geographic';
+
+    const uniqueRatio = uniqueCount / values.length;
+    if (uniqueRatio > 0.9 && (IDENTIFIER_NAME_PATTERN.test(field) || texts.every(text => CODE_PATTERN.test(text)))) return 'identifier';
+    if (uniqueRatio < CATEGORICAL_UNIQUENESS_THRESHOLD && uniqueCount <= CATEGORICAL_MAX_UNIQUE_VALUES) return 'categorical';
+    return 'string';
+}
+
 /**
- * Infers the data type of each column based on a sample of the data.
+ * Infers the data type of each column based on a random sample of the whole dataset.
  * @param {Array<Object>} data - The array of data rows.
  * @param {Array<string>} fields - The list of column names.
- * @returns {Object} A map of column names to their inferred types (e.g., 'numerical', 'temporal', 'categorical', 'string').
+ * @param {Object} numberFormats - The number formats detected by cleaning, which mark percentages and currencies.
+ * @param {Object} dateFormats - The date formats detected by cleaning, which mark temporal columns.
+ * @returns {Object} A map of column names to their inferred types (one of COLUMN_TYPES).
  */
-function inferColumnTypes(data, fields) {
+function inferColumnTypes(data, fields, numberFormats = {}, dateFormats = {}) {
     const types = {};
-    const sample = data.slice(0, MAX_SAMPLE_SIZE);
+    const sample = sampleRows(data, INFERENCE_SAMPLE_SIZE);
     if (sample.length === 0) return types;
 
     for (const field of fields) {
-        let isNumeric = true;
-        let isTemporal = true;
-        const uniqueValues = new Set();
+        const values = sample
+            .map(row => row[field])
+            .filter(value => value !== null && value !== undefined && value !== ''); // Skip empty values for inference
+        types[field] = inferColumnType(field, values, numberFormats[field], dateFormats[field]);
+    }
+    return types;
+}
 
-        for (const row of sample) {
-            const value = row[field];
-            if (value === null || value === undefined || value === '') {
-                continue; // Skip empty values for inference
-            }
+/**
+ * Re-infers a data object's column types, keeping the types the user chose in the schema editor.
+ * @param {Object} dataObject - The data object whose meta.inferredTypes is refreshed in place.
+ */
+function refreshColumnTypes(dataObject) {
+    const { meta } = dataObject;
+    meta.inferredTypes = {
+        ...inferColumnTypes(dataObject.data, meta.fields, meta.numberFormats, meta.dateFormats),
+        ...meta.typeOverrides
+    };
+}
 
-            uniqueValues.add(value);
+/**
+ * Lists the columns with their inferred types for AI prompts, noting the currency, unit or
+ * percentage format of cleaned numeric columns.
+ * @param {Object} meta - The dataset's meta object.
+ * @returns {string} e.g. "Region (categorical), Revenue (numerical, currency €)".
+ */
+function formatColumnsWithTypes(meta) {
+    const numberFormats = meta.numberFormats || {};
+    return meta.fields.map(field => {
+        const notes = [meta.inferredTypes[field] || 'string'];
+        const format = numberFormats[field];
+        if (format && format.currency) notes.push(`currency ${format.currency}`);
+        if (format && format.unit) notes.push(`unit ${format.unit}`);
+        if (format && format.percent) notes.push('percentage stored as a fraction');
+        return `${field} (${notes.join(', ')})`;
+    }).join(', ');
+}
 
-            // Check for numeric
-            if (isNumeric) {
-                const cleanedValue = String(value).replace(/[\$,%]/g, '').trim();
-                if (cleanedValue === '' || isNaN(Number(cleanedValue))) {
-                    isNumeric = false;
-                }
-            }
-            
-            // Check for temporal
-            if (isTemporal) {
-                // Exclude raw numbers from being parsed as dates (e.g., year '2023')
-                if (typeof value === 'number' || isNaN(Date.parse(String(value)))) {
-                     isTemporal = false;
-                }
-            }
-        }
-        
-        if (isNumeric) {
-            types[field] = 'numerical';
-        } else if (isTemporal) {
-            types[field] = 'temporal';
-        } else if (uniqueValues.size / sample.length < CATEGORICAL_UNIQUENESS_THRESHOLD && uniqueValues.size <= CATEGORICAL_MAX_UNIQUE_VALUES) {
-            types[field] = 'categorical';
-        } else {
-            types[field] = 'string';
-        }
+/**
+ * Formats a number the way its column was written, e.g. "€1,234.5", "45%" or "12 kg".
+ * @param {*} value - The value to format; non-numbers are returned unchanged.
+ * @param {Object|null} format - The column's number format from meta.numberFormats.
+ * @returns {*} The formatted text.
+ */
+function formatNumberValue(value, format) {
+    if (typeof value !== 'number' || !isFinite(value) || !format) return value;
+    if (format.percent) {
+        return `${(value * 100).toLocaleString(undefined, { maximumFractionDigits: 2 })}%`;
     }
-    return types;
+    let text = Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+    if (format.currency) {
+        text = /^[A-Z]{3}$/.test(format.currency) ? `${format.currency} ${text}` : `${format.currency}${text}`;
+    }
+    if (format.unit) text += ` ${format.unit}`;
+    return value < 0 ? `-${text}` : text;
 }
 
-
 // --- File Handling ---
 function handleDragOver(e) {
     e.preventDefault();
@@ -300,26 +757,84 @@ function handleDragLeave(e) {
 function handleDrop(e) {
     e.preventDefault();
     uploadZone.classList.remove('drag-over');
-    const file = e.dataTransfer.files[0];
-    processFile(file);
+    Array.from(e.dataTransfer.files).forEach(processFile);
 }
 
 function handleFileSelect(e) {
-    const file = e.target.files[0];
-    processFile(file);
+    Array.from(e.target.files).forEach(processFile);
+    fileInput.value = ''; // Allow the same file to be added again later
 }
 
-function handleSuccessfulParse(results, fileName) {
-    // 1. Auto-Clean Data (Remove currency symbols, etc.)
-    cleanAndNormalizeData(results.data, results.meta.fields);
+/**
+ * Cleans and types freshly parsed data in place.
+ * @param {Object} results - The parsed { data, meta } object.
+ * @returns {Array<Object>} The cleaning report: one entry per column that was converted to numbers or dates.
+ */
+function prepareParsedData(results) {
+    // Typed formats (Parquet, Arrow) already know their column types, so nothing needs guessing.
+    if (results.meta.typesFromSchema) return { report: [], skipped: [] };
+
+    // 1. Auto-Clean Data (Remove currency symbols, etc.) and remember how the numbers were written
+    const { numberFormats, report, skipped } = cleanAndNormalizeData(results.data, results.meta.fields);
+    results.meta.numberFormats = numberFormats;
 
-    // 2. Infer data types for smarter AI analysis
-    const inferredTypes = inferColumnTypes(results.data, results.meta.fields);
+    // 2. Read dates in each column's own format and store them as ISO text
+    const textFields = results.meta.fields.filter(field => !numberFormats[field]);
+    const { dateFormats, report: dateReport } = normalizeDateColumns(results.data, textFields);
+    results.meta.dateFormats = dateFormats;
+
+    // 3. Infer data types for smarter AI analysis
+    const inferredTypes = inferColumnTypes(results.data, results.meta.fields, numberFormats, dateFormats);
     results.meta.inferredTypes = inferredTypes;
-    
+    return { report: [...report, ...dateReport], skipped };
+}
+
+/**
+ * Cleans a parsed dataset and registers it in the session without making it active.
+ * @param {Object} results - The parsed { data, meta } object.
+ * @param {string} fileName - The name of the uploaded file.
+ * @param {string|null} sheetName - The workbook sheet the data came from, if any.
+ * @param {Object|null} source - The file and parse options a sampled dataset was read from.
+ * @returns {Object} The registered dataset entry.
+ */
+function addDatasetToWorkspace(results, fileName, sheetName = null, source = null) {
+    const { report, skipped } = prepareParsedData(results);
+    const entry = {
+        id: `ds-${Date.now()}-${datasets.length}`,
+        name: sheetName ? `${fileName} › ${sheetName}` : fileName,
+        fileName,
+        sheetName,
+        source, // { file, options } when the data is a sample that can be re-streamed
+        // The raw values line up with these rows only, so a revert is possible until they are replaced.
+        // Skipped columns looked numeric but were left as text, e.g. for mixing currencies.
+        cleaning: { report, skipped, rows: results.data },
+        data: results,
+        // Every version of the data, oldest first; historyIndex is the one being analyzed.
+        history: [{ label: `Loaded ${sheetName ? `${fileName} › ${sheetName}` : fileName}`, data: results }],
+        historyIndex: 0
+    };
+    datasets.push(entry);
+    return entry;
+}
+
+function handleSuccessfulParse(results, fileName, sheetName = null, source = null) {
+    if (originalData) {
+        // A dataset is already being analyzed: keep it active and add the new one alongside it.
+        const added = addDatasetToWorkspace(results, fileName, sheetName, source);
+        updateWorkspaceList();
+        const current = datasets.find(d => d.id === activeDatasetId);
+        addMessageToChat(`Added <strong>${added.name}</strong> (${added.data.data.length} rows) to the workspace. Click it in the sidebar to analyze it, or ask me to join it with <strong>${current.name}</strong>.`, 'ai');
+        addCleaningReportToChat(added);
+        return;
+    }
+
+    const entry = addDatasetToWorkspace(results, fileName, sheetName, source);
+    activeDatasetId = entry.id;
+
     originalData = results;
     activeData = results; // Initially, active data is the same as original
     addPreviewToChat(activeData);
+    addCleaningReportToChat(entry);
     updateUiOnDataLoad(fileName, activeData);
     initializeChatSession(results);
     generateInitialDataSummary(results);
@@ -328,46 +843,65 @@ function handleSuccessfulParse(results, fileName) {
 function processFile(file) {
     if (!file) return;
 
-    if (file.size > MAX_FILE_SIZE) {
-        addErrorMessageToChat('File Too Large', 'The maximum file size is 49MB. Please upload a smaller file.');
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    const isTabMime = file.type.match('tab-separated');
+    const delimiter = DELIMITERS_BY_EXTENSION[extension] ?? (isTabMime ? '\t' : undefined);
+    const isDelimited = file.type.match('text/csv') || isTabMime || delimiter !== undefined;
+    const isParquet = extension === 'parquet';
+    const isArrow = ARROW_EXTENSIONS.includes(extension);
+
+    // Delimited files can be streamed and sampled, and columnar files are read column by column
+    // through Arrow, so only the other formats have a hard cap.
+    if (file.size > MAX_FILE_SIZE && !isDelimited && !isParquet && !isArrow) {
+        addErrorMessageToChat('File Too Large', 'The maximum file size is 49MB. Larger CSV or TSV files can be loaded as a sample; Parquet and Arrow files have no size cap.');
         return;
     }
 
-    const isCsv = file.type.match('text/csv') || file.name.endsWith('.csv');
     const isExcel = file.type.match(/spreadsheetml|ms-excel/) || file.name.endsWith('.xlsx') || file.name.endsWith('.xls');
-
-    if (isCsv) {
-        Papa.parse(file, {
-            header: true,
-            skipEmptyLines: true,
-            complete: (results) => {
-                handleSuccessfulParse(results, file.name);
-            },
-            error: (error) => {
-                addErrorMessageToChat('CSV Parsing Error', error.message);
-            }
-        });
+    const isJson = file.type === 'application/json' || JSON_EXTENSIONS.includes(extension);
+
+    if (isParquet || isArrow) {
+        readColumnarFile(file, isParquet)
+            .then(results => handleSuccessfulParse(results, file.name))
+            .catch(error => {
+                addErrorMessageToChat(`${isParquet ? 'Parquet' : 'Arrow'} Parsing Error`, `Could not read the file. It might be corrupted or use an unsupported feature. Details: ${error.message}`);
+                console.error("Columnar read error:", error);
+            });
+    } else if (isJson) {
+        file.text()
+            .then(text => handleJsonText(text, file.name))
+            .catch(error => {
+                addErrorMessageToChat('File Read Error', 'An unexpected error occurred while trying to read the file.');
+                console.error("JSON read error:", error);
+            });
+    } else if (isDelimited) {
+        if (pendingCsvImport) {
+            queuedCsvFiles.push({ file, delimiter });
+        } else {
+            openCsvImportDialog(file, delimiter || '');
+        }
     } else if (isExcel) {
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
                 const data = e.target.result;
-                const workbook = XLSX.read(data, { type: 'array' });
-                const firstSheetName = workbook.SheetNames[0];
-                const worksheet = workbook.Sheets[firstSheetName];
-                const jsonData = XLSX.utils.sheet_to_json(worksheet);
+                // cellNF keeps each cell's number format, which is what marks a serial number as a date.
+                const workbook = XLSX.read(data, { type: 'array', cellNF: true });
+                const sheets = readWorkbookSheets(workbook);
+                const sheetsWithData = sheets.filter(sheet => sheet.rowCount > 0);
 
-                if (jsonData.length === 0) {
-                     addErrorMessageToChat('Empty File', 'The Excel file appears to be empty or the first sheet has no data.');
+                if (sheetsWithData.length === 0) {
+                     addErrorMessageToChat('Empty File', 'The Excel file appears to be empty. None of its sheets contain data.');
                      return;
                 }
 
-                const fields = Object.keys(jsonData[0]);
-                const results = {
-                    data: jsonData,
-                    meta: { fields: fields }
-                };
-                handleSuccessfulParse(results, file.name);
+                if (sheetsWithData.length === 1) {
+                    const [sheet] = sheetsWithData;
+                    handleSuccessfulParse(sheetRowsToResults(sheet.rows, sheet.headerRowIndex), file.name, sheet.name);
+                } else {
+                    // Let the user decide which sheet(s) hold the real data.
+                    openSheetPicker(file.name, sheets);
+                }
 
             } catch (error) {
                 addErrorMessageToChat('Excel Parsing Error', 'Could not read the Excel file. It might be corrupted or in an unsupported format.');
@@ -380,1199 +914,5652 @@ function processFile(file) {
         };
         reader.readAsArrayBuffer(file);
     } else {
-        addErrorMessageToChat('Unsupported File Type', 'Please upload a CSV, XLSX, or XLS file.');
+        addErrorMessageToChat('Unsupported File Type', 'Please upload a CSV, TSV, XLSX, XLS, JSON, NDJSON, Parquet or Arrow file.');
     }
 }
 
-function addPreviewToChat(dataObject) {
-    const { data, meta } = dataObject;
-    const rowCount = data.length;
-    // Truncate column list for display to prevent massive overflow
-    let columnNames = meta.fields.join(', ');
-    if (columnNames.length > 150) {
-        columnNames = columnNames.substring(0, 150) + '...';
-    }
+// --- CSV Import ---
 
-    // Create table header
-    let headerHtml = '<tr>';
-    meta.fields.forEach(field => {
-        headerHtml += `<th>${field}</th>`;
-    });
-    headerHtml += '</tr>';
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe', ' ': 'space' };
 
-    // Create table body rows
-    let bodyHtml = '';
-    const previewRows = data.slice(0, 5);
-    previewRows.forEach(row => {
-        bodyHtml += '<tr>';
-        meta.fields.forEach(field => {
-            bodyHtml += `<td>${row[field] || ''}</td>`;
+/**
+ * Guesses a file's text encoding from its first bytes: a UTF-16 byte order mark, valid UTF-8,
+ * or otherwise Windows-1252, which most spreadsheet exports on Windows use.
+ * @param {Uint8Array} bytes - The start of the file.
+ * @returns {string} An encoding label understood by TextDecoder and FileReader.
+ */
+function detectEncoding(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    try {
+        // Streaming mode tolerates a character cut in half at the end of the slice.
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+        return 'utf-8';
+    } catch (error) {
+        return 'windows-1252';
+    }
+}
+
+/**
+ * Converts raw delimited rows into the { data, meta } shape, applying the import options.
+ * @param {Array<Array>} rows - The rows as parsed by Papa without a header.
+ * @param {Object} options - { skipRows, headerRow (1-based, 0 for none), decimal, thousands }.
+ * @returns {Object} The parsed results object.
+ */
+function delimitedRowsToResults(rows, options) {
+    const results = sheetRowsToResults(rows.slice(options.skipRows), options.headerRow - 1);
+
+    // "1,234.56" is already understood by the regular cleaning step.
+    if (options.decimal !== '.' || options.thousands !== ',') {
+        const normalize = createSeparatorNormalizer(options.decimal, options.thousands);
+        results.data.forEach(row => {
+            results.meta.fields.forEach(field => {
+                row[field] = normalize(row[field]);
+            });
         });
-        bodyHtml += '</tr>';
+    }
+    return results;
+}
+
+function readCsvImportOptions() {
+    const [decimal, thousands] = csvDecimalSelect.value.split('|');
+    const headerRow = parseInt(csvHeaderRowInput.value, 10);
+    return {
+        delimiter: csvDelimiterSelect.value || pendingCsvImport.detectedDelimiter,
+        quoteChar: csvQuoteSelect.value,
+        encoding: csvEncodingSelect.value,
+        skipRows: Math.max(0, parseInt(csvSkipRowsInput.value, 10) || 0),
+        headerRow: isNaN(headerRow) ? 1 : Math.max(0, headerRow),
+        decimal,
+        thousands
+    };
+}
+
+/**
+ * Opens the import dialog for a delimited file, pre-filled with the detected encoding,
+ * delimiter, header row and number format.
+ * @param {File} file - The file to import.
+ * @param {string} delimiter - The delimiter implied by the extension, or '' to auto-detect.
+ */
+async function openCsvImportDialog(file, delimiter) {
+    pendingCsvImport = { file, bytes: null, detectedDelimiter: delimiter, rows: [], results: null };
+
+    try {
+        pendingCsvImport.bytes = new Uint8Array(await file.slice(0, CSV_PREVIEW_BYTES).arrayBuffer());
+    } catch (error) {
+        addErrorMessageToChat('File Read Error', 'An unexpected error occurred while trying to read the file.');
+        console.error("CSV preview read error:", error);
+        closeCsvImportDialog();
+        return;
+    }
+
+    csvDelimiterSelect.value = delimiter;
+    csvQuoteSelect.value = '"';
+    csvEncodingSelect.value = detectEncoding(pendingCsvImport.bytes);
+    csvSkipRowsInput.value = 0;
+    csvHeaderRowInput.value = 1;
+    csvDecimalSelect.value = '.|,';
+    refreshCsvPreview();
+
+    // Title lines or notes above the table are common in exports; start at the likely header.
+    const headerRowIndex = detectHeaderRow(pendingCsvImport.rows);
+    csvHeaderRowInput.value = headerRowIndex + 1;
+    const sampleValues = pendingCsvImport.rows.slice(headerRowIndex + 1).flat();
+    csvDecimalSelect.value = detectDecimalSeparator(sampleValues) === ',' ? ',|.' : '.|,';
+    refreshCsvPreview();
+
+    // Large files are parsed in the background and can be sampled.
+    const isLarge = file.size > STREAMING_THRESHOLD;
+    csvLoadModeSection.classList.toggle('hidden', !isLarge);
+    if (isLarge) {
+        const canLoadFull = file.size <= MAX_FILE_SIZE;
+        loadModeFullOption.classList.toggle('disabled', !canLoadFull);
+        loadModeFullOption.querySelector('input').disabled = !canLoadFull;
+        loadModeFullNote.textContent = canLoadFull
+            ? 'Every row is kept in memory.'
+            : 'Files over 49MB are too large to keep in memory; load a sample instead.';
+        csvImportModal.querySelector(`input[name="load-mode"][value="${canLoadFull ? 'full' : 'random'}"]`).checked = true;
+        sampleSizeInput.value = DEFAULT_SAMPLE_SIZE;
+    }
+
+    csvImportModal.classList.add('visible');
+}
+
+/**
+ * Re-parses the start of the pending file with the current dialog options and redraws the preview.
+ */
+function refreshCsvPreview() {
+    if (!pendingCsvImport || !pendingCsvImport.bytes) return;
+    const { file, bytes } = pendingCsvImport;
+
+    let text = new TextDecoder(csvEncodingSelect.value).decode(bytes);
+    if (file.size > bytes.length) {
+        // Drop the line cut off by the preview slice.
+        text = text.slice(0, text.lastIndexOf('\n') + 1);
+    }
+
+    const parsed = Papa.parse(text, {
+        skipEmptyLines: true,
+        delimiter: csvDelimiterSelect.value,
+        quoteChar: csvQuoteSelect.value
     });
+    pendingCsvImport.detectedDelimiter = parsed.meta.delimiter;
+    pendingCsvImport.rows = parsed.data;
 
-    const previewHtml = `
-        <div class="preview-in-chat-metadata">
-            <p><strong>Rows:</strong> ${rowCount}</p>
-            <p><strong>Columns:</strong> ${columnNames}</p>
-        </div>
-        <div class="preview-in-chat-table-wrapper">
+    const options = readCsvImportOptions();
+    const results = delimitedRowsToResults(parsed.data, options);
+    pendingCsvImport.results = results;
+
+    const sizeMb = (file.size / (1024 * 1024)).toFixed(1);
+    const delimiterNote = csvDelimiterSelect.value ? '' : ` Detected delimiter: ${DELIMITER_NAMES[options.delimiter] || `"${options.delimiter}"`}.`;
+    const sizeNote = file.size > STREAMING_THRESHOLD ? ` It is ${sizeMb}MB and will be read in the background so the app stays responsive.` : '';
+    csvImportSubtitle.textContent = `Previewing "${file.name}".${delimiterNote}${sizeNote}`;
+
+    if (results.meta.fields.length === 0) {
+        csvPreview.innerHTML = '<div class="csv-preview-empty">No rows to preview with these options.</div>';
+    } else {
+        const headerHtml = results.meta.fields.map(field => `<th>${field}</th>`).join('');
+        const bodyHtml = results.data.slice(0, CSV_PREVIEW_ROWS).map(row =>
+            `<tr>${results.meta.fields.map(field => `<td>${row[field]}</td>`).join('')}</tr>`
+        ).join('');
+        csvPreview.innerHTML = `
             <table class="preview-in-chat-table">
-                <thead>${headerHtml}</thead>
+                <thead><tr>${headerHtml}</tr></thead>
                 <tbody>${bodyHtml}</tbody>
             </table>
-        </div>
-    `;
-    
-    const messageEl = document.createElement('div');
-    messageEl.classList.add('message', 'ai-message', 'preview-in-chat');
-    messageEl.innerHTML = previewHtml;
-
-    if (isFilteredState) {
-        messageEl.dataset.filterMessage = 'true';
+        `;
     }
 
-    chatHistory.appendChild(messageEl);
+    // Keep the stratify choices in step with the columns the options produce.
+    const previousColumn = stratifyColSelect.value;
+    stratifyColSelect.innerHTML = '';
+    results.meta.fields.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = field;
+        stratifyColSelect.appendChild(option);
+    });
+    if (results.meta.fields.includes(previousColumn)) stratifyColSelect.value = previousColumn;
 }
 
+function closeCsvImportDialog() {
+    csvImportModal.classList.remove('visible');
+    csvPreview.innerHTML = '';
+    pendingCsvImport = null;
 
-function updateUiOnDataLoad(fileName, dataObject) {
-    // Hide welcome screen
-    welcomeScreen.classList.add('hidden');
+    const next = queuedCsvFiles.shift();
+    if (next) openCsvImportDialog(next.file, next.delimiter || '');
+}
 
-    // Enable chat
-    chatInput.disabled = false;
-    sendBtn.disabled = false;
+function handleLoadCsvImport() {
+    if (!pendingCsvImport || !pendingCsvImport.results) return;
+    const { file, rows, results } = pendingCsvImport;
+    const options = readCsvImportOptions();
 
-    // Update sidebar UI
-    uploadContainer.classList.add('hidden');
-    dataSummary.classList.remove('hidden');
-    // Hide the persistent guide when data is loaded
-    sidebarAnalysisGuide.classList.add('hidden');
-    exportOptions.classList.remove('hidden');
-    clearDataBtn.classList.remove('hidden');
-    filterSection.classList.add('hidden');
-    stagingSection.classList.add('hidden');
-    dataToolsSection.classList.remove('hidden');
+    if (results.meta.fields.length === 0) {
+        alert("No columns were found with these options. Try a different delimiter or header row.");
+        return;
+    }
 
-    // Populate Data Tool Dropdowns
-    populateColumnDropdowns(dataObject.meta.fields);
+    if (file.size <= STREAMING_THRESHOLD) {
+        closeCsvImportDialog();
+        parseDelimitedFile(file, options);
+        return;
+    }
 
-    // Auto-close sidebar on mobile to show the chat
-    if (window.innerWidth <= 900) {
-        dataSection.classList.remove('open');
-        sidebarBackdrop.classList.remove('visible');
+    const mode = csvImportModal.querySelector('input[name="load-mode"]:checked').value;
+    const sampleSize = Math.max(1000, parseInt(sampleSizeInput.value, 10) || DEFAULT_SAMPLE_SIZE);
+    const stratifyColumn = stratifyColSelect.value;
+
+    if (mode === 'stratified' && !stratifyColumn) {
+        alert("Please choose a column to stratify the sample by.");
+        return;
     }
 
-    fileNameEl.textContent = fileName;
-    updateSidebarStats(dataObject);
+    // The worker reads the file in chunks, so it is told up front where the data starts and
+    // which columns the preview resolved.
+    const tableRows = rows.slice(options.skipRows);
+    const columns = resolveColumns(tableRows[options.headerRow - 1] || [], tableRows.slice(options.headerRow));
+    const { skipRows, headerRow, ...readOptions } = options;
+
+    closeCsvImportDialog();
+    startStreamingParse(file, {
+        ...readOptions,
+        dataStartRow: skipRows + headerRow,
+        columns,
+        mode,
+        sampleSize,
+        stratifyColumn
+    });
 }
 
-function updateSidebarStats(dataObject) {
-    rowCountEl.textContent = dataObject.data.length;
-    colCountEl.textContent = dataObject.meta.fields.length;
+/**
+ * Parses a whole delimited file on the main thread with the chosen import options.
+ * @param {File} file - The file to parse.
+ * @param {Object} options - The options returned by readCsvImportOptions.
+ */
+function parseDelimitedFile(file, options) {
+    Papa.parse(file, {
+        skipEmptyLines: true,
+        delimiter: options.delimiter,
+        quoteChar: options.quoteChar,
+        encoding: options.encoding,
+        complete: (results) => {
+            const parsed = delimitedRowsToResults(results.data, options);
+            if (parsed.data.length === 0) {
+                addErrorMessageToChat('Empty File', 'No data rows were found with the chosen import options.');
+                return;
+            }
+            handleSuccessfulParse(parsed, file.name);
+        },
+        error: (error) => {
+            addErrorMessageToChat('CSV Parsing Error', error.message);
+        }
+    });
 }
 
-function clearData() {
-    originalData = null;
-    activeData = null;
-    activeFilters = [];
-    stagedFilters = [];
-    isFilteredState = false;
-    chat = null; // Clear the chat session
-    fileInput.value = ''; // Reset file input
-    chatInput.disabled = true;
-    sendBtn.disabled = true;
+// --- Large Files (Worker Streaming) ---
 
-    // Clear all chart instances and remove them from the DOM
-    chartInstances.forEach(instance => instance.destroy());
-    chartInstances.clear();
-    
-    // Clear chat history by removing all generated messages
-    chatHistory.querySelectorAll('.message, .chart-message, .preview-in-chat, .error-message').forEach(el => el.remove());
+/**
+ * Runs a task in a new parse worker.
+ * @param {Object} message - The task message ({ type: 'parse' | 'aggregate', file, options, ... }).
+ * @param {Function} onProgress - Called with { loaded, total, rows } after every chunk.
+ * @returns {{ promise: Promise<Object>, cancel: Function }} The completion message and a way to stop it.
+ */
+function runParseWorker(message, onProgress) {
+    const worker = new Worker(new URL('./parse-worker.js', import.meta.url), { type: 'module' });
+    let cancel;
+
+    const promise = new Promise((resolve, reject) => {
+        const finish = () => {
+            worker.terminate();
+            activeParseTasks.delete(cancel);
+        };
+        cancel = () => {
+            finish();
+            const error = new Error('Loading was cancelled.');
+            error.cancelled = true;
+            reject(error);
+        };
+        worker.onmessage = (e) => {
+            const result = e.data;
+            if (result.type === 'progress') {
+                if (onProgress) onProgress(result);
+                return;
+            }
+            finish();
+            if (result.type === 'error') {
+                reject(new Error(result.message));
+            } else {
+                resolve(result);
+            }
+        };
+        worker.onerror = (e) => {
+            finish();
+            reject(new Error(e.message || 'The background parser stopped unexpectedly.'));
+        };
+    });
 
-    // Show the welcome screen
-    welcomeScreen.classList.remove('hidden');
+    activeParseTasks.add(cancel);
+    worker.postMessage(message);
+    return { promise, cancel };
+}
 
-    // Reset sidebar UI
-    dataSummary.classList.add('hidden');
-    // Show the persistent guide when data is cleared
-    sidebarAnalysisGuide.classList.remove('hidden');
-    uploadContainer.classList.remove('hidden');
-    exportOptions.classList.add('hidden');
-    clearDataBtn.classList.add('hidden');
-    filterSection.classList.add('hidden');
-    stagingSection.classList.add('hidden');
-    dataToolsSection.classList.add('hidden');
+/**
+ * Adds a progress bar with a cancel button to the chat.
+ * @returns {{ update: Function, remove: Function }} Controls for the progress message.
+ */
+function addParseProgressToChat(title, onCancel) {
+    const messageEl = document.createElement('div');
+    messageEl.classList.add('message', 'ai-message', 'parse-progress');
+    messageEl.innerHTML = `
+        <p><strong>${title}</strong></p>
+        <div class="progress-track"><div class="progress-fill"></div></div>
+        <div class="progress-footer">
+            <span class="progress-label">Starting...</span>
+            <button class="chart-action-btn">Cancel</button>
+        </div>
+    `;
+    messageEl.querySelector('button').addEventListener('click', onCancel);
+    chatHistory.appendChild(messageEl);
+    chatHistory.scrollTop = chatHistory.scrollHeight;
 
-    if (dataSection.classList.contains('open')) {
-        toggleSidebar();
-    }
+    const fillEl = messageEl.querySelector('.progress-fill');
+    const labelEl = messageEl.querySelector('.progress-label');
+    return {
+        update({ loaded, total, rows }) {
+            const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+            fillEl.style.width = `${percent}%`;
+            labelEl.textContent = `${percent}% · ${rows.toLocaleString()} rows read`;
+        },
+        remove() {
+            messageEl.remove();
+        }
+    };
 }
 
-// --- Data Tools Logic ---
+/**
+ * Parses a large delimited file in a worker, showing progress in the chat.
+ * @param {File} file - The file to parse.
+ * @param {Object} options - The read options ({ delimiter, quoteChar, encoding, dataStartRow, columns, decimal, thousands })
+ *   plus how much to keep ({ mode: 'full' | 'random' | 'stratified', sampleSize, stratifyColumn }).
+ */
+async function startStreamingParse(file, options) {
+    welcomeScreen.classList.add('hidden');
+    let task = null;
+    const progressUi = addParseProgressToChat(`Loading ${file.name}`, () => task.cancel());
+    task = runParseWorker({ type: 'parse', file, options }, progressUi.update);
 
-function populateColumnDropdowns(columns) {
-    const selects = [renameColSelect, mathCol1, mathCol2, filterColSelect];
-    selects.forEach(select => {
-        select.innerHTML = '';
-        columns.forEach(col => {
-            const option = document.createElement('option');
-            option.value = col;
-            option.textContent = col;
-            select.appendChild(option);
-        });
-    });
-}
+    try {
+        const { fields, data, totalRows } = await task.promise;
+        progressUi.remove();
 
-function handleManualRename() {
-    const oldCol = renameColSelect.value;
-    const newName = renameNewName.value.trim();
+        if (data.length === 0) {
+            addErrorMessageToChat('Empty File', 'The file does not contain any rows.');
+            return;
+        }
 
-    if (!oldCol || !newName) {
-        alert("Please select a column and enter a new name.");
-        return;
+        const results = { data, meta: { fields } };
+        let source = null;
+        const { mode, sampleSize, stratifyColumn, ...readOptions } = options;
+        if (mode !== 'full') {
+            results.meta.sample = {
+                mode,
+                rows: data.length,
+                totalRows,
+                stratifyColumn: mode === 'stratified' ? stratifyColumn : null
+            };
+            // Keep the read options so exact aggregates can re-stream the file the same way.
+            source = { file, options: readOptions };
+        }
+        handleSuccessfulParse(results, file.name, null, source);
+    } catch (error) {
+        progressUi.remove();
+        if (error.cancelled) {
+            addMessageToChat(`Stopped loading <strong>${file.name}</strong>.`, 'ai');
+        } else {
+            addErrorMessageToChat('CSV Parsing Error', error.message);
+            console.error("Streaming parse error:", error);
+        }
+        if (!originalData) welcomeScreen.classList.remove('hidden');
     }
+}
 
-    const config = {
-        action: 'rename_column',
-        oldColumn: oldCol,
-        newColumn: newName,
-        explanation: 'User manually renamed a column via sidebar tool.'
-    };
-    
-    executeManualTransformation(config);
-    renameNewName.value = ''; // Reset input
+/**
+ * Exact aggregates can be streamed from the file only while the active dataset is an
+ * untouched, unfiltered sample.
+ */
+function canAggregateFullFile() {
+    const entry = datasets.find(d => d.id === activeDatasetId);
+    return Boolean(entry && entry.source && originalData.meta.sample && !originalData.meta.sample.transformed && activeFilters.length === 0);
 }
 
-function handleManualMath() {
-    const newName = mathNewName.value.trim();
-    const col1 = mathCol1.value;
-    const op = mathOp.value;
-    const col2 = mathCol2.value;
+/**
+ * Runs an 'aggregate' step over every row of the sampled dataset's file.
+ * Falls back to aggregating the sample if the user cancels.
+ * @param {Object} params - The aggregate step params ({ groupBy, aggregations }).
+ * @param {Object} sampleData - The sampled data object, used for types and as the fallback.
+ * @returns {Promise<Object>} The aggregated data object.
+ */
+async function aggregateFullFile(params, sampleData) {
+    const { source } = datasets.find(d => d.id === activeDatasetId);
+    let task = null;
+    const progressUi = addParseProgressToChat('Computing exact values over the full file', () => task.cancel());
+    task = runParseWorker({
+        type: 'aggregate',
+        file: source.file,
+        options: source.options,
+        params,
+        numberFormats: sampleData.meta.numberFormats || {},
+        dateFormats: sampleData.meta.dateFormats || {},
+        timeZone: dataTimezone
+    }, progressUi.update);
 
-    if (!newName || !col1 || !col2) {
-        alert("Please fill in all fields.");
-        return;
+    try {
+        const result = await task.promise;
+        progressUi.remove();
+        addMessageToChat(`Aggregated exactly over all ${result.totalRows.toLocaleString()} rows of the file (the loaded sample has ${originalData.data.length.toLocaleString()}).`, 'ai');
+
+        // Aggregating no rows yields the same schema and types the sample path would produce.
+        const { meta } = executeAggregate({ data: [], meta: sampleData.meta }, params);
+        return { data: result.data, meta };
+    } catch (error) {
+        progressUi.remove();
+        if (!error.cancelled) console.error("Streaming aggregate error:", error);
+        addMessageToChat('Using the loaded sample for this step instead of the full file.', 'ai');
+        return executeDataStep(sampleData, { action: 'aggregate', params });
     }
+}
 
-    const config = {
-        action: 'create_column',
-        newColumn: newName,
-        column1: col1,
-        operator: op,
-        column2: col2,
-        explanation: 'User manually created a calculated column via sidebar tool.'
-    };
+// --- JSON & NDJSON ---
 
-    executeManualTransformation(config);
-    mathNewName.value = ''; // Reset input
-}
+const JSON_ARRAY_SCAN_LIMIT = 200; // Records inspected when looking for list fields
 
-function handleManualFilterAdd() {
-    const col = filterColSelect.value;
-    const op = filterOp.value;
-    const val = filterValue.value.trim();
+/**
+ * Parses JSON or newline-delimited JSON text into an array of records.
+ * A top-level object is unwrapped to its largest array of objects (e.g. { "data": [...] }).
+ * @param {string} text - The file contents.
+ * @returns {Array} The records.
+ */
+function parseJsonRecords(text) {
+    const trimmed = text.trim();
+    if (!trimmed) return [];
 
-    if (!col || !val) {
-        alert("Please select a column and enter a value.");
-        return;
+    let parsed;
+    try {
+        parsed = JSON.parse(trimmed);
+    } catch (error) {
+        // Not a single JSON document, so treat it as NDJSON: one JSON value per line.
+        return trimmed.split(/\r?\n/).reduce((records, line, index) => {
+            if (!line.trim()) return records;
+            try {
+                records.push(JSON.parse(line));
+            } catch (lineError) {
+                throw new Error(`Line ${index + 1} is not valid JSON: ${lineError.message}`);
+            }
+            return records;
+        }, []);
     }
-    
-    if (op !== 'equals') {
-        const config = {
-            action: 'remove_rows',
-            explanation: `User manually filtered data (kept rows where ${col} ${op} ${val}).`,
-            conditions: [{
-                column: col,
-                operator: op, // logic needs inversion if we use remove_rows to simulate "keep"
-                value: val
-            }]
-        };
-        
-        if (op === 'equals') {
-            stagedFilters.push({ column: col, value: val });
-            updateStagingUi();
-            filterValue.value = '';
-        } else {
-             alert("For complex filters (>, <, contains), please use the 'Transform' chat command (e.g., 'Remove rows where price < 100') or select 'Equals'.");
+
+    if (Array.isArray(parsed)) return parsed;
+    if (parsed && typeof parsed === 'object') {
+        const arrays = Object.values(parsed).filter(value => Array.isArray(value) && value.some(v => v && typeof v === 'object'));
+        if (arrays.length > 0) {
+            return arrays.reduce((largest, arr) => arr.length > largest.length ? arr : largest);
         }
-        return;
+        return [parsed]; // A single record
     }
-    
-    stagedFilters.push({ column: col, value: val });
-    updateStagingUi();
-    filterValue.value = '';
+    return [parsed];
 }
 
-function executeManualTransformation(config) {
-    const result = applyTransformation(config, originalData);
-        
-    if (result.success) {
-        originalData = result.newData;
-        activeData = result.newData;
-        
-        // Clear active filters
-        if(activeFilters.length > 0) {
-            activeFilters = [];
-            isFilteredState = false;
-            filterSection.classList.add('hidden');
+/**
+ * Lists the dotted paths of fields that hold arrays, so they can be offered for exploding.
+ */
+function findArrayPaths(records) {
+    const paths = new Set();
+    const visit = (value, prefix) => {
+        if (Array.isArray(value)) {
+            if (prefix) paths.add(prefix);
+        } else if (value && typeof value === 'object') {
+            Object.keys(value).forEach(key => visit(value[key], prefix ? `${prefix}.${key}` : key));
         }
+    };
+    records.slice(0, JSON_ARRAY_SCAN_LIMIT).forEach(record => visit(record, ''));
+    return Array.from(paths);
+}
 
-        initializeChatSession(originalData);
-        addMessageToChat(result.message, 'ai');
-        updateSidebarStats(originalData);
-        addPreviewToChat(originalData);
-        
-        // CRITICAL: Refresh the dropdowns since columns changed
-        populateColumnDropdowns(originalData.meta.fields);
-        
+/**
+ * Flattens a nested record into a single-level object with dotted column names.
+ * Lists that are not exploded are kept as text: "a, b" for plain values, JSON for objects.
+ */
+function flattenRecord(value, prefix = '', out = {}) {
+    if (Array.isArray(value)) {
+        out[prefix || 'value'] = value.every(v => v === null || typeof v !== 'object') ? value.join(', ') : JSON.stringify(value);
+    } else if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 0 && prefix) out[prefix] = '';
+        keys.forEach(key => flattenRecord(value[key], prefix ? `${prefix}.${key}` : key, out));
     } else {
-         addErrorMessageToChat('Transformation Failed', result.message);
+        out[prefix || 'value'] = value === null || value === undefined ? '' : value;
     }
+    return out;
 }
 
+/**
+ * Turns each record into one record per element of the array found at the dotted path.
+ * Records where the path is missing or empty are kept once with an empty value.
+ */
+function explodeRecords(records, path) {
+    const keys = path.split('.');
+    // Copies the record with the value at the path replaced (or removed when element is undefined).
+    const withValueAt = (record, depth, element) => {
+        const copy = { ...record };
+        if (depth < keys.length - 1) {
+            copy[keys[depth]] = withValueAt(record[keys[depth]] || {}, depth + 1, element);
+        } else if (element === undefined) {
+            delete copy[keys[depth]];
+        } else {
+            copy[keys[depth]] = element;
+        }
+        return copy;
+    };
 
-// --- Data Filtering ---
-function applyFilters() {
-    if (activeFilters.length > 0) {
-        let filteredRows = originalData.data;
-        activeFilters.forEach(filter => {
-            const { column, value } = filter;
-            filteredRows = filteredRows.filter(row => String(row[column]) === String(value));
-        });
-
-        activeData = {
-            ...originalData,
-            data: filteredRows,
-        };
-        isFilteredState = true;
-        updateUiForFilters();
-    } else {
-        // Clearing the filter
-        activeData = originalData;
-        isFilteredState = false;
-        filterSection.classList.add('hidden');
-        updateSidebarStats(activeData);
-    }
+    return records.flatMap(record => {
+        const list = keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), record);
+        if (!Array.isArray(list) || list.length === 0) {
+            return [withValueAt(record, 0, undefined)];
+        }
+        return list.map(element => withValueAt(record, 0, element));
+    });
 }
 
-function handleClearFilters() {
-    // 1. Select all messages that were generated while filters were active.
-    const messagesToRemove = chatHistory.querySelectorAll('[data-filter-message="true"]');
-    
-    // 2. Animate them out and then remove them from the DOM.
-    messagesToRemove.forEach(msg => {
-        msg.classList.add('fade-out-and-remove');
-        // The 'animationend' event ensures the element is removed only after the animation finishes.
-        msg.addEventListener('animationend', () => {
-            msg.remove();
-        }, { once: true });
+/**
+ * Converts JSON records into the { data, meta } shape produced by Papa.parse.
+ * Columns are the union of all flattened keys, in first-seen order.
+ */
+function jsonRecordsToResults(records, explodePath = null) {
+    const source = explodePath ? explodeRecords(records, explodePath) : records;
+    const flattened = source.map(record => flattenRecord(record));
+
+    const fieldSet = new Set();
+    flattened.forEach(row => Object.keys(row).forEach(key => fieldSet.add(key)));
+    const fields = Array.from(fieldSet);
+
+    const data = flattened.map(row => {
+        const record = {};
+        fields.forEach(field => {
+            record[field] = row[field] === undefined ? '' : row[field];
+        });
+        return record;
     });
-    
-    // 3. Reset the filter state.
-    activeFilters = [];
-    applyFilters(); // This will reset activeData and set isFilteredState to false.
-    
-    // 4. Add a confirmation message.
-    addMessageToChat('All filters have been cleared. Showing all data.', 'ai');
+
+    return { data, meta: { fields } };
 }
 
+function handleJsonText(text, fileName) {
+    let records;
+    try {
+        records = parseJsonRecords(text);
+    } catch (error) {
+        addErrorMessageToChat('JSON Parsing Error', `Could not read the JSON file. ${error.message}`);
+        return;
+    }
 
-function updateUiForFilters() {
-    filterList.innerHTML = '';
-    activeFilters.forEach(filter => {
-        const item = document.createElement('div');
-        item.classList.add('filter-item');
-        item.innerHTML = `<span>${filter.column}</span> = <span>${filter.value}</span>`;
-        filterList.appendChild(item);
+    if (records.length === 0) {
+        addErrorMessageToChat('Empty File', 'The JSON file does not contain any records.');
+        return;
+    }
+
+    const arrayPaths = findArrayPaths(records);
+    if (arrayPaths.length === 0) {
+        handleSuccessfulParse(jsonRecordsToResults(records), fileName);
+        return;
+    }
+
+    // Some fields hold lists: let the user decide whether to explode one of them into rows.
+    pendingJsonImport = { fileName, records };
+    jsonOptionsSubtitle.textContent = `"${fileName}" has ${records.length} records and ${arrayPaths.length} list field(s). Nested objects become dotted column names. Lists are kept as text unless you explode one into a row per element.`;
+    jsonExplodeSelect.innerHTML = '<option value="">Don\'t explode (keep lists as text)</option>';
+    arrayPaths.forEach(path => {
+        const option = document.createElement('option');
+        option.value = path;
+        option.textContent = path;
+        jsonExplodeSelect.appendChild(option);
     });
+    jsonOptionsModal.classList.add('visible');
+}
 
-    filterSection.classList.remove('hidden');
-    updateSidebarStats(activeData);
+function closeJsonOptions() {
+    jsonOptionsModal.classList.remove('visible');
+    pendingJsonImport = null;
+}
 
-    const filterSummary = activeFilters.map(f => `<em>${f.column}</em> is <em>${f.value}</em>`).join(' AND ');
-    addMessageToChat(`<strong>Filters applied:</strong> Showing data where ${filterSummary}. All analyses will now use this subset.`, 'ai');
-    addPreviewToChat(activeData);
-    generateAndDisplayFollowUpQuestions('<strong>What\'s next?</strong> Here are some ideas for the filtered data:');
+function handleLoadJsonImport() {
+    if (!pendingJsonImport) return;
+    const { fileName, records } = pendingJsonImport;
+    const explodePath = jsonExplodeSelect.value || null;
+    closeJsonOptions();
+    handleSuccessfulParse(jsonRecordsToResults(records, explodePath), fileName);
 }
 
-function updateStagingUi() {
-    if (stagedFilters.length > 0) {
-        stagedFiltersList.innerHTML = '';
-        stagedFilters.forEach((filter, index) => {
-            const item = document.createElement('div');
-            item.classList.add('staged-filter-item');
-            item.innerHTML = `
-                <span><strong>${filter.column}:</strong> ${filter.value}</span>
-                <button class="remove-staged-btn" data-index="${index}" aria-label="Remove filter">&times;</button>
-            `;
-            stagedFiltersList.appendChild(item);
-        });
-        
-        // Add event listeners to new remove buttons
-        stagedFiltersList.querySelectorAll('.remove-staged-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const indexToRemove = parseInt(e.currentTarget.dataset.index, 10);
-                stagedFilters.splice(indexToRemove, 1);
-                updateStagingUi(); // Re-render
+// --- Parquet & Arrow ---
+
+function loadParquetModule() {
+    if (!parquetModulePromise) {
+        parquetModulePromise = import(PARQUET_WASM_URL)
+            .then(async (module) => {
+                await module.default(); // Instantiate the WebAssembly binary
+                return module;
+            })
+            .catch(error => {
+                parquetModulePromise = null; // Allow a retry after a network failure
+                throw error;
             });
-        });
+    }
+    return parquetModulePromise;
+}
 
-        stagingSection.classList.remove('hidden');
+/**
+ * Reads a Parquet or Arrow IPC file into the { data, meta } shape used by the app.
+ * @param {File} file - The uploaded file.
+ * @param {boolean} isParquet - True for Parquet, false for Arrow IPC (file or stream format).
+ * @returns {Promise<Object>} The parsed results, typed from the file schema.
+ */
+async function readColumnarFile(file, isParquet) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let table;
+    if (isParquet) {
+        const { readParquet } = await loadParquetModule();
+        table = tableFromIPC(readParquet(bytes).intoIPCStream());
     } else {
-        stagingSection.classList.add('hidden');
+        table = tableFromIPC(bytes);
+    }
+    if (table.numRows === 0) {
+        throw new Error('The file does not contain any rows.');
     }
+    return arrowTableToResults(table);
 }
 
-function handleApplyStagedFilters() {
-    activeFilters = [...activeFilters, ...stagedFilters];
-    // Remove duplicates
-    activeFilters = activeFilters.filter((filter, index, self) =>
-        index === self.findIndex((f) => (
-            f.column === filter.column && f.value === filter.value
-        ))
-    );
-    stagedFilters = [];
-    updateStagingUi();
-    applyFilters();
+/**
+ * Maps an Arrow data type to one of the app's column types, or null for text columns
+ * whose categorical/string split still depends on their values.
+ */
+function arrowTypeToColumnType(type) {
+    if (DataType.isDictionary(type)) return 'categorical';
+    if (DataType.isInt(type)) return 'integer';
+    if (DataType.isFloat(type) || DataType.isDecimal(type)) return 'numerical';
+    if (DataType.isDate(type) || DataType.isTimestamp(type)) return 'temporal';
+    if (DataType.isBool(type)) return 'boolean';
+    return null;
 }
 
-function handleCancelStaging() {
-    stagedFilters = [];
-    updateStagingUi();
+function convertArrowValue(value, type) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'bigint') return Number(value);
+    if (DataType.isDate(type) || DataType.isTimestamp(type)) {
+        const date = value instanceof Date ? value : new Date(Number(value));
+        if (isNaN(date.getTime())) return null;
+        // Plain dates keep their calendar day; timestamps keep the full instant.
+        return DataType.isDate(type) ? date.toISOString().slice(0, 10) : date.toISOString();
+    }
+    // Decimals arrive as their unscaled integer, so DECIMAL(10,2) 123.45 reads as 12345.
+    if (DataType.isDecimal(type)) return Number(`${value}e${-type.scale}`);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
 }
 
-// --- Chat & AI ---
+function arrowTableToResults(table) {
+    const schemaFields = table.schema.fields;
+    const fields = schemaFields.map(field => field.name);
+    const columns = fields.map(name => table.getChild(name));
 
-function createSystemInstruction(dataObject) {
-    const { data, meta } = dataObject;
-    
-    const columnsWithTypes = meta.fields.map(field => 
-        `${field} (${meta.inferredTypes[field] || 'string'})`
-    ).join(', ');
+    const data = new Array(table.numRows);
+    for (let i = 0; i < table.numRows; i++) {
+        const row = {};
+        schemaFields.forEach((field, c) => {
+            row[field.name] = convertArrowValue(columns[c].get(i), field.type);
+        });
+        data[i] = row;
+    }
 
-    const sampleDataForContext = Papa.unparse(data.slice(0, 20));
+    const inferredTypes = {};
+    const textFields = [];
+    schemaFields.forEach(field => {
+        const type = arrowTypeToColumnType(field.type);
+        if (type) {
+            inferredTypes[field.name] = type;
+        } else {
+            textFields.push(field.name);
+        }
+    });
 
-    return `
-You are an expert data analyst AI inside a web application. Your task is to analyze a dataset based on a user's question and provide concise answers, along with visualizations. You will maintain a conversation history.
-
-The user has uploaded a dataset with the following schema and data sample:
-- Columns with inferred data types: ${columnsWithTypes}
-- Sample Data (first 20 rows in CSV format):
-${sampleDataForContext}
-
---- CHARTING & AGGREGATION LOGIC ---
-When the user asks for a visualization, you MUST use the inferred data types to make intelligent choices about the chart type and aggregation method.
-- **Temporal vs. Numerical**: Use 'line' or 'area' charts to show trends over time.
-- **Categorical vs. Numerical**: Use 'bar', 'pie', or 'donut' charts. For bar charts, sort by the numerical value descending.
-- **Numerical vs. Numerical**: Use 'scatter' plots to show relationships.
-- **Aggregation**:
-  - For 'numerical' value columns, default to 'sum' or 'average'.
-  - For 'categorical' columns that are being measured, use 'count'.
-
---- RESPONSE RULES ---
-Always provide your response in two parts, separated by "---VIZ---".
-
-PART 1: Answer
-A very concise, text-based answer to the user's question, styled with simple HTML tags (e.g., <strong>, <p>). Keep the text to a minimum. If the user's query is a follow-up, your text should acknowledge the context.
+    // Text columns are strings by schema; their values only refine which kind of text they hold.
+    const textTypes = inferColumnTypes(data, textFields);
+    textFields.forEach(name => {
+        inferredTypes[name] = isNumericType(textTypes[name]) ? 'string' : textTypes[name];
+    });
 
-PART 2: Visualization
-This part contains a single JSON object.
+    return { data, meta: { fields, inferredTypes, typesFromSchema: true } };
+}
 
---- JSON FORMAT & LOGIC ---
-First, determine if the user's request is a "simple" or "complex" analysis.
-- A "simple" analysis is a direct aggregation (sum, average, count) on one of the existing columns. Example: "What is the total sales for each product_category?".
-- A "complex" analysis requires data manipulation *before* aggregation, such as grouping data into time bins (e.g., "every two hours"), creating new categories based on conditions, or other advanced transformations. Example: "Visualize sales on a two-hourly basis throughout the day."
+/**
+ * Builds an Arrow table from a data object, using the column types to pick Arrow types.
+ */
+function dataObjectToArrowTable(dataObject) {
+    const { data, meta } = dataObject;
+    const vectors = {};
+    meta.fields.forEach(field => {
+        const type = meta.inferredTypes[field];
+        const values = data.map(row => row[field]);
+        const isEmpty = (v) => v === null || v === undefined || v === '';
+        // Year columns are temporal but hold plain numbers, which are kept as numbers.
+        if (isNumericType(type) || (type === 'temporal' && values.every(v => isEmpty(v) || typeof v === 'number'))) {
+            vectors[field] = vectorFromArray(values.map(v => {
+                const num = typeof v === 'number' ? v : parseFloat(String(v).replace(/,/g, ''));
+                return v === null || v === undefined || v === '' || isNaN(num) ? null : num;
+            }), new Float64());
+        } else if (type === 'temporal' && !(meta.dateFormats && meta.dateFormats[field] === 'time')) {
+            // Times of day have no date, so they are written as text instead.
+            vectors[field] = vectorFromArray(values.map(v => {
+                const time = v === null || v === undefined || v === '' ? NaN : new Date(v).getTime();
+                return isNaN(time) ? null : time;
+            }), new TimestampMillisecond());
+        } else if (values.some(v => typeof v === 'boolean') && values.every(v => v === null || v === undefined || v === '' || typeof v === 'boolean')) {
+            vectors[field] = vectorFromArray(values.map(v => typeof v === 'boolean' ? v : null), new Bool());
+        } else {
+            vectors[field] = vectorFromArray(values.map(v => v === null || v === undefined ? null : String(v)), new Utf8());
+        }
+    });
+    return new ArrowTable(vectors);
+}
 
-Based on your determination, your JSON response MUST be in one of the following two formats:
+// --- Excel Workbooks ---
 
-**FORMAT A: For Simple Analysis**
-{
-  "analysisType": "simple",
-  "chartConfig": {
-    "chartType": "bar" | "line" | "area" | "pie" | "donut" | "scatter",
-    "title": "A descriptive chart title",
-    "aggregation": "sum" | "average" | "count",
-    "xAxisColumn": "column_name_for_x_axis",
-    "yAxisColumn": "column_name_for_y_axis",
-    "categoryColumn": "column_name_for_pie_or_donut_labels",
-    "valueColumn": "column_name_for_pie_or_donut_values",
-    "explanation": "A concise, bulleted HTML list (e.g., <ul><li>Insight 1 with numbers.</li><li>Insight 2.</li></ul>) summarizing the chart's key findings."
-  }
-}
-- Use this format when the frontend can calculate the data itself using the specified aggregation and columns.
-- **CRITICAL**: Column names MUST exist in the schema.
-- Aggregation Logic: For "count", omit yAxisColumn/valueColumn. For "sum" or "average", both label and value columns are required.
-- For scatter charts, omit \`aggregation\` and provide \`xAxisColumn\` and \`yAxisColumn\`.
+const HEADER_SCAN_LIMIT = 20; // Rows inspected when looking for the header row
+const HEADER_MIN_WIDTH_RATIO = 0.6; // Header must span most of the table's columns
 
-**FORMAT B: For Complex Analysis**
-{
-  "analysisType": "complex",
-  "chartConfig": {
-    "chartType": "bar" | "line" | "area",
-    "title": "A descriptive chart title",
-    "explanation": "A concise, bulleted HTML list...",
-    "axisTitles": {
-        "x": "X-Axis Title (e.g., 'Time of Day')",
-        "y": "Y-Axis Title (e.g., 'Total Sales')"
-    }
-  },
-  "chartData": {
-    "labels": ["Label 1", "Label 2", "Label 3"],
-    "values": [150, 230, 180]
-  }
+function isFilledCell(cell) {
+    return cell !== null && cell !== undefined && String(cell).trim() !== '';
 }
-- Use this format when the request requires custom data processing that the frontend cannot do (like time binning).
-- You MUST perform the aggregation yourself based on the full dataset context and return the final data points in \`chartData\`.
-- \`chartData.labels\` and \`chartData.values\` MUST be arrays of the same length.
-- In \`chartConfig\` for complex analysis, you do not need aggregation or column keys. Provide \`axisTitles\` instead.
 
---- SCENARIOS ---
-If the user's question is vague (e.g., "visualize this data"), you MUST generate 2-3 different visualizations.
-- Your text answer should be a brief introduction.
-- The visualization part must be a single JSON object with a "visualizations" key. The value should be an array of 2-3 objects, where each object follows either "FORMAT A" or "FORMAT B" from above. Example:
-{
-  "visualizations": [
-    { "analysisType": "simple", "chartConfig": { /* ... */ } },
-    { "analysisType": "simple", "chartConfig": { /* ... */ } }
-  ]
-}
-`;
+/**
+ * Reads every sheet of a workbook as raw rows and detects where each table starts.
+ * @param {Object} workbook - A SheetJS workbook.
+ * @returns {Array<Object>} One { name, rows, headerRowIndex, rowCount } entry per sheet.
+ */
+function readWorkbookSheets(workbook) {
+    const date1904 = Boolean(workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904);
+    return workbook.SheetNames.map(name => {
+        convertDateCells(workbook.Sheets[name], date1904);
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '', blankrows: false });
+        const headerRowIndex = detectHeaderRow(rows);
+        return {
+            name,
+            rows,
+            headerRowIndex,
+            rowCount: Math.max(0, rows.length - headerRowIndex - 1)
+        };
+    });
 }
 
-function initializeChatSession(dataObject) {
-    if (!ai) {
-        addErrorMessageToChat('AI Not Initialized', 'Cannot start chat session.');
-        return;
-    }
-    
-    const systemInstruction = createSystemInstruction(dataObject);
-
-    chat = ai.chats.create({
-        model: 'gemini-2.5-flash',
-        config: {
-            systemInstruction: systemInstruction,
-        },
+/**
+ * Excel stores dates as serial day numbers that are only dates through their number format.
+ * Rewrites those cells as ISO text so they load as dates rather than as numbers like 45292.
+ * @param {Object} sheet - A SheetJS worksheet, mutated in place.
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system.
+ */
+function convertDateCells(sheet, date1904) {
+    Object.keys(sheet).forEach(address => {
+        if (address.startsWith('!')) return; // Sheet metadata such as !ref and !merges
+        const cell = sheet[address];
+        if (cell.t !== 'n' || !cell.z || !XLSX.SSF.is_date(cell.z)) return;
+        const iso = excelSerialToIso(cell.v, date1904);
+        if (iso === null) return;
+        cell.t = 's';
+        cell.v = iso;
+        delete cell.w;
     });
 }
 
-async function generateInitialDataSummary(dataObject) {
-    if (!chat) {
-        addErrorMessageToChat('Chat Not Initialized', 'Cannot generate summary because the chat session is not available.');
-        return;
-    }
-    
-    showLoadingIndicator();
-
-    try {
-        const { data } = dataObject;
-        const sampleData = Papa.unparse(data.slice(0, 5));
-
-        const prompt = `
-A new dataset has just been uploaded. Your task is to provide an immediate, insightful overview with key visualizations to get the user started.
+/**
+ * Finds the row that most likely holds the column headers.
+ * Title banners and notes above a table usually fill only one or two cells, so the
+ * header is the first row that spans most of the table and is made of text labels.
+ * @param {Array<Array>} rows - The sheet as an array of row arrays.
+ * @returns {number} The zero-based index of the header row.
+ */
+function detectHeaderRow(rows) {
+    const scanned = rows.slice(0, HEADER_SCAN_LIMIT);
+    const tableWidth = scanned.reduce((max, row) => Math.max(max, row.filter(isFilledCell).length), 0);
+    if (tableWidth === 0) return 0;
 
-Here's the sample data (first 5 rows) for initial context:
-${sampleData}
+    const minWidth = Math.min(tableWidth, Math.max(2, Math.ceil(tableWidth * HEADER_MIN_WIDTH_RATIO)));
 
---- TASK ---
-Provide a response that follows the two-part format (text and viz) you were instructed on.
-1.  **Text Part**: A single welcoming <p> tag that briefly describes the dataset's likely content.
-2.  **Viz Part**: A JSON object with a "visualizations" key, containing an array of 2 to 3 different chart configurations that provide a broad overview (e.g., distributions, totals), making sure to use your knowledge of the column data types to pick appropriate charts.
-`;
-        const response = await chat.sendMessage({ message: prompt });
-        
-        await processAiResponse(response.text);
+    for (let i = 0; i < scanned.length; i++) {
+        const cells = scanned[i].filter(isFilledCell);
+        if (cells.length < minWidth) continue;
 
-    } catch (error) {
-        addErrorMessageToChat('Initial Analysis Failed', 'I encountered an issue while creating the initial summary and charts. Please try uploading the file again.');
-        console.error(error);
-    } finally {
-        removeLoadingIndicator();
+        const labelCells = cells.filter(cell => typeof cell === 'string' && isNaN(Number(cell)));
+        if (labelCells.length / cells.length >= 0.8) {
+            return i;
+        }
     }
+    return 0;
 }
 
-async function generateAndDisplayFollowUpQuestions(title) {
-    if (!ai || !activeData) return;
+/**
+ * Names the columns of a table from its header row.
+ * Blank or repeated header cells get unique fallback names; unnamed columns with no values are dropped.
+ * @param {Array} headerRow - The header cells (empty when the table has no header).
+ * @param {Array<Array>} bodyRows - The data rows.
+ * @returns {Array<Object>} One { name, index } entry per kept column.
+ */
+function resolveColumns(headerRow, bodyRows) {
+    const width = bodyRows.reduce((max, row) => Math.max(max, row.length), headerRow.length);
+
+    const columns = [];
+    const usedNames = new Set();
+    for (let i = 0; i < width; i++) {
+        const label = isFilledCell(headerRow[i]) ? String(headerRow[i]).trim() : '';
+        if (!label && !bodyRows.some(row => isFilledCell(row[i]))) continue;
+
+        let name = label || `Column ${i + 1}`;
+        let suffix = 2;
+        while (usedNames.has(name)) {
+            name = `${label || `Column ${i + 1}`}_${suffix++}`;
+        }
+        usedNames.add(name);
+        columns.push({ name, index: i });
+    }
+    return columns;
+}
 
-    try {
-        const { meta } = activeData;
-        const columnsWithTypes = meta.fields.map(field =>
-            `${field} (${meta.inferredTypes[field] || 'string'})`
-        ).join(', ');
+/**
+ * Converts raw sheet rows into the { data, meta } shape produced by Papa.parse.
+ * @param {Array<Array>} rows - The sheet as an array of row arrays.
+ * @param {number} headerRowIndex - The zero-based index of the header row, or -1 if there is none.
+ * @returns {Object} The parsed results object.
+ */
+function sheetRowsToResults(rows, headerRowIndex) {
+    const headerRow = rows[headerRowIndex] || [];
+    const bodyRows = rows.slice(headerRowIndex + 1);
+    const columns = resolveColumns(headerRow, bodyRows);
+
+    const data = bodyRows
+        .filter(row => columns.some(({ index }) => isFilledCell(row[index])))
+        .map(row => {
+            const record = {};
+            columns.forEach(({ name, index }) => {
+                record[name] = row[index] === undefined ? '' : row[index];
+            });
+            return record;
+        });
 
-        const prompt = `
-You are a helpful data analyst assistant. Your task is to suggest insightful follow-up questions based on a dataset's schema and inferred data types.
+    return { data, meta: { fields: columns.map(col => col.name) } };
+}
 
-Dataset Schema:
-[${columnsWithTypes}]
+function openSheetPicker(fileName, sheets) {
+    pendingWorkbook = { fileName, sheets };
+    sheetPickerSubtitle.textContent = `"${fileName}" has ${sheets.length} sheets. Pick the ones to load; each sheet becomes its own dataset that you can switch to from the sidebar.`;
 
---- TASK ---
-Generate a JSON array containing 2 to 3 insightful yet simple and direct analysis questions a user could ask about this data.
+    // Pre-select the largest sheet, which is usually where the real data lives.
+    const largestIndex = sheets.reduce((best, sheet, index) => sheet.rowCount > sheets[best].rowCount ? index : best, 0);
 
---- GUIDELINES ---
-- Use the data types to ask appropriate questions. For example, suggest line charts for 'temporal' data, bar charts for 'categorical', and scatter plots for two 'numerical' columns.
-- Questions must be diverse and explore different aspects of the data.
-- Good examples: "Show the trend of [Numerical Column] over [Temporal Column].", "What is the total [Numerical Column] for each [Categorical Column]?", "Is there a relationship between [Numerical Column 1] and [Numerical Column 2]?"
-- AVOID complex, multi-part questions.
+    sheetPickerList.innerHTML = '';
+    sheets.forEach((sheet, index) => {
+        const item = document.createElement('div');
+        item.classList.add('sheet-picker-item');
+        if (sheet.rowCount === 0) item.classList.add('empty');
+        item.innerHTML = `
+            <input type="checkbox" id="sheet-pick-${index}" data-index="${index}" ${index === largestIndex ? 'checked' : ''} ${sheet.rowCount === 0 ? 'disabled' : ''}>
+            <label for="sheet-pick-${index}" class="sheet-picker-name">${sheet.name}</label>
+            <span class="sheet-picker-meta">${sheet.rowCount} rows · header row</span>
+            <input type="number" class="neo-input" min="1" max="${Math.max(1, sheet.rows.length)}" value="${sheet.headerRowIndex + 1}" data-index="${index}" aria-label="Header row for ${sheet.name}" ${sheet.rowCount === 0 ? 'disabled' : ''}>
+        `;
+
+        // Keep the row count in sync when the user moves the header row.
+        const headerInput = item.querySelector('input[type="number"]');
+        const metaEl = item.querySelector('.sheet-picker-meta');
+        headerInput.addEventListener('input', () => {
+            const headerRowIndex = Math.max(0, (parseInt(headerInput.value, 10) || 1) - 1);
+            metaEl.textContent = `${Math.max(0, sheet.rows.length - headerRowIndex - 1)} rows · header row`;
+        });
 
---- RESPONSE FORMAT ---
-- Respond with ONLY the JSON array of strings.
-- Example: ["What is the distribution of sales by region?", "Show the top 5 selling products by total revenue."]
-- DO NOT use markdown like \`\`\`json.`;
+        sheetPickerList.appendChild(item);
+    });
 
-        // Use a stateless call for this helper function to not pollute the main chat history
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: prompt,
-        });
+    sheetPickerModal.classList.add('visible');
+}
 
-        const jsonString = response.text.trim().replace(/```json/g, '').replace(/```/g, '');
-        const suggestedQuestions = JSON.parse(jsonString);
+function closeSheetPicker() {
+    sheetPickerModal.classList.remove('visible');
+    sheetPickerList.innerHTML = '';
+    pendingWorkbook = null;
+    fileInput.value = ''; // Allow the same workbook to be picked again
+}
 
-        if (Array.isArray(suggestedQuestions) && suggestedQuestions.length > 0) {
-            addSuggestedQuestionsToChat(suggestedQuestions, title);
+function handleLoadSelectedSheets() {
+    if (!pendingWorkbook) return;
+    const { fileName, sheets } = pendingWorkbook;
+
+    const selected = [];
+    sheetPickerList.querySelectorAll('input[type="checkbox"]:checked').forEach(checkbox => {
+        const index = checkbox.dataset.index;
+        const headerInput = sheetPickerList.querySelector(`input[type="number"][data-index="${index}"]`);
+        const headerRowIndex = Math.max(0, (parseInt(headerInput.value, 10) || 1) - 1);
+        const results = sheetRowsToResults(sheets[index].rows, headerRowIndex);
+        if (results.data.length > 0) {
+            selected.push({ sheetName: sheets[index].name, results });
         }
+    });
 
-    } catch (error) {
-        console.error("Could not generate follow-up questions:", error);
-        // Fail silently, this is a non-essential feature.
+    if (selected.length === 0) {
+        alert("Please select at least one sheet that contains data.");
+        return;
     }
-}
 
+    closeSheetPicker();
 
-function addSuggestedQuestionsToChat(questions, titleText) {
-    const containerEl = document.createElement('div');
-    containerEl.classList.add('message', 'ai-message');
-    
-    if (isFilteredState) {
-        containerEl.dataset.filterMessage = 'true';
+    const isFirstLoad = !originalData;
+    const [first, ...rest] = selected;
+    handleSuccessfulParse(first.results, fileName, first.sheetName);
+
+    if (rest.length > 0) {
+        rest.forEach(sheet => addCleaningReportToChat(addDatasetToWorkspace(sheet.results, fileName, sheet.sheetName)));
+        updateSheetIndicator();
+        updateWorkspaceList();
+        if (isFirstLoad) {
+            addMessageToChat(`Loaded ${selected.length} sheets as separate datasets: ${selected.map(s => `<em>${s.sheetName}</em>`).join(', ')}. You are now analyzing <strong>${first.sheetName}</strong>; use the sheet selector in the sidebar to switch.`, 'ai');
+        }
     }
+}
 
-    const title = document.createElement('p');
-    title.innerHTML = titleText;
-    containerEl.appendChild(title);
+function updateSheetIndicator() {
+    const active = datasets.find(d => d.id === activeDatasetId);
+    if (!active || !active.sheetName) {
+        sheetIndicator.classList.add('hidden');
+        return;
+    }
 
-    const buttonGroup = document.createElement('div');
-    buttonGroup.classList.add('suggested-questions-buttons');
-    questions.slice(0, 4).forEach(q => { // Max 4 questions
-        const button = document.createElement('button');
-        button.textContent = q;
-        button.classList.add('suggested-question-btn');
-        button.addEventListener('click', async () => {
-            // Disable all buttons in this group after one is clicked
-            containerEl.querySelectorAll('.suggested-question-btn').forEach(btn => {
-                btn.disabled = true;
-            });
-            
-            // Manually trigger the send message flow
-            chatInput.value = q;
-            // The handleSendMessage function will add the message to the chat.
-            handleSendMessage({ preventDefault: () => {} });
-        });
-        buttonGroup.appendChild(button);
+    const sheetsFromFile = datasets.filter(d => d.fileName === active.fileName && d.sheetName);
+    activeSheetNameEl.textContent = active.sheetName;
+
+    sheetSelect.innerHTML = '';
+    sheetsFromFile.forEach(d => {
+        const option = document.createElement('option');
+        option.value = d.id;
+        option.textContent = d.sheetName;
+        option.selected = d.id === active.id;
+        sheetSelect.appendChild(option);
     });
 
-    containerEl.appendChild(buttonGroup);
-    chatHistory.appendChild(containerEl);
-    chatHistory.scrollTop = chatHistory.scrollHeight;
+    // With several sheets loaded the dropdown doubles as the indicator.
+    const canSwitch = sheetsFromFile.length > 1;
+    sheetSelect.classList.toggle('hidden', !canSwitch);
+    activeSheetNameEl.classList.toggle('hidden', canSwitch);
+    sheetIndicator.classList.remove('hidden');
 }
 
-async function handleSendMessage(e) {
-    e.preventDefault();
-    const userQuery = chatInput.value.trim();
-    if (!userQuery || !activeData) return;
+/**
+ * Makes another loaded dataset the active one. Filters are dataset-specific, so they are reset,
+ * and the chat session is restarted with the new schema.
+ * @param {string} datasetId - The id of the dataset to activate.
+ */
+function switchDataset(datasetId) {
+    if (datasetId === activeDatasetId) return;
+    const target = datasets.find(d => d.id === datasetId);
+    if (!target) return;
+
+    // Keep any transformations made to the dataset we are leaving.
+    const current = datasets.find(d => d.id === activeDatasetId);
+    if (current) current.data = originalData;
+
+    activeDatasetId = target.id;
+    originalData = target.data;
+    activeData = target.data;
+    activeFilters = [];
+    stagedFilters = [];
+    isFilteredState = false;
+    stopFilterEditing();
+    updateStagingUi();
 
-    addMessageToChat(userQuery, 'user');
-    chatInput.value = '';
-    showLoadingIndicator();
+    updateUiOnDataLoad(target.fileName, activeData);
+    initializeChatSession(originalData);
+    addMessageToChat(`Switched to <strong>${target.sheetName || target.name}</strong>. All analyses will now use this dataset.`, 'ai');
+    addPreviewToChat(activeData);
+}
 
-    try {
-        await classifyUserIntent(userQuery);
-    } catch (error) {
-        addErrorMessageToChat('Request Failed', 'I was unable to process your request. Please try rephrasing your question.');
-        console.error("Main error handler:", error);
-        removeLoadingIndicator();
-    }
+// --- Workspace ---
+
+/**
+ * Returns the current data of a workspace dataset. The active dataset lives in
+ * originalData, so its registry entry may be stale until the user switches away.
+ */
+function getDatasetData(entry) {
+    return entry.id === activeDatasetId ? originalData : entry.data;
 }
 
-async function classifyUserIntent(userQuery) {
-    if (!ai) {
-        throw new Error("AI is not initialized.");
-    }
-    const prompt = `
-You are an intent classifier. Your task is to categorize a user's request into one of three types: 'ANALYSIS', 'TRANSFORMATION', or 'COMPLEX_ANALYSIS'.
+/**
+ * Finds a workspace dataset by the name the AI or user referred to it with.
+ * Accepts the full dataset name, the file name or the sheet name, ignoring case.
+ */
+function findDatasetByName(name) {
+    if (!name) return null;
+    const normalized = String(name).trim().toLowerCase();
+    const matches = (value) => value && value.trim().toLowerCase() === normalized;
+    return datasets.find(d => matches(d.name))
+        || datasets.find(d => matches(d.sheetName))
+        || datasets.find(d => matches(d.fileName))
+        || null;
+}
 
-- 'TRANSFORMATION': The user wants to permanently change the dataset. This includes removing rows, creating new columns, or renaming columns.
-  Examples: "remove all rows where sales are 0", "create a profit column from sales and cost", "rename 'cust_id' to 'CustomerID'".
+/**
+ * Describes the datasets other than the active one, for AI prompts that can combine them.
+ * @returns {string} One line per dataset with its schema, or an empty string.
+ */
+function describeWorkspaceDatasets() {
+    return datasets
+        .filter(d => d.id !== activeDatasetId)
+        .map(d => {
+            const { meta } = getDatasetData(d);
+            const columnsWithTypes = formatColumnsWithTypes(meta);
+            return `- "${d.name}": ${columnsWithTypes}`;
+        })
+        .join('\n');
+}
 
-- 'ANALYSIS': The user is asking a direct question that can be answered with a single aggregation or visualization from the existing data using a standard chart type (Bar, Line, Pie, Donut, Scatter).
-  Examples: "what are the total sales by region?", "show me a chart of sales over time", "count the number of products".
+function updateWorkspaceList() {
+    datasetList.innerHTML = '';
+    datasets.forEach(entry => {
+        const { data, meta } = getDatasetData(entry);
+        const isActive = entry.id === activeDatasetId;
 
-- 'COMPLEX_ANALYSIS': The user's request requires multiple steps to answer or complex logic. This includes requests for:
-  - Aggregating by multiple columns (e.g. "Sales by Region and Category", "Average Profit grouped by Year and Product").
-  - Calculating multiple metrics at once (e.g. "Show me Sum of Sales and Average Discount", "Compare Sales and Profit by Region").
-  - Mathematical transformations before plotting (e.g. "Percent of Total").
-  - Comparisons, Ranking (Top N), or Pivot-like structures.
-  - Weighted averages or custom statistical formulas.
-  Examples: "show me the top 5 products by profit margin", "compare the monthly sales growth for the last two quarters", "what is the correlation between age and salary?", "sales breakdown by region and product", "Calculate the weighted average price".
+        const item = document.createElement('div');
+        item.classList.add('dataset-item');
+        if (isActive) item.classList.add('active');
+        item.innerHTML = `
+            <span class="dataset-name">${entry.name}</span>
+            <span class="dataset-meta">${data.length} × ${meta.fields.length}</span>
+            ${isActive ? '' : `<button class="remove-staged-btn" aria-label="Remove dataset">&times;</button>`}
+        `;
+
+        if (!isActive) {
+            item.title = 'Click to analyze this dataset';
+            item.addEventListener('click', () => switchDataset(entry.id));
+            item.querySelector('.remove-staged-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                removeDataset(entry.id);
+            });
+        }
+        datasetList.appendChild(item);
+    });
+    workspaceSection.classList.remove('hidden');
+}
 
-User request: "${userQuery}"
+function removeDataset(datasetId) {
+    if (datasetId === activeDatasetId) return;
+    datasets = datasets.filter(d => d.id !== datasetId);
+    updateWorkspaceList();
+    updateSheetIndicator();
+}
 
-Respond with only one word: 'ANALYSIS', 'TRANSFORMATION', or 'COMPLEX_ANALYSIS'.`;
+function addPreviewToChat(dataObject) {
+    const { data, meta } = dataObject;
+    const rowCount = data.length;
+    // Truncate column list for display to prevent massive overflow
+    let columnNames = meta.fields.join(', ');
+    if (columnNames.length > 150) {
+        columnNames = columnNames.substring(0, 150) + '...';
+    }
 
-    const response = await ai.models.generateContent({
-        model: 'gemini-2.5-flash',
-        contents: prompt,
+    // Create table header
+    let headerHtml = '<tr>';
+    meta.fields.forEach(field => {
+        headerHtml += `<th>${field}</th>`;
     });
-    
-    const intent = response.text.trim().toUpperCase();
+    headerHtml += '</tr>';
 
-    if (intent === 'TRANSFORMATION') {
-        await handleTransformation(userQuery);
-    } else if (intent === 'COMPLEX_ANALYSIS') {
-        await handleComplexAnalysis(userQuery);
-    } else {
-        await handleAnalysis(userQuery);
-    }
-}
+    // Create table body rows
+    let bodyHtml = '';
+    const previewRows = data.slice(0, 5);
+    previewRows.forEach(row => {
+        bodyHtml += '<tr>';
+        meta.fields.forEach(field => {
+            bodyHtml += `<td>${row[field] || ''}</td>`;
+        });
+        bodyHtml += '</tr>';
+    });
 
-async function handleAnalysis(userQuery) {
-    if (!chat) {
-        addErrorMessageToChat('Chat Not Initialized', 'Cannot analyze because the chat session is not available.');
-        removeLoadingIndicator();
-        return;
-    }
+    const previewHtml = `
+        <div class="preview-in-chat-metadata">
+            <p><strong>Rows:</strong> ${rowCount}</p>
+            <p><strong>Columns:</strong> ${columnNames}</p>
+        </div>
+        <div class="preview-in-chat-table-wrapper">
+            <table class="preview-in-chat-table">
+                <thead>${headerHtml}</thead>
+                <tbody>${bodyHtml}</tbody>
+            </table>
+        </div>
+    `;
     
-    let fullQuery = userQuery;
-    if (activeFilters.length > 0) {
-        const filterContext = activeFilters.map(f => `${f.column} is '${f.value}'`).join(' AND ');
-        fullQuery = `The current dataset is filtered where ${filterContext}. Now, please answer this question based on the filtered data: "${userQuery}"`;
-    }
+    const messageEl = document.createElement('div');
+    messageEl.classList.add('message', 'ai-message', 'preview-in-chat');
+    messageEl.innerHTML = previewHtml;
 
-    try {
-        const response = await chat.sendMessage({ message: fullQuery });
-        await processAiResponse(response.text);
-    } catch(e) {
-        addErrorMessageToChat('Analysis Failed', 'There was a problem analyzing your data. The AI model may be temporarily unavailable.');
-        console.error(e);
-    } finally {
-        removeLoadingIndicator();
+    if (isFilteredState) {
+        messageEl.dataset.filterMessage = 'true';
     }
+
+    chatHistory.appendChild(messageEl);
 }
 
-function buildPlannerPrompt(userQuery) {
-    const { meta } = activeData;
-    const columnsWithTypes = meta.fields.map(field =>
-        `${field} (${meta.inferredTypes[field] || 'string'})`
-    ).join(', ');
+const TABLE_RESULT_MAX_ROWS = 200; // Rows shown in a table result; its exports include every row
 
-    return `
-You are a data analysis planner. Your job is to break down a complex user query into a sequence of executable steps. The analysis is temporary and does not modify the original dataset.
+/**
+ * Shows a result table in the chat, such as a pivot, with numbers formatted the way their columns
+ * were written and buttons to export the whole table.
+ * @param {Object} dataObject - The { data, meta } table to show.
+ * @param {string} title - The heading above the table.
+ * @param {string} fileSuffix - Appended to the dataset's name for the exported files.
+ */
+function addTableResultToChat(dataObject, title, fileSuffix) {
+    const { data, meta } = dataObject;
+    const numberFormats = meta.numberFormats || {};
+    const formatCell = (value, field) => {
+        if (value === null || value === undefined) return '';
+        const formatted = formatNumberValue(value, numberFormats[field]);
+        return typeof formatted === 'number' ? formatted.toLocaleString(undefined, { maximumFractionDigits: 2 }) : formatted;
+    };
 
-Dataset Schema (Available Columns and their inferred types):
-- ${columnsWithTypes}
+    const headerHtml = meta.fields.map(field => `<th>${field}</th>`).join('');
+    const bodyHtml = data.slice(0, TABLE_RESULT_MAX_ROWS)
+        .map(row => `<tr>${meta.fields.map(field => `<td>${formatCell(row[field], field)}</td>`).join('')}</tr>`)
+        .join('');
+    const truncatedNote = data.length > TABLE_RESULT_MAX_ROWS ? ` Showing the first ${TABLE_RESULT_MAX_ROWS}; the exports include every row.` : '';
 
-User Request:
-"${userQuery}"
+    const messageEl = document.createElement('div');
+    messageEl.classList.add('message', 'ai-message', 'table-result');
+    messageEl.innerHTML = `
+        <p><strong>${title}</strong></p>
+        <div class="preview-in-chat-metadata">
+            <p>${data.length} row(s) × ${meta.fields.length} column(s).${truncatedNote}</p>
+        </div>
+        <div class="table-result-actions">
+            <button class="chart-action-btn" data-export="csv">Export CSV</button>
+            <button class="chart-action-btn" data-export="excel">Export Excel</button>
+        </div>
+        <div class="preview-in-chat-table-wrapper">
+            <table class="preview-in-chat-table">
+                <thead><tr>${headerHtml}</tr></thead>
+                <tbody>${bodyHtml}</tbody>
+            </table>
+        </div>
+    `;
 
---- SUPPORTED ACTIONS & JSON FORMAT ---
-You must generate a JSON array of step objects. Each step must have an "action", "explanation", and "params".
+    const fileName = `${getExportBaseName()}_${fileSuffix}`;
+    messageEl.querySelector('[data-export="csv"]').onclick = () => downloadAsCsv(dataObject, fileName);
+    messageEl.querySelector('[data-export="excel"]').onclick = () => downloadAsExcel(dataObject, fileName);
 
-1.  **extract_datetime**:
-    {
-      "action": "extract_datetime",
-      "explanation": "Extract part from date...",
-      "params": {
-        "sourceColumn": "col",
-        "part": "year" | "month" | "day" | "hour" | "minute" | "day_of_week",
-        "newColumn": "new_col_name"
-      }
+    if (isFilteredState) {
+        messageEl.dataset.filterMessage = 'true';
     }
 
-2.  **create_column**:
-    {
-      "action": "create_column",
-      "explanation": "Calculate a new column...",
-      "params": {
-        "newColumn": "new_col",
-        "column1": "col1",
-        "operator": "add" | "subtract" | "multiply" | "divide" | "floor" | "ceil" | "round" | "modulus",
-        "column2": "col2", // or 'value'
-        "value": 10 // Optional constant
-      }
-    }
+    chatHistory.appendChild(messageEl);
+    chatHistory.scrollTop = chatHistory.scrollHeight;
+}
 
-3.  **remove_rows**:
-    {
-      "action": "remove_rows",
-      "explanation": "Filter data...",
-      "params": {
-        "conditions": [{
-          "column": "col",
-          "operator": "equals" | "not_equals" | "greater_than" | "less_than" | "contains",
-          "value": "val"
-        }]
-      }
-    }
+// --- Cleaning Report ---
 
-4.  **aggregate** (Grouping & Pivot Prep):
-    {
-      "action": "aggregate",
-      "explanation": "Group by Region and Category, calculate Total Sales and Avg Profit...",
-      "params": {
-        "groupBy": ["col1", "col2"], // Array of columns to group by. Use empty array [] for global aggregation.
-        "aggregations": [
-           { "column": "colA", "type": "sum" | "average" | "count" | "min" | "max", "newColumn": "Sum_A" },
-           { "column": "colB", "type": "average", "newColumn": "Avg_B" }
-        ]
-      }
-    }
-    - **Grouping**: Use this to create a summary table. If the user wants to chart "Sales by Region", group by "Region".
-    - **Multi-Level Grouping**: If the user wants "Sales by Region and Product", group by ["Region", "Product"].
-    - The output will ONLY contain the groupBy columns and the newColumn(s).
+/**
+ * Shows which columns auto-cleaning converted to numbers, with examples, the number of values
+ * that could not be converted, and a button to restore each column's original text.
+ * @param {Object} entry - The workspace dataset entry that was just loaded.
+ */
+function addCleaningReportToChat(entry) {
+    const { report, skipped } = entry.cleaning;
+    if (report.length === 0 && skipped.length === 0) return;
+
+    const rowsHtml = report.map((column, index) => {
+        const { format } = column;
+        const detected = column.kind === 'date' ? `dates ${DATE_FORMATS[format]}` : [
+            format.currency && `currency ${format.currency}`,
+            format.unit && `unit ${format.unit}`,
+            format.percent && 'percent',
+            format.decimal === ',' && 'decimal comma'
+        ].filter(Boolean).join(', ') || 'formatted numbers';
+        const examples = column.examples.map(example => `${example.before} → ${example.after}`).join('<br>');
+        return `
+            <tr>
+                <td>${column.field}</td>
+                <td>${detected}</td>
+                <td>${examples}</td>
+                <td>${column.converted}</td>
+                <td>${column.failed}</td>
+                <td><button class="chart-action-btn" data-index="${index}">Revert</button></td>
+            </tr>
+        `;
+    }).join('');
+
+    const skippedHtml = skipped.length > 0
+        ? `<p>Left as text: ${skipped.map(column => `<strong>${column.field}</strong> (${column.reason})`).join(', ')}. Their values can't be compared as they stand; the Clean tab can still convert such a column to numbers, dropping the currency or unit.</p>`
+        : '';
+    const messageEl = document.createElement('div');
+    messageEl.classList.add('message', 'ai-message', 'cleaning-report');
+    messageEl.innerHTML = report.length === 0 ? `<p><strong>Cleaning report</strong> for <em>${entry.name}</em>:</p>${skippedHtml}` : `
+        <p><strong>Cleaning report</strong> for <em>${entry.name}</em>: ${report.length} column(s) were converted to numbers or ISO dates. Values that could not be converted were kept as text. Revert a column to restore its original values.</p>
+        <div class="preview-in-chat-table-wrapper">
+            <table class="preview-in-chat-table">
+                <thead><tr><th>Column</th><th>Detected</th><th>Examples</th><th>Converted</th><th>Failed</th><th></th></tr></thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        </div>
+        ${skippedHtml}
+    `;
 
-5.  **sort**:
-    {
-      "action": "sort",
-      "explanation": "Sort results...",
-      "params": { "column": "col", "order": "ascending" | "descending" }
-    }
+    messageEl.querySelectorAll('button[data-index]').forEach(button => {
+        button.addEventListener('click', () => {
+            const column = report[button.dataset.index];
+            if (revertCleanedColumn(entry.id, column.field)) {
+                button.textContent = 'Reverted';
+                button.disabled = true;
+            }
+        });
+    });
 
-6.  **limit**:
-    { "action": "limit", "explanation": "Take top N...", "params": { "count": 5 } }
+    chatHistory.appendChild(messageEl);
+    chatHistory.scrollTop = chatHistory.scrollHeight;
 
-7.  **run_javascript** (Ultimate Flexibility):
-    {
-      "action": "run_javascript",
-      "explanation": "Calculate weighted avg / correlation / reshape data...",
-      "params": {
-        "code": "const total = data.reduce((sum, r) => sum + r.sales, 0); return data.map(row => ({ ...row, pct: row.sales/total }));"
-      }
+    report.filter(column => column.kind === 'date' && column.alternatives.length > 1)
+        .forEach(column => addDateOrderPromptToChat(entry, column));
+}
+
+/**
+ * Asks which day/month order a column uses when its dates read both ways, e.g. "03/04/2024".
+ */
+function addDateOrderPromptToChat(entry, column) {
+    const example = column.rawValues.find(value => typeof value === 'string' && value.trim() !== '');
+    const messageEl = document.createElement('div');
+    messageEl.classList.add('message', 'ai-message');
+    messageEl.innerHTML = `
+        <p>The dates in <strong>${column.field}</strong> can be read day-first or month-first (e.g. "${example}"). I read them as <strong>${DATE_FORMATS[column.format]}</strong>. Which is right?</p>
+        <div class="modal-actions">
+            ${column.alternatives.map(format => `<button class="chart-action-btn" data-format="${format}" ${format === column.format ? 'disabled' : ''}>${DATE_FORMATS[format]}</button>`).join('')}
+        </div>
+    `;
+
+    const buttons = messageEl.querySelectorAll('button[data-format]');
+    buttons.forEach(button => {
+        button.addEventListener('click', () => {
+            if (rereadDateColumn(entry.id, column.field, button.dataset.format)) {
+                buttons.forEach(b => { b.disabled = b === button; });
+            }
+        });
+    });
+
+    chatHistory.appendChild(messageEl);
+    chatHistory.scrollTop = chatHistory.scrollHeight;
+}
+
+/**
+ * Finds a cleaned column whose original values can still be restored.
+ * Only possible while the dataset still holds the rows it was loaded with.
+ * @returns {Object|null} { entry, column, dataObject }, or null (after reporting why) if it can't be restored.
+ */
+function findRestorableColumn(datasetId, field, errorTitle = 'Cannot Revert') {
+    const entry = datasets.find(d => d.id === datasetId);
+    if (!entry) {
+        addErrorMessageToChat(errorTitle, 'That dataset has been removed from the workspace.');
+        return null;
     }
-    - **Use this for**:
-      - Weighted averages or custom statistical formulas.
-      - Complex conditional logic not supported by 'create_column'.
-      - Reshaping data (e.g., pivoting manually if needed, though 'aggregate' handles most grouping).
-    - The 'code' must be the BODY of a JavaScript function.
-    - The function receives a variable \`data\` (array of objects).
-    - It must return the transformed array of objects.
 
-8.  **visualize** (Must be the final step):
-    {
-      "action": "visualize",
-      "explanation": "Show the chart.",
-      "params": {
-        "chartType": "bar" | "line" | "pie" | "donut" | "scatter",
-        "title": "Title",
-        "xAxisColumn": "col_for_x",
-        "yAxisColumn": "col_for_y" OR ["col_y1", "col_y2"],
-        "seriesColumn": "optional_col_to_group_datasets" 
-      }
+    const column = entry.cleaning.report.find(c => c.field === field);
+    const dataObject = getDatasetData(entry);
+    if (!column || !column.rawValues) return null; // Already restored
+    if (dataObject.data !== entry.cleaning.rows) {
+        addErrorMessageToChat(errorTitle, `The original values of "${field}" can no longer be restored because the data has been transformed since it was loaded.`);
+        return null;
     }
-    - **Single Metric**: Set "yAxisColumn" to a string (e.g. "Total Sales").
-    - **Multi-Metric Comparison**: Set "yAxisColumn" to an array (e.g. ["Total Sales", "Total Profit"]). This creates side-by-side bars or multiple lines sharing the same X-axis.
-    - **Grouped/Stacked by Dimension**: Use "seriesColumn" when you have grouped by TWO columns in the 'aggregate' step (e.g. grouped by ["Region", "Product"]). 
-      - Set "xAxisColumn" to "Region", "seriesColumn" to "Product", and "yAxisColumn" to "Sales".
-    - **Important**: "seriesColumn" and "yAxisColumn" as an array are mutually exclusive. Use one or the other.
+    return { entry, column, dataObject };
+}
 
---- RESPONSE RULES ---
-- Respond with ONLY the JSON array of steps.
-- Do not use markdown like \`\`\`json.
-- If the request cannot be fulfilled, return: [{ "action": "error", "explanation": "Reason..." }]
-`;
+/**
+ * Copies a dataset's current version so a column can be restored or re-read without rewriting
+ * the versions kept in its history.
+ */
+function copyDataVersion(dataObject) {
+    return { data: dataObject.data.map(row => ({ ...row })), meta: JSON.parse(JSON.stringify(dataObject.meta)) };
 }
 
+/**
+ * Records a version with a restored or re-read column in the dataset's history, showing it if
+ * the dataset is being analyzed. Its rows become the ones later restores line up with.
+ */
+function commitCleanedColumn(entry, dataObject, label) {
+    entry.cleaning.rows = dataObject.data;
+    if (entry.id === activeDatasetId) {
+        commitDataVersion(dataObject, label);
+    } else {
+        recordDataVersion(entry, dataObject, label);
+    }
+}
 
-async function handleComplexAnalysis(userQuery) {
-    try {
-        addMessageToChat("That's an interesting question. Let me break that down and analyze it for you...", 'ai');
-        const prompt = buildPlannerPrompt(userQuery);
+/**
+ * Re-reads an ambiguous date column from its original text in another day/month order.
+ * @param {string} datasetId - The workspace dataset the column belongs to.
+ * @param {string} field - The column to re-read.
+ * @param {string} format - 'dmy' or 'mdy'.
+ * @returns {boolean} Whether the column was re-read.
+ */
+function rereadDateColumn(datasetId, field, format) {
+    const restorable = findRestorableColumn(datasetId, field, 'Cannot Re-read Dates');
+    if (!restorable) return false;
+    const { entry, column } = restorable;
+    const dataObject = copyDataVersion(restorable.dataObject);
+
+    Object.assign(column, { format }, convertDateColumn(dataObject.data, field, format, column.rawValues));
+    dataObject.meta.dateFormats[field] = format;
+    commitCleanedColumn(entry, dataObject, `Read ${field} as ${DATE_FORMATS[format]}`);
+
+    addMessageToChat(`Read the dates in <strong>${field}</strong> as ${DATE_FORMATS[format]}: ${column.converted} converted, ${column.failed} could not be read.`, 'ai');
+    return true;
+}
 
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: prompt,
-        });
-        
-        const jsonString = response.text.trim().replace(/```json/g, '').replace(/```/g, '');
-        const plan = JSON.parse(jsonString);
+/**
+ * Restores the raw text of a column that auto-cleaning converted, then re-infers the column types.
+ * Only possible while the dataset still holds the rows it was loaded with.
+ * @param {string} datasetId - The workspace dataset the column belongs to.
+ * @param {string} field - The column to restore.
+ * @returns {boolean} Whether the column was restored.
+ */
+function revertCleanedColumn(datasetId, field) {
+    const restorable = findRestorableColumn(datasetId, field);
+    if (!restorable) return false;
+    const { entry, column } = restorable;
+    const dataObject = copyDataVersion(restorable.dataObject);
+
+    dataObject.data.forEach((row, index) => {
+        row[field] = column.rawValues[index];
+    });
+    column.rawValues = null;
+    delete dataObject.meta[column.kind === 'date' ? 'dateFormats' : 'numberFormats'][field];
+    refreshColumnTypes(dataObject);
+    commitCleanedColumn(entry, dataObject, `Restored the original values of ${field}`);
 
-        if (plan.length > 0 && plan[0].action === 'error') {
-            addErrorMessageToChat('Analysis Not Possible', plan[0].explanation);
+    addMessageToChat(`Restored the original values of <strong>${field}</strong> in <em>${entry.name}</em>. It is now treated as ${dataObject.meta.inferredTypes[field] || 'string'}.`, 'ai');
+    return true;
+}
+
+/**
+ * Re-reads the date-times written without a UTC offset in the newly picked timezone, as a new
+ * version of each dataset they change. Datasets transformed since they were loaded no longer line
+ * up with their original text, so they keep the times as first read and the chat says so.
+ * @param {string} previousTimezone - The timezone the columns were read in.
+ */
+function rereadDatesInTimezone(previousTimezone) {
+    const kept = [];
+    datasets.forEach(entry => {
+        const columns = entry.cleaning.report.filter(column => column.kind === 'date' && column.rawValues
+            && column.rawValues.some(raw => typeof raw === 'string'
+                && parseDateText(raw, column.format, previousTimezone) !== parseDateText(raw, column.format, dataTimezone)));
+        if (columns.length === 0) return;
+        const current = getDatasetData(entry);
+        if (current.data !== entry.cleaning.rows) {
+            kept.push(`<em>${entry.name}</em>`);
             return;
         }
 
-        await executeAnalysisPlan(plan);
+        const dataObject = copyDataVersion(current);
+        columns.forEach(column => Object.assign(column, convertDateColumn(dataObject.data, column.field, column.format, column.rawValues)));
+        const names = columns.map(column => column.field).join(', ');
+        commitCleanedColumn(entry, dataObject, `Read ${names} in ${dataTimezone}`);
+        addMessageToChat(`Re-read the date-times in <strong>${names}</strong> of <em>${entry.name}</em> in ${dataTimezone}.`, 'ai');
+    });
+    if (kept.length > 0) {
+        addMessageToChat(`The date-times in ${kept.join(', ')} stay as they were read in ${previousTimezone}, because the data has been transformed since it was loaded. Load the file again to read them in ${dataTimezone}.`, 'ai');
+    }
+}
+
+function updateUiOnDataLoad(fileName, dataObject) {
+    // Hide welcome screen
+    welcomeScreen.classList.add('hidden');
+
+    // Enable chat
+    chatInput.disabled = false;
+    sendBtn.disabled = false;
+
+    // Update sidebar UI
+    uploadContainer.classList.add('hidden');
+    dataSummary.classList.remove('hidden');
+    // Hide the persistent guide when data is loaded
+    sidebarAnalysisGuide.classList.add('hidden');
+    exportOptions.classList.remove('hidden');
+    clearDataBtn.classList.remove('hidden');
+    filterSection.classList.add('hidden');
+    stagingSection.classList.add('hidden');
+    dataToolsSection.classList.remove('hidden');
+
+    // Populate Data Tool Dropdowns
+    populateColumnDropdowns(dataObject.meta.fields);
+
+    // Auto-close sidebar on mobile to show the chat
+    if (window.innerWidth <= 900) {
+        dataSection.classList.remove('open');
+        sidebarBackdrop.classList.remove('visible');
+    }
+
+    fileNameEl.textContent = fileName;
+    updateSheetIndicator();
+    updateSidebarStats(dataObject);
+}
+
+function updateSidebarStats(dataObject) {
+    rowCountEl.textContent = dataObject.data.length;
+    colCountEl.textContent = dataObject.meta.fields.length;
+
+    const sample = dataObject.meta.sample;
+    sampleIndicator.classList.toggle('hidden', !sample);
+    if (sample) {
+        const kind = sample.mode === 'stratified' ? `stratified by ${sample.stratifyColumn}` : 'random';
+        sampleIndicator.textContent = `Sample (${kind}): ${sample.rows.toLocaleString()} of ${sample.totalRows.toLocaleString()} rows`;
+    }
+    if (datasets.length > 0) {
+        updateWorkspaceList();
+    }
+    updateSchemaEditor(dataObject);
+    refreshProfilePanel();
+    updateHistoryList();
+    if (gridModal.classList.contains('visible')) refreshDataGrid();
+}
+
+function clearData() {
+    originalData = null;
+    activeData = null;
+    activeFilters = [];
+    stagedFilters = [];
+    isFilteredState = false;
+    stopFilterEditing();
+    datasets = [];
+    activeDatasetId = null;
+    activeParseTasks.forEach(cancel => cancel());
+    chat = null; // Clear the chat session
+    fileInput.value = ''; // Reset file input
+    chatInput.disabled = true;
+    sendBtn.disabled = true;
+
+    // Clear all chart instances and remove them from the DOM
+    chartInstances.forEach(instance => instance.destroy());
+    chartInstances.clear();
+    
+    // Clear chat history by removing all generated messages
+    chatHistory.querySelectorAll('.message, .chart-message, .preview-in-chat, .error-message').forEach(el => el.remove());
+
+    // Show the welcome screen
+    welcomeScreen.classList.remove('hidden');
+
+    // Reset sidebar UI
+    dataSummary.classList.add('hidden');
+    sheetIndicator.classList.add('hidden');
+    workspaceSection.classList.add('hidden');
+    datasetList.innerHTML = '';
+    historySection.classList.add('hidden');
+    historyList.innerHTML = '';
+    sampleIndicator.classList.add('hidden');
+    // Show the persistent guide when data is cleared
+    sidebarAnalysisGuide.classList.remove('hidden');
+    uploadContainer.classList.remove('hidden');
+    exportOptions.classList.add('hidden');
+    clearDataBtn.classList.add('hidden');
+    filterSection.classList.add('hidden');
+    stagingSection.classList.add('hidden');
+    segmentsSection.classList.add('hidden');
+    dataToolsSection.classList.add('hidden');
+
+    if (dataSection.classList.contains('open')) {
+        toggleSidebar();
+    }
+}
+
+// --- Data Tools Logic ---
+
+function populateColumnDropdowns(columns) {
+    const selects = [renameColSelect, mathCol1, mathCol2, filterColSelect, datesColumn, datesEndColumn, textColumn, columnsSource];
+    selects.forEach(select => {
+        select.innerHTML = '';
+        columns.forEach(col => {
+            const option = document.createElement('option');
+            option.value = col;
+            option.textContent = col;
+            select.appendChild(option);
+        });
+    });
+    updateFilterInputs();
+    renderSegmentList();
+
+    [cleanColumnList, textColumnList].forEach(list => {
+        list.innerHTML = '';
+        columns.forEach(col => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = col;
+            label.append(checkbox, document.createTextNode(col));
+            list.appendChild(label);
+        });
+    });
+
+    // The Columns tab's rows can also be moved up and down to reorder the columns.
+    columnsList.innerHTML = '';
+    columns.forEach(col => {
+        const row = document.createElement('div');
+        row.className = 'column-order-row';
+        row.dataset.column = col;
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = col;
+        label.append(checkbox, document.createTextNode(col));
+        row.appendChild(label);
+        [['up', '↑'], ['down', '↓']].forEach(([direction, arrow]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'column-move-btn';
+            button.dataset.direction = direction;
+            button.textContent = arrow;
+            button.title = `Move ${col} ${direction}`;
+            row.appendChild(button);
+        });
+        columnsList.appendChild(row);
+    });
+}
+
+function handleManualRename() {
+    const oldCol = renameColSelect.value;
+    const newName = renameNewName.value.trim();
+
+    if (!oldCol || !newName) {
+        alert("Please select a column and enter a new name.");
+        return;
+    }
+
+    const config = {
+        action: 'rename_column',
+        oldColumn: oldCol,
+        newColumn: newName,
+        explanation: 'User manually renamed a column via sidebar tool.'
+    };
+    
+    executeManualTransformation(config);
+    renameNewName.value = ''; // Reset input
+}
+
+function handleManualMath() {
+    const newName = mathNewName.value.trim();
+    const formula = mathFormula.value.trim();
+    const col1 = mathCol1.value;
+    const op = mathOp.value;
+    const col2 = mathCol2.value;
 
+    // A formula takes precedence over the two-column form.
+    if (newName && formula) {
+        executeManualTransformation({
+            action: 'create_column',
+            newColumn: newName,
+            formula,
+            explanation: 'User manually created a calculated column via sidebar tool.'
+        });
+        mathNewName.value = '';
+        return;
+    }
+
+    if (!newName || !col1 || !col2) {
+        alert("Please enter a column name and either a formula or two columns to combine.");
+        return;
+    }
+
+    const config = {
+        action: 'create_column',
+        newColumn: newName,
+        column1: col1,
+        operator: op,
+        column2: col2,
+        explanation: 'User manually created a calculated column via sidebar tool.'
+    };
+
+    executeManualTransformation(config);
+    mathNewName.value = ''; // Reset input
+}
+
+/**
+ * Shows the value inputs the chosen operator needs, as date pickers for date ranges.
+ */
+function updateFilterInputs() {
+    const operator = filterOp.value;
+    const isDateColumn = Boolean(originalData) && originalData.meta.inferredTypes[filterColSelect.value] === 'temporal';
+    const inputType = isDateColumn && ['between', 'before', 'after'].includes(operator) ? 'date' : 'text';
+    filterValue.type = inputType;
+    filterValueTo.type = inputType;
+    filterValue.classList.toggle('hidden', VALUELESS_OPERATORS.includes(operator));
+    filterValueTo.classList.toggle('hidden', operator !== 'between');
+    filterValue.placeholder = operator === 'between' ? 'From' : (['in', 'not_in'].includes(operator) ? 'Values, comma-separated' : 'Value');
+}
+
+function handleManualFilterAdd() {
+    const column = filterColSelect.value;
+    const operator = filterOp.value;
+    const needsValue = !VALUELESS_OPERATORS.includes(operator);
+    const value = filterValue.value.trim();
+    const valueTo = filterValueTo.value.trim();
+
+    if (!column || (needsValue && !value) || (operator === 'between' && !valueTo)) {
+        alert("Please select a column and enter a value.");
+        return;
+    }
+
+    const filter = { column, operator };
+    if (operator === 'between') filter.value = [value, valueTo];
+    else if (needsValue) filter.value = value;
+    try {
+        resolveConditions(originalData, [filter]);
     } catch (error) {
-        addErrorMessageToChat('Complex Analysis Failed', 'I was unable to create or execute a plan for your request. Please try rephrasing it.');
-        console.error("Complex analysis error:", error);
-    } finally {
-        removeLoadingIndicator();
+        alert(error.message);
+        return;
+    }
+
+    const otherActiveFilters = activeFilters.filter((f, index) => index !== editingFilterIndex);
+    if (isFilterListed(stagedFilters, filter) || isFilterListed(otherActiveFilters, filter)) {
+        alert("This filter is already active or staged.");
+        return;
     }
+    filterValue.value = '';
+    filterValueTo.value = '';
+
+    if (editingFilterIndex !== null) {
+        // An edited filter applies straight away, switched on.
+        activeFilters[editingFilterIndex] = filter;
+        stopFilterEditing();
+        applyFilters();
+        announceFilters();
+        return;
+    }
+    stagedFilters.push(filter);
+    updateStagingUi();
 }
 
-async function executeAnalysisPlan(plan) {
-    // Create a deep copy of the active data to work with, leaving the original untouched.
-    let tempData = JSON.parse(JSON.stringify(activeData));
+// Cleaning actions that use every column when none is ticked.
+const CLEAN_ACTIONS_DEFAULTING_TO_ALL = ['drop_duplicates', 'trim_whitespace'];
 
-    for (const step of plan) {
-        // Announce the step the AI is taking.
-        addMessageToChat(`<strong>Step ${plan.indexOf(step) + 1}:</strong> ${step.explanation}`, 'ai');
+/**
+ * Shows only the Clean tab options that apply to the chosen action.
+ */
+function updateCleanOptions() {
+    const action = cleanAction.value;
+    cleanOptions.forEach(option => option.classList.toggle('hidden', option.dataset.action !== action));
+    cleanFillValue.classList.toggle('hidden', cleanFillMethod.value !== 'value');
+    cleanColumnsHint.textContent = CLEAN_ACTIONS_DEFAULTING_TO_ALL.includes(action)
+        ? (action === 'drop_duplicates' ? 'Rows matching on every ticked column are duplicates. Tick none to compare whole rows.' : 'Tick none to trim every column.')
+        : 'Tick the column(s) to change.';
+}
 
-        if (step.action === 'visualize') {
-            const chartConfig = step.params;
-            
-            // Check if columns exist to prevent blank charts
-            const firstRow = tempData.data[0] || {};
-            if (chartConfig.xAxisColumn && firstRow[chartConfig.xAxisColumn] === undefined) {
-                console.warn(`Warning: Column '${chartConfig.xAxisColumn}' not found in data for visualization.`);
+function handleManualClean() {
+    const action = cleanAction.value;
+    const columns = Array.from(cleanColumnList.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+    if (columns.length === 0 && !CLEAN_ACTIONS_DEFAULTING_TO_ALL.includes(action)) {
+        alert("Please tick at least one column.");
+        return;
+    }
+
+    const config = { action, explanation: 'User manually cleaned the data via sidebar tool.' };
+    if (columns.length > 0) config.columns = columns;
+    switch (action) {
+        case 'fill_missing':
+            config.method = cleanFillMethod.value;
+            if (config.method === 'value') {
+                if (cleanFillValue.value === '') {
+                    alert("Please enter the value to fill empty cells with.");
+                    return;
+                }
+                config.value = cleanFillValue.value;
             }
-             // Helper to check yAxisColumn which can be string or array
-             const checkY = (col) => {
-                 if (firstRow[col] === undefined) console.warn(`Warning: Column '${col}' not found in data for visualization.`);
-             };
+            break;
+        case 'drop_duplicates':
+            config.keep = cleanKeep.value;
+            break;
+        case 'trim_whitespace':
+            config.collapseSpaces = cleanCollapseSpaces.checked;
+            break;
+        case 'change_case':
+            config.case = cleanCase.value;
+            break;
+        case 'cast_column':
+            config.to = cleanCastType.value;
+            break;
+    }
 
-             if (Array.isArray(chartConfig.yAxisColumn)) {
-                 chartConfig.yAxisColumn.forEach(checkY);
-             } else if (chartConfig.yAxisColumn) {
-                 checkY(chartConfig.yAxisColumn);
-             }
+    executeManualTransformation(config);
+}
 
-            if (chartConfig.seriesColumn && firstRow[chartConfig.seriesColumn] === undefined) {
-                console.warn(`Warning: Column '${chartConfig.seriesColumn}' not found in data for visualization.`);
+/**
+ * Shows only the Dates tab options that apply to the chosen action.
+ */
+function updateDateOptions() {
+    const action = datesAction.value;
+    datesOptions.forEach(option => option.classList.toggle('hidden', !option.dataset.actions.split(' ').includes(action)));
+    datesColumnLabel.textContent = action === 'date_diff' ? 'Start Date Column' : 'Date Column';
+}
+
+function handleManualDates() {
+    const action = datesAction.value;
+    const newColumn = datesNewName.value.trim();
+    if (!datesColumn.value || !newColumn) {
+        alert("Please select a date column and enter a name for the new column.");
+        return;
+    }
+
+    const config = { action, newColumn, explanation: 'User manually calculated a date column via sidebar tool.' };
+    switch (action) {
+        case 'truncate_date':
+            config.column = datesColumn.value;
+            config.period = datesPeriod.value;
+            if (config.period === 'week') config.weekStart = datesWeekStart.value;
+            break;
+        case 'extract_datetime':
+            config.sourceColumn = datesColumn.value;
+            config.part = datesPart.value;
+            break;
+        case 'date_diff':
+            config.startColumn = datesColumn.value;
+            config.endColumn = datesEndColumn.value;
+            config.unit = datesUnit.value;
+            break;
+        case 'date_add': {
+            const amount = Number(datesAmount.value);
+            if (datesAmount.value.trim() === '' || !Number.isInteger(amount)) {
+                alert("Please enter a whole number of units to add (negative to subtract).");
+                return;
             }
+            config.column = datesColumn.value;
+            config.amount = amount;
+            config.unit = datesUnit.value;
+            break;
+        }
+    }
+    // Recorded so a saved recipe gives the same fiscal periods whatever the setting is later.
+    if (String(config.period || config.part).startsWith('fiscal_')) config.fiscalYearStartMonth = fiscalYearStartMonth;
 
-            // We must pass the FULL data to addChartMessageToChat if seriesColumn is present or standard processing is needed
-            // However, the existing architecture expects 'precomputedData' to be simple labels/values for 'complex' analysis.
-            // If seriesColumn is used, we need 'prepareChartData' to handle the pivoting logic.
-            // Therefore, we can utilize 'activeData' override hack or pass data directly.
-            
-            // Temporary override of activeData to allow prepareChartData to work on the transformed tempData
-            const originalActive = activeData;
-            activeData = tempData; // Set context to transformed data
-            
-            try {
-                // If the planner produced a result that can be directly visualized via standard logic (which supports seriesColumn now)
-                await addChartMessageToChat(chartConfig, null); 
-            } catch (e) {
-                 // Fallback if standard preparation fails, though planner should be accurate.
-                 console.error("Visualization error in plan execution", e);
-                 addErrorMessageToChat("Visualization Error", e.message);
-            } finally {
-                activeData = originalActive; // Restore context
+    executeManualTransformation(config);
+    datesNewName.value = '';
+}
+
+/**
+ * Shows only the Text tab options that apply to the chosen action.
+ */
+function updateTextOptions() {
+    const action = textAction.value;
+    textOptions.forEach(option => option.classList.toggle('hidden', !option.dataset.actions.split(' ').includes(action)));
+    textNewNameLabel.textContent = action === 'split_column' ? 'New Column Names' : 'New Column Name';
+    textNewName.placeholder = {
+        split_column: 'e.g. City, State',
+        concat_columns: 'e.g. Full Name',
+        regex_extract: 'e.g. SKU Number',
+        substring: 'e.g. Area Code',
+        find_replace: 'Leave empty to change the column'
+    }[action];
+    textNewNameHint.textContent = action === 'split_column'
+        ? 'Comma-separated, one per part; the last keeps the rest. Leave empty for a column per part.'
+        : '';
+}
+
+function handleManualText() {
+    const action = textAction.value;
+    const newName = textNewName.value.trim();
+    const config = { action, explanation: 'User manually transformed text via sidebar tool.' };
+    if (action !== 'concat_columns') config.column = textColumn.value;
+
+    switch (action) {
+        case 'split_column':
+            if (textDelimiter.value === '') {
+                alert("Please enter the text to split on.");
+                return;
+            }
+            config.delimiter = textDelimiter.value;
+            if (newName) config.newColumns = newName.split(',').map(name => name.trim()).filter(Boolean);
+            break;
+        case 'concat_columns':
+            config.columns = Array.from(textColumnList.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+            if (config.columns.length < 2) {
+                alert("Please tick at least two columns to join.");
+                return;
+            }
+            config.separator = textSeparator.value;
+            break;
+        case 'regex_extract':
+            if (!textPattern.value) {
+                alert("Please enter a pattern to extract.");
+                return;
             }
+            config.pattern = textPattern.value;
+            break;
+        case 'substring': {
+            const start = Number(textStart.value);
+            if (textStart.value.trim() === '' || !Number.isInteger(start) || start === 0) {
+                alert("Please enter a start position: 1 for the first character, -1 for the last.");
+                return;
+            }
+            config.start = start;
+            if (textLength.value.trim() !== '') config.length = Number(textLength.value);
+            break;
+        }
+        case 'find_replace':
+            if (!textFind.value) {
+                alert("Please enter the text to find.");
+                return;
+            }
+            config.find = textFind.value;
+            config.replace = textReplace.value;
+            config.regex = textRegex.checked;
+            config.matchCase = textMatchCase.checked;
+            config.wholeCell = textWholeCell.checked;
+            break;
+    }
+    if (!['split_column', 'find_replace'].includes(action)) {
+        if (!newName) {
+            alert("Please enter a name for the new column.");
+            return;
+        }
+        config.newColumn = newName;
+    } else if (action === 'find_replace' && newName) {
+        config.newColumn = newName;
+    }
+
+    executeManualTransformation(config);
+    textNewName.value = '';
+}
+
+const COLUMNS_HINTS = {
+    drop_columns: 'Tick the column(s) to drop.',
+    keep_columns: 'Tick the column(s) to keep; the others are dropped.',
+    reorder_columns: 'Move columns with the arrows, then apply the new order.',
+    cast_column: 'Tick the column(s) to convert. Values that can\'t be converted become empty.'
+};
+
+/**
+ * Shows only the Columns tab options that apply to the chosen action.
+ */
+function updateColumnsOptions() {
+    const action = columnsAction.value;
+    columnsOptions.forEach(option => option.classList.toggle('hidden', !option.dataset.actions.split(' ').includes(action)));
+    columnsList.classList.toggle('reordering', action === 'reorder_columns');
+    columnsHint.textContent = COLUMNS_HINTS[action] || '';
+}
+
+function handleColumnMove(event) {
+    const button = event.target.closest('.column-move-btn');
+    if (!button) return;
+    const row = button.closest('.column-order-row');
+    if (button.dataset.direction === 'up' && row.previousElementSibling) {
+        columnsList.insertBefore(row, row.previousElementSibling);
+    } else if (button.dataset.direction === 'down' && row.nextElementSibling) {
+        columnsList.insertBefore(row.nextElementSibling, row);
+    }
+}
+
+function handleManualColumns() {
+    const action = columnsAction.value;
+    const config = { action, explanation: 'User manually changed the columns via sidebar tool.' };
+
+    if (action === 'duplicate_column') {
+        const newName = columnsNewName.value.trim();
+        if (!columnsSource.value || !newName) {
+            alert("Please select a column and enter a name for the copy.");
+            return;
+        }
+        config.column = columnsSource.value;
+        config.newColumn = newName;
+        executeManualTransformation(config);
+        columnsNewName.value = '';
+        return;
+    }
+
+    if (action === 'reorder_columns') {
+        config.columns = Array.from(columnsList.children).map(row => row.dataset.column);
+        if (config.columns.every((column, index) => column === originalData.meta.fields[index])) {
+            alert("Please move at least one column first.");
+            return;
+        }
+    } else {
+        config.columns = Array.from(columnsList.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+        if (config.columns.length === 0) {
+            alert("Please tick at least one column.");
+            return;
+        }
+        if (action === 'cast_column') config.to = columnsCastType.value;
+    }
+    executeManualTransformation(config);
+}
+
+function executeManualTransformation(config) {
+    const result = applyTransformation(config, originalData);
+        
+    if (result.success) {
+        commitDataVersion(result.newData, result.message, config);
+        addMessageToChat(result.message, 'ai');
+        addPreviewToChat(originalData);
+    } else {
+         addErrorMessageToChat('Transformation Failed', result.message);
+    }
+}
+
+
+// --- Schema Editor ---
+
+/**
+ * Lists every column with its type, letting the user override the inferred type.
+ * Overridden columns are highlighted and can be reset to the inferred type.
+ * @param {Object} dataObject - The data whose schema is shown.
+ */
+function updateSchemaEditor(dataObject) {
+    const { meta } = dataObject;
+    const overrides = meta.typeOverrides || {};
+    schemaList.innerHTML = '';
+
+    meta.fields.forEach(field => {
+        const type = meta.inferredTypes[field] || 'string';
+        const isOverridden = Boolean(overrides[field]);
+        const item = document.createElement('div');
+        item.classList.add('schema-item');
+        if (isOverridden) item.classList.add('overridden');
+        item.innerHTML = `
+            <span class="schema-name" title="${field}">${field}</span>
+            <select class="neo-select" aria-label="Type of ${field}">
+                ${COLUMN_TYPES.map(t => `<option value="${t}" ${t === type ? 'selected' : ''}>${t}</option>`).join('')}
+            </select>
+            ${isOverridden ? `<button class="remove-staged-btn" title="Use the inferred type" aria-label="Reset type">&times;</button>` : ''}
+        `;
+
+        item.querySelector('select').addEventListener('change', (e) => setColumnTypeOverride(field, e.target.value));
+        if (isOverridden) {
+            item.querySelector('.remove-staged-btn').addEventListener('click', () => resetColumnType(field));
+        }
+        schemaList.appendChild(item);
+    });
+}
+
+/**
+ * Records the user's type for a column as a new version, so it can be undone. Overrides survive
+ * re-inference and are what the AI prompts and charts see from then on.
+ */
+function setColumnTypeOverride(field, type) {
+    const meta = JSON.parse(JSON.stringify(originalData.meta));
+    meta.typeOverrides = { ...meta.typeOverrides, [field]: type };
+    meta.inferredTypes[field] = type;
+    commitColumnTypes(meta, `Treated '${field}' as ${type}`, `<strong>${field}</strong> is now treated as ${type}.`);
+}
+
+function resetColumnType(field) {
+    const meta = JSON.parse(JSON.stringify(originalData.meta));
+    if (meta.typeOverrides) delete meta.typeOverrides[field];
+    meta.inferredTypes[field] = inferColumnTypes(originalData.data, [field], meta.numberFormats || {}, meta.dateFormats || {})[field];
+    commitColumnTypes(meta, `Reset the type of '${field}'`, `<strong>${field}</strong> is back to its inferred type, ${meta.inferredTypes[field]}.`);
+}
+
+/**
+ * Commits a copy of the schema with changed types. The rows are unchanged, so the new version
+ * shares them with the current one.
+ */
+function commitColumnTypes(meta, label, message) {
+    commitDataVersion({ data: [...originalData.data], meta }, label);
+    addMessageToChat(message, 'ai');
+}
+
+
+// --- Column Profiling ---
+
+const PROFILE_TOP_VALUES = 5; // Most frequent values listed per column
+const PROFILE_HISTOGRAM_BINS = 12;
+
+/**
+ * Counts values into equal-width bins between their minimum and maximum.
+ * @param {Array<number>} values - The values (at least one).
+ * @returns {Object} { min, max, counts }.
+ */
+function buildHistogram(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(v => {
+        if (v < min) min = v;
+        if (v > max) max = v;
+    });
+    const binCount = min === max ? 1 : PROFILE_HISTOGRAM_BINS;
+    const width = (max - min) / binCount;
+    const counts = new Array(binCount).fill(0);
+    values.forEach(v => {
+        const bin = width === 0 ? 0 : Math.min(binCount - 1, Math.floor((v - min) / width));
+        counts[bin]++;
+    });
+    return { min, max, counts };
+}
+
+/**
+ * Profiles one column over every row: completeness, distinct values, the most frequent values and,
+ * for numeric and temporal columns, summary statistics and a histogram.
+ * @param {Array<Object>} data - The rows.
+ * @param {string} field - The column.
+ * @param {string} type - The column's type (one of COLUMN_TYPES).
+ * @returns {Object} { total, filled, distinct, topValues, stats, histogram }.
+ */
+function profileColumn(data, field, type) {
+    const counts = new Map();
+    const numbers = [];
+    const times = [];
+    let filled = 0;
+
+    data.forEach(row => {
+        const value = row[field];
+        if (value === null || value === undefined || String(value).trim() === '') return;
+        filled++;
+        const key = String(value);
+        counts.set(key, (counts.get(key) || 0) + 1);
+
+        if (isNumericType(type)) {
+            const num = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+            if (!isNaN(num)) numbers.push(num);
+        } else if (type === 'temporal') {
+            const time = toTimestamp(value);
+            if (time !== null) times.push(time);
+        }
+    });
+
+    const topValues = Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, PROFILE_TOP_VALUES)
+        .map(([value, count]) => ({ value, count }));
+    const profile = { total: data.length, filled, distinct: counts.size, topValues, stats: null, histogram: null };
+
+    // Identifiers and codes only get counts: their minimum or mean means nothing.
+    if (numbers.length > 0) {
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const mean = numbers.reduce((sum, v) => sum + v, 0) / numbers.length;
+        const variance = numbers.reduce((sum, v) => sum + (v - mean) ** 2, 0) / numbers.length;
+        const middle = Math.floor(sorted.length / 2);
+        profile.stats = {
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean,
+            median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+            stdDev: Math.sqrt(variance)
+        };
+        profile.histogram = buildHistogram(numbers);
+    } else if (times.length > 0) {
+        const histogram = buildHistogram(times);
+        const byTime = Array.from(counts.keys()).filter(key => toTimestamp(key) !== null);
+        profile.stats = {
+            earliest: byTime.find(key => toTimestamp(key) === histogram.min),
+            latest: byTime.find(key => toTimestamp(key) === histogram.max)
+        };
+        profile.histogram = histogram;
+    }
+    return profile;
+}
+
+/**
+ * Marks the profile as out of date and rebuilds it right away if the Profile tab is open.
+ * Called whenever activeData changes (loads, transformations, filters, type changes).
+ */
+function refreshProfilePanel() {
+    isProfileStale = true;
+    if (toolProfile.classList.contains('active')) renderProfilePanel();
+}
+
+function renderProfilePanel() {
+    isProfileStale = false;
+    if (!activeData) return;
+    const { data, meta } = activeData;
+    const numberFormats = meta.numberFormats || {};
+    const format = (field, value) => formatNumberValue(Number(value.toPrecision(6)), numberFormats[field]);
+
+    profileSummary.textContent = isFilteredState
+        ? `Profiling ${data.length.toLocaleString()} filtered rows.`
+        : `Profiling all ${data.length.toLocaleString()} rows.`;
+    profileList.innerHTML = '';
+
+    meta.fields.forEach(field => {
+        const type = meta.inferredTypes[field] || 'string';
+        const profile = profileColumn(data, field, type);
+        const completeness = profile.total > 0 ? (profile.filled / profile.total) * 100 : 0;
+
+        let statsHtml = '';
+        if (profile.stats && 'mean' in profile.stats) {
+            const { min, max, mean, median, stdDev } = profile.stats;
+            statsHtml = `<div class="profile-stats">
+                <span>min ${format(field, min)}</span><span>max ${format(field, max)}</span>
+                <span>mean ${format(field, mean)}</span><span>median ${format(field, median)}</span>
+                <span>std dev ${format(field, stdDev)}</span>
+            </div>`;
+        } else if (profile.stats) {
+            statsHtml = `<div class="profile-stats"><span>from ${profile.stats.earliest}</span><span>to ${profile.stats.latest}</span></div>`;
+        }
+
+        let histogramHtml = '';
+        if (profile.histogram) {
+            const peak = Math.max(...profile.histogram.counts);
+            histogramHtml = `<div class="profile-histogram" title="Distribution of values">
+                ${profile.histogram.counts.map(count => `<span style="height: ${peak ? Math.max(4, (count / peak) * 100) : 0}%" title="${count} row(s)"></span>`).join('')}
+            </div>`;
+        }
+
+        const topHtml = profile.topValues.map(({ value, count }) => `
+            <li><span class="profile-value" title="${value}">${value}</span><span>${count.toLocaleString()}</span></li>
+        `).join('');
+
+        const item = document.createElement('div');
+        item.classList.add('profile-item');
+        item.innerHTML = `
+            <div class="profile-header">
+                <span class="schema-name" title="${field}">${field}</span>
+                <span class="profile-type">${type}</span>
+            </div>
+            <div class="profile-completeness" title="${completeness.toFixed(1)}% filled"><div style="width: ${completeness}%"></div></div>
+            <div class="profile-facts">
+                <span>${completeness.toFixed(1)}% filled (${(profile.total - profile.filled).toLocaleString()} empty)</span>
+                <span>${profile.distinct.toLocaleString()} distinct</span>
+            </div>
+            ${statsHtml}
+            ${histogramHtml}
+            ${topHtml ? `<ol class="profile-top">${topHtml}</ol>` : ''}
+        `;
+        profileList.appendChild(item);
+    });
+}
+
+
+// --- History ---
+
+const MAX_HISTORY_VERSIONS = 30; // Older versions are dropped so the copies don't exhaust memory
+
+/**
+ * Makes a transformed version of the active dataset current and records it in its history.
+ * Steps that were undone are discarded, as in any editor.
+ * @param {Object} dataObject - The new version, which must not be mutated afterwards.
+ * @param {string} label - What the step did, shown in the history list.
+ * @param {Object} [config] - The transformation config that produced it, kept for recipes.
+ */
+function commitDataVersion(dataObject, label, config = null) {
+    recordDataVersion(datasets.find(d => d.id === activeDatasetId), dataObject, label, config);
+    showDataVersion(dataObject);
+}
+
+/**
+ * Records a new version in a dataset's history without showing it, for datasets in the
+ * workspace that are not being analyzed.
+ */
+function recordDataVersion(entry, dataObject, label, config = null) {
+    entry.history = entry.history.slice(0, entry.historyIndex + 1);
+    entry.history.push({ label, data: dataObject, config: config && JSON.parse(JSON.stringify(config)) });
+    if (entry.history.length > MAX_HISTORY_VERSIONS) entry.history.shift();
+    entry.historyIndex = entry.history.length - 1;
+    entry.data = dataObject;
+}
+
+/**
+ * Makes a version of the data the one being analyzed. Filters are cleared since they may refer
+ * to columns the version doesn't have, and the chat restarts with the version's schema.
+ */
+function showDataVersion(dataObject) {
+    originalData = dataObject;
+    activeData = dataObject;
+    if (activeFilters.length > 0) {
+        activeFilters = [];
+        isFilteredState = false;
+        filterSection.classList.add('hidden');
+        stopFilterEditing();
+    }
+
+    initializeChatSession(originalData);
+    updateSidebarStats(originalData);
+    populateColumnDropdowns(originalData.meta.fields);
+}
+
+/**
+ * Jumps to any recorded version of the active dataset. Later versions are kept so the user can redo.
+ * @param {number} index - The position of the version in the history.
+ */
+function jumpToVersion(index) {
+    const entry = datasets.find(d => d.id === activeDatasetId);
+    if (!entry || index < 0 || index >= entry.history.length || index === entry.historyIndex) return;
+
+    entry.historyIndex = index;
+    const version = entry.history[index];
+    showDataVersion(version.data);
+    addMessageToChat(`Returned to step ${index + 1} of ${entry.history.length}: <em>${version.label}</em>. The data now has ${version.data.data.length} rows and ${version.data.meta.fields.length} columns.`, 'ai');
+    addPreviewToChat(originalData);
+}
+
+function undoTransformation() {
+    const entry = datasets.find(d => d.id === activeDatasetId);
+    if (entry) jumpToVersion(entry.historyIndex - 1);
+}
+
+function redoTransformation() {
+    const entry = datasets.find(d => d.id === activeDatasetId);
+    if (entry) jumpToVersion(entry.historyIndex + 1);
+}
+
+function updateHistoryList() {
+    const entry = datasets.find(d => d.id === activeDatasetId);
+    historyList.innerHTML = '';
+    if (!entry) return;
+
+    entry.history.forEach((version, index) => {
+        const item = document.createElement('li');
+        item.classList.add('history-item');
+        if (index === entry.historyIndex) item.classList.add('current');
+        if (index > entry.historyIndex) item.classList.add('undone');
+        item.innerHTML = `
+            <span class="history-step">${index + 1}</span>
+            <span class="history-label">${version.label}</span>
+        `;
+        if (index !== entry.historyIndex) {
+            item.title = 'Click to return to this version';
+            item.addEventListener('click', () => jumpToVersion(index));
+        }
+        historyList.appendChild(item);
+    });
+
+    undoBtn.disabled = entry.historyIndex === 0;
+    redoBtn.disabled = entry.historyIndex === entry.history.length - 1;
+    historySection.classList.remove('hidden');
+}
+
+
+// --- Recipes ---
+// A recipe is the ordered list of transformation configs that produced the current version of a
+// dataset, saved as a JSON file so the same steps can be replayed on next month's export.
+
+const RECIPE_FORMAT = 'datainsight-recipe';
+const RECIPE_VERSION = 1;
+// Config keys whose values name columns a step reads. They are checked before a recipe runs and
+// rewritten when the user maps a missing column onto one of the new file's columns.
+const RECIPE_COLUMN_KEYS = ['column', 'columns', 'column1', 'column2', 'oldColumn', 'on', 'leftOn', 'index', 'values', 'idColumns', 'partitionBy', 'orderBy', 'sourceColumn', 'startColumn', 'endColumn', 'amountColumn'];
+// Config keys whose values name columns a step adds.
+const RECIPE_NEW_COLUMN_KEYS = ['newColumn', 'newColumns'];
+// Actions tied to the rows of the data they were made on, so they are never saved or replayed.
+const RECIPE_EXCLUDED_ACTIONS = ['edit_cell'];
+
+let pendingRecipe = null; // { recipe, missing, mapping, included } while the recipe dialog is open
+
+/**
+ * Lists every column name found under the given keys anywhere in a config, so nested
+ * condition lists are covered too.
+ */
+function collectConfigColumns(value, keys, found = []) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectConfigColumns(item, keys, found));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => {
+            if (keys.includes(key)) {
+                // Lists such as a window's orderBy may hold { column, order } entries instead of names.
+                [].concat(child).forEach(name => {
+                    if (typeof name === 'string' && name !== '') found.push(name);
+                    else collectConfigColumns(name, keys, found);
+                });
+            } else {
+                collectConfigColumns(child, keys, found);
+            }
+        });
+    }
+    return found;
+}
+
+/**
+ * Returns a copy of a config with the columns it reads renamed.
+ * @param {Object} config - A transformation config.
+ * @param {Object} mapping - Recipe column name -> column name in the current data.
+ */
+function remapConfigColumns(config, mapping) {
+    const rename = (name) => typeof name === 'string' ? (mapping[name] || name) : walk(name);
+    const remapFormula = (formula) => {
+        try {
+            return renameFormulaColumns(formula, mapping);
+        } catch (error) {
+            return formula; // The preflight reports the syntax error
+        }
+    };
+    const walk = (value) => {
+        if (Array.isArray(value)) return value.map(walk);
+        if (!value || typeof value !== 'object') return value;
+        const copy = {};
+        Object.entries(value).forEach(([key, child]) => {
+            if (key === 'formula' && typeof child === 'string') {
+                copy[key] = remapFormula(child);
+            } else {
+                copy[key] = RECIPE_COLUMN_KEYS.includes(key)
+                    ? (Array.isArray(child) ? child.map(rename) : rename(child))
+                    : walk(child);
+            }
+        });
+        return copy;
+    };
+
+    // A join's `on` names the key on both sides; only the current data's side is remapped.
+    const source = config.action === 'join' && config.on !== undefined && !config.leftOn
+        ? { ...config, leftOn: config.on, rightOn: config.rightOn || config.on, on: undefined }
+        : config;
+    return walk(JSON.parse(JSON.stringify(source)));
+}
+
+/**
+ * Guesses which current column a missing recipe column was renamed to: the same name written
+ * differently ("Order ID" / "order_id"), or one name containing the other.
+ */
+function suggestColumnMatch(name, fields) {
+    const normalize = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    const target = normalize(name);
+    if (!target) return null;
+    return fields.find(field => normalize(field) === target)
+        || fields.find(field => {
+            const candidate = normalize(field);
+            return candidate.length > 2 && (candidate.includes(target) || target.includes(candidate));
+        })
+        || null;
+}
+
+/**
+ * Walks a recipe's steps over the current schema without running them, tracking the columns each
+ * step renames or adds, and reports what would stop each step from running.
+ * @param {Array} steps - The transformation configs, in order.
+ * @param {Array} fields - The current data's columns.
+ * @returns {Array} One { config, missing, problems } entry per step.
+ */
+function preflightRecipe(steps, fields) {
+    let available = [...fields];
+    // A pivot's new columns come from the data's values, as do those of a split that doesn't name
+    // them, so the steps after one can't be checked.
+    let schemaKnown = true;
+    return steps.map(config => {
+        const problems = [];
+        let formulaColumns = [];
+        if (typeof config.formula === 'string') {
+            try {
+                formulaColumns = getFormulaReferences(config.formula);
+            } catch (error) {
+                problems.push(`has an invalid formula: ${error.message}`);
+            }
+        }
+        // Formulas match column names ignoring case.
+        const missing = !schemaKnown ? [] : Array.from(new Set([
+            ...collectConfigColumns(config, RECIPE_COLUMN_KEYS).filter(name => !available.includes(name)),
+            ...formulaColumns.filter(name => !findMatchingColumn(name, available))
+        ]));
+
+        if (config.action === 'join') {
+            const rightEntry = findDatasetByName(config.dataset);
+            if (!rightEntry) {
+                problems.push(`needs the dataset "${config.dataset}" in the workspace`);
+            } else {
+                const rightFields = getDatasetData(rightEntry).meta.fields;
+                const rightKeys = [].concat(config.rightOn || config.on || []);
+                rightKeys.filter(key => !findMatchingColumn(key, rightFields))
+                    .forEach(key => problems.push(`"${rightEntry.name}" has no column "${key}"`));
+                available.push(...rightFields.filter(field => !available.includes(field)));
+            }
+        } else if (config.action === 'rename_column') {
+            available = available.filter(field => field !== config.oldColumn);
+        } else if (config.action === 'drop_columns' || config.action === 'keep_columns') {
+            const named = [].concat(config.columns ?? config.column ?? []);
+            available = available.filter(field => named.includes(field) === (config.action === 'keep_columns'));
+        } else if (config.action === 'unpivot') {
+            const columns = [].concat(config.columns ?? []);
+            const idColumns = [].concat(config.idColumns ?? []);
+            const ids = idColumns.length > 0 ? idColumns : available.filter(field => !columns.includes(field));
+            available = [...ids, config.variableColumn || 'Variable', config.valueColumn || 'Value'];
+        } else if (config.action === 'pivot' || (config.action === 'split_column' && [].concat(config.newColumns ?? []).length === 0)) {
+            schemaKnown = false;
+        } else if (RECIPE_EXCLUDED_ACTIONS.includes(config.action)) {
+            problems.push('edits a single cell of the data it was saved from, so it cannot be replayed');
+        } else if (!TRANSFORMATION_ACTIONS.includes(config.action)) {
+            problems.push(`uses the unsupported action "${config.action}"`);
+        }
+        available.push(...collectConfigColumns(config, RECIPE_NEW_COLUMN_KEYS));
+
+        return { config, missing, problems };
+    });
+}
+
+function describeRecipeStep(config) {
+    return config.explanation || config.action.replace(/_/g, ' ');
+}
+
+function saveRecipe() {
+    const entry = datasets.find(d => d.id === activeDatasetId);
+    if (!entry) return;
+    // The first version is the one the steps start from; later ones record the configs.
+    const configs = entry.history.slice(1, entry.historyIndex + 1).map(version => version.config).filter(Boolean);
+    const steps = configs.filter(config => !RECIPE_EXCLUDED_ACTIONS.includes(config.action));
+    if (steps.length === 0) {
+        alert(configs.length > 0
+            ? 'Only cell edits have been made so far, and those only apply to this data. Transform the data first, then save the steps as a recipe.'
+            : 'There are no transformations to save yet. Transform the data first, then save the steps as a recipe.');
+        return;
+    }
+
+    const name = prompt('Name this recipe:', `${entry.name} steps`);
+    if (name === null) return;
+    const recipe = {
+        format: RECIPE_FORMAT,
+        version: RECIPE_VERSION,
+        name: name.trim() || 'Untitled recipe',
+        createdAt: new Date().toISOString(),
+        sourceColumns: entry.history[0].data.meta.fields,
+        steps
+    };
+
+    const blob = new Blob([JSON.stringify(recipe, null, 2)], { type: 'application/json' });
+    const fileName = recipe.name.replace(/[^\p{L}\p{N}_-]+/gu, '_').replace(/^_+|_+$/g, '') || 'recipe';
+    downloadBlob(blob, `${fileName}.recipe.json`);
+
+    const trimmedNote = entry.history[0].config ? ' Steps older than the history limit were not included.' : '';
+    const editCount = configs.length - steps.length;
+    const editNote = editCount > 0 ? ` ${editCount} cell edit(s) were left out, as they only apply to this data.` : '';
+    addMessageToChat(`Saved the recipe <strong>${recipe.name}</strong> with ${steps.length} step(s). Use <em>Apply Recipe</em> on another dataset to replay them.${trimmedNote}${editNote}`, 'ai');
+}
+
+/**
+ * Reads a recipe file, checking it is one before anything is shown.
+ * @throws {Error} If the text is not a recipe this version can run.
+ */
+function parseRecipe(text) {
+    let recipe;
+    try {
+        recipe = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!recipe || recipe.format !== RECIPE_FORMAT || !Array.isArray(recipe.steps)) {
+        throw new Error('The file is not a transformation recipe.');
+    }
+    if (recipe.version > RECIPE_VERSION) {
+        throw new Error('The recipe was saved by a newer version of the app.');
+    }
+    if (recipe.steps.length === 0 || !recipe.steps.every(step => step && typeof step.action === 'string')) {
+        throw new Error('The recipe has no valid steps.');
+    }
+    return recipe;
+}
+
+async function handleRecipeFileSelect(e) {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file || !originalData) return;
+    try {
+        openRecipeDialog(parseRecipe(await file.text()));
+    } catch (error) {
+        addErrorMessageToChat('Recipe Not Loaded', `"${file.name}" could not be read. ${error.message}`);
+    }
+}
+
+/**
+ * Shows the preflight check for a recipe against the active dataset. Columns the steps need
+ * that the data lacks are listed first, each with a guess at what it was renamed to.
+ */
+function openRecipeDialog(recipe) {
+    const fields = originalData.meta.fields;
+    const missing = Array.from(new Set(preflightRecipe(recipe.steps, fields).flatMap(step => step.missing)));
+    const mapping = {};
+    missing.forEach(name => {
+        const match = suggestColumnMatch(name, fields);
+        if (match) mapping[name] = match;
+    });
+
+    pendingRecipe = { recipe, missing, mapping, included: recipe.steps.map(config => !RECIPE_EXCLUDED_ACTIONS.includes(config.action)) };
+    const entry = datasets.find(d => d.id === activeDatasetId);
+    recipeSubtitle.textContent = `"${recipe.name}" has ${recipe.steps.length} step(s) and will run on "${entry.name}". Nothing changes until you run it, and every step can be undone.`;
+    renderRecipeMapping();
+    renderRecipeSteps();
+    recipeModal.classList.add('visible');
+}
+
+function closeRecipeDialog() {
+    recipeModal.classList.remove('visible');
+    pendingRecipe = null;
+}
+
+function renderRecipeMapping() {
+    const { missing, mapping } = pendingRecipe;
+    recipeMapping.innerHTML = '';
+    if (missing.length === 0) {
+        recipeMapping.innerHTML = '<p class="recipe-ok">All columns the recipe uses are in the data.</p>';
+        return;
+    }
+
+    const heading = document.createElement('p');
+    heading.className = 'recipe-mapping-heading';
+    heading.textContent = `${missing.length} column(s) the recipe uses are missing. Pick the column each one is called now:`;
+    recipeMapping.appendChild(heading);
+
+    missing.forEach(name => {
+        const row = document.createElement('div');
+        row.className = 'recipe-mapping-row';
+        const label = document.createElement('span');
+        label.className = 'recipe-mapping-name';
+        label.textContent = name;
+        const select = document.createElement('select');
+        select.className = 'neo-select';
+        select.innerHTML = '<option value="">(missing)</option>';
+        originalData.meta.fields.forEach(field => {
+            const option = document.createElement('option');
+            option.value = field;
+            option.textContent = field;
+            select.appendChild(option);
+        });
+        select.value = mapping[name] || '';
+        select.addEventListener('change', () => {
+            if (select.value) {
+                mapping[name] = select.value;
+            } else {
+                delete mapping[name];
+            }
+            renderRecipeSteps();
+        });
+        row.append(label, select);
+        if (mapping[name]) {
+            const hint = document.createElement('span');
+            hint.className = 'schema-hint';
+            hint.textContent = 'suggested';
+            row.appendChild(hint);
+        }
+        recipeMapping.appendChild(row);
+    });
+}
+
+/**
+ * Lists the steps with what would stop each one, re-checking the schema with the current column
+ * mapping and only the steps that are ticked, since a skipped step may create a column a later one needs.
+ */
+function renderRecipeSteps() {
+    const { recipe, mapping, included } = pendingRecipe;
+    const plan = recipe.steps.map(config => remapConfigColumns(config, mapping));
+    const checked = preflightRecipe(plan.filter((config, i) => included[i]), originalData.meta.fields);
+
+    recipeStepList.innerHTML = '';
+    let position = 0;
+    let blocked = 0;
+    plan.forEach((config, i) => {
+        const report = included[i] ? checked[position++] : null;
+        const issues = report ? [...report.missing.map(name => `column "${name}" is missing`), ...report.problems] : [];
+        if (issues.length > 0) blocked++;
+
+        const item = document.createElement('li');
+        item.className = 'recipe-step';
+        if (!included[i]) item.classList.add('skipped');
+        if (issues.length > 0) item.classList.add('blocked');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = included[i];
+        checkbox.title = 'Include this step';
+        checkbox.addEventListener('change', () => {
+            included[i] = checkbox.checked;
+            renderRecipeSteps();
+        });
+        const text = document.createElement('div');
+        text.className = 'recipe-step-text';
+        const label = document.createElement('span');
+        label.textContent = `${i + 1}. ${describeRecipeStep(config)}`;
+        const status = document.createElement('span');
+        status.className = 'recipe-step-status';
+        status.textContent = !included[i] ? 'Skipped' : (issues.length > 0 ? `Can't run: ${issues.join('; ')}` : 'Ready');
+        text.append(label, status);
+        item.append(checkbox, text);
+        recipeStepList.appendChild(item);
+    });
+
+    const runnable = included.filter(Boolean).length;
+    recipeRunBtn.disabled = blocked > 0 || runnable === 0;
+    recipeRunBtn.textContent = blocked > 0 ? `FIX ${blocked} STEP(S) TO RUN` : `RUN ${runnable} STEP(S)`;
+}
+
+/**
+ * Runs the ticked steps in order, each as its own history version, stopping at the first failure.
+ */
+function runRecipe() {
+    if (!pendingRecipe) return;
+    const { recipe, mapping, included } = pendingRecipe;
+    const plan = recipe.steps
+        .map((config, i) => ({ number: i + 1, config: remapConfigColumns(config, mapping) }))
+        .filter((step, i) => included[i]);
+    closeRecipeDialog();
+
+    let applied = 0;
+    for (const { number, config } of plan) {
+        const result = applyTransformation(config, originalData);
+        if (!result.success) {
+            const done = applied > 0 ? ` The ${applied} step(s) before it were applied and can be undone from the History panel.` : '';
+            addErrorMessageToChat('Recipe Stopped', `Step ${number} (${describeRecipeStep(config)}) failed: ${result.message}${done}`);
+            if (applied > 0) addPreviewToChat(originalData);
+            return;
+        }
+        commitDataVersion(result.newData, result.message, config);
+        applied++;
+    }
+
+    const skipped = recipe.steps.length - plan.length;
+    const skippedNote = skipped > 0 ? ` ${skipped} step(s) were skipped.` : '';
+    addMessageToChat(`Applied the recipe <strong>${recipe.name}</strong>: ${applied} step(s) ran.${skippedNote} The data now has ${originalData.data.length} rows and ${originalData.meta.fields.length} columns.`, 'ai');
+    addPreviewToChat(originalData);
+}
+
+
+// --- Data Filtering ---
+/**
+ * Shows the rows that meet every switched-on filter. Switched-off filters stay listed so they
+ * can be turned back on.
+ */
+function applyFilters() {
+    const enabledFilters = activeFilters.filter(filter => !filter.disabled);
+    if (enabledFilters.length > 0) {
+        const conditions = resolveConditions(originalData, enabledFilters);
+        activeData = {
+            ...originalData,
+            data: originalData.data.filter(row => matchesConditions(row, conditions)),
+        };
+        isFilteredState = true;
+    } else {
+        activeData = originalData;
+        isFilteredState = false;
+    }
+    if (activeFilters.length === 0) stopFilterEditing();
+    renderFilterChips();
+    updateSidebarStats(activeData);
+}
+
+function handleClearFilters() {
+    // 1. Select all messages that were generated while filters were active.
+    const messagesToRemove = chatHistory.querySelectorAll('[data-filter-message="true"]');
+    
+    // 2. Animate them out and then remove them from the DOM.
+    messagesToRemove.forEach(msg => {
+        msg.classList.add('fade-out-and-remove');
+        // The 'animationend' event ensures the element is removed only after the animation finishes.
+        msg.addEventListener('animationend', () => {
+            msg.remove();
+        }, { once: true });
+    });
+    
+    // 3. Reset the filter state.
+    activeFilters = [];
+    applyFilters(); // This will reset activeData and set isFilteredState to false.
+    
+    // 4. Add a confirmation message.
+    addMessageToChat('All filters have been cleared. Showing all data.', 'ai');
+}
+
+/**
+ * Lists the active filters as chips that can be switched off, edited or removed one at a time.
+ */
+function renderFilterChips() {
+    filterList.innerHTML = '';
+    activeFilters.forEach((filter, index) => {
+        const item = document.createElement('div');
+        item.classList.add('filter-item', 'filter-chip');
+        item.classList.toggle('is-disabled', Boolean(filter.disabled));
+
+        const toggle = document.createElement('label');
+        toggle.classList.add('filter-chip-toggle');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !filter.disabled;
+        checkbox.title = filter.disabled ? 'Switch this filter on' : 'Switch this filter off';
+        checkbox.addEventListener('change', () => handleFilterToggle(index, checkbox.checked));
+        const text = document.createElement('span');
+        text.textContent = describeCondition(filter);
+        toggle.append(checkbox, text);
+
+        const editBtn = document.createElement('button');
+        editBtn.classList.add('edit-filter-btn');
+        editBtn.innerHTML = '&#9998;';
+        editBtn.setAttribute('aria-label', 'Edit filter');
+        editBtn.addEventListener('click', () => startFilterEditing(index));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.classList.add('remove-staged-btn');
+        removeBtn.innerHTML = '&times;';
+        removeBtn.setAttribute('aria-label', 'Remove filter');
+        removeBtn.addEventListener('click', () => handleFilterRemove(index));
+
+        const actions = document.createElement('div');
+        actions.classList.add('filter-chip-actions');
+        actions.append(editBtn, removeBtn);
+        item.append(toggle, actions);
+        filterList.appendChild(item);
+    });
+    filterSection.classList.toggle('hidden', activeFilters.length === 0);
+}
+
+/**
+ * Tells the user which rows the analyses now use, after the filters changed.
+ */
+function announceFilters() {
+    if (activeFilters.length === 0) {
+        addMessageToChat('All filters have been cleared. Showing all data.', 'ai');
+        return;
+    }
+    if (!isFilteredState) {
+        addMessageToChat('All filters are switched off. Showing all data.', 'ai');
+        return;
+    }
+    const filterSummary = activeFilters.filter(f => !f.disabled).map(f => `<em>${describeCondition(f)}</em>`).join(' AND ');
+    addMessageToChat(`<strong>Filters applied:</strong> Showing data where ${filterSummary}. All analyses will now use this subset.`, 'ai');
+    addPreviewToChat(activeData);
+    generateAndDisplayFollowUpQuestions('<strong>What\'s next?</strong> Here are some ideas for the filtered data:');
+}
+
+/**
+ * The switched-on filters in words, for telling the AI which rows the user is looking at,
+ * or '' when all rows are shown.
+ */
+function describeActiveFilters() {
+    return isFilteredState ? activeFilters.filter(f => !f.disabled).map(describeCondition).join(' AND ') : '';
+}
+
+function handleFilterToggle(index, enabled) {
+    const { disabled, ...filter } = activeFilters[index];
+    activeFilters[index] = enabled ? filter : { ...filter, disabled: true };
+    applyFilters();
+    announceFilters();
+}
+
+function handleFilterRemove(index) {
+    activeFilters.splice(index, 1);
+    if (editingFilterIndex === index) stopFilterEditing();
+    else if (editingFilterIndex !== null && editingFilterIndex > index) editingFilterIndex--;
+    applyFilters();
+    announceFilters();
+}
+
+/**
+ * Loads an active filter into the Filter tool, where saving it replaces the filter.
+ */
+function startFilterEditing(index) {
+    const filter = activeFilters[index];
+    document.querySelector('.tool-tab[data-target="tool-filter"]').click();
+    filterColSelect.value = filter.column;
+    filterOp.value = filter.operator || 'equals';
+    updateFilterInputs();
+    const values = [].concat(filter.value ?? '');
+    filterValue.value = filter.operator === 'between' ? values[0] : values.join(', ');
+    filterValueTo.value = filter.operator === 'between' ? values[1] : '';
+
+    editingFilterIndex = index;
+    toolFilterAddBtn.textContent = 'Update Filter';
+    filterCancelEditBtn.classList.remove('hidden');
+    toolFilterAddBtn.scrollIntoView({ block: 'nearest' });
+}
+
+function stopFilterEditing() {
+    editingFilterIndex = null;
+    toolFilterAddBtn.textContent = 'Stage Filter';
+    filterCancelEditBtn.classList.add('hidden');
+}
+
+function updateStagingUi() {
+    if (stagedFilters.length > 0) {
+        stagedFiltersList.innerHTML = '';
+        stagedFilters.forEach((filter, index) => {
+            const item = document.createElement('div');
+            item.classList.add('staged-filter-item');
+            item.innerHTML = `
+                <span><strong>${filter.column}:</strong> ${describeConditionTest(filter)}</span>
+                <button class="remove-staged-btn" data-index="${index}" aria-label="Remove filter">&times;</button>
+            `;
+            stagedFiltersList.appendChild(item);
+        });
+        
+        // Add event listeners to new remove buttons
+        stagedFiltersList.querySelectorAll('.remove-staged-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const indexToRemove = parseInt(e.currentTarget.dataset.index, 10);
+                stagedFilters.splice(indexToRemove, 1);
+                updateStagingUi(); // Re-render
+            });
+        });
+
+        stagingSection.classList.remove('hidden');
+    } else {
+        stagingSection.classList.add('hidden');
+    }
+}
+
+function handleApplyStagedFilters() {
+    activeFilters = [...activeFilters, ...stagedFilters];
+    // Remove duplicates
+    activeFilters = activeFilters.filter((filter, index, self) => !isFilterListed(self.slice(0, index), filter));
+    stagedFilters = [];
+    updateStagingUi();
+    applyFilters();
+    announceFilters();
+}
+
+function handleCancelStaging() {
+    stagedFilters = [];
+    updateStagingUi();
+}
+
+// --- Segments ---
+// A segment is a named set of filters, e.g. "EMEA enterprise customers", kept in the browser so
+// that it can be switched on again in later sessions, on any dataset with the columns it filters.
+
+const SEGMENTS_STORAGE_KEY = 'datainsight-segments';
+
+function loadSavedSegments() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SEGMENTS_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored.filter(segment => segment && segment.name && Array.isArray(segment.filters)) : [];
+    } catch (error) {
+        console.warn('Could not read the saved segments:', error);
+        return [];
+    }
+}
+
+function storeSavedSegments() {
+    try {
+        localStorage.setItem(SEGMENTS_STORAGE_KEY, JSON.stringify(savedSegments));
+    } catch (error) {
+        console.warn('Could not store the saved segments:', error);
+    }
+}
+
+/**
+ * The saved segments whose filtered columns all exist in the given data.
+ */
+function getAvailableSegments(dataObject) {
+    if (!dataObject) return [];
+    const { fields } = dataObject.meta;
+    return savedSegments.filter(segment =>
+        collectConfigColumns(segment.filters, ['column']).every(column => findMatchingColumn(column, fields)));
+}
+
+/**
+ * Finds a segment the data can use by name, ignoring case.
+ */
+function findSegment(name, dataObject) {
+    const available = getAvailableSegments(dataObject);
+    const segment = available.find(s => s.name.toLowerCase() === String(name).trim().toLowerCase());
+    if (!segment) {
+        const names = available.map(s => s.name);
+        throw new Error(`Segment "${name}" not found. ${names.length > 0 ? `Saved segments for this data: [${names.join(', ')}]` : 'No segments are saved for this data.'}`);
+    }
+    return segment;
+}
+
+/**
+ * Replaces the { segment } references in a config with the segments' filters, so a step
+ * recorded in a recipe doesn't depend on the segments saved in this browser.
+ */
+function inlineSegments(value, dataObject) {
+    if (Array.isArray(value)) return value.map(item => inlineSegments(item, dataObject));
+    if (!value || typeof value !== 'object') return value;
+    if (value.segment !== undefined) return { all: findSegment(value.segment, dataObject).filters };
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, inlineSegments(child, dataObject)]));
+}
+
+/**
+ * Lists the segments for the AI prompts, one per line, or '' when there are none.
+ */
+function describeSegments(dataObject) {
+    return getAvailableSegments(dataObject)
+        .map(segment => `- "${segment.name}": rows where ${segment.filters.map(describeCondition).join(' AND ')}`)
+        .join('\n');
+}
+
+function handleSaveSegment() {
+    const name = segmentNameInput.value.trim();
+    const filters = activeFilters.filter(f => !f.disabled).map(({ column, operator, value }) => ({ column, operator, value }));
+    if (!name) {
+        alert("Please enter a name for the segment.");
+        return;
+    }
+    if (filters.length === 0) {
+        alert("Switch on at least one filter to save as a segment.");
+        return;
+    }
+
+    const existing = savedSegments.findIndex(s => s.name.toLowerCase() === name.toLowerCase());
+    if (existing !== -1) {
+        if (!confirm(`A segment named "${savedSegments[existing].name}" already exists. Replace it?`)) return;
+        savedSegments.splice(existing, 1);
+    }
+    savedSegments.push({ name, filters });
+    storeSavedSegments();
+    segmentNameInput.value = '';
+    renderSegmentList();
+    addMessageToChat(`Saved the segment <strong>${name}</strong>. Switch it on from the Segments list, or mention it by name in your questions.`, 'ai');
+}
+
+function handleDeleteSegment(segment) {
+    if (!confirm(`Delete the segment "${segment.name}"?`)) return;
+    savedSegments = savedSegments.filter(s => s !== segment);
+    storeSavedSegments();
+    renderSegmentList();
+}
+
+/**
+ * Replaces the active filters with a segment's filters.
+ */
+function applySegment(segment) {
+    const { fields } = originalData.meta;
+    activeFilters = segment.filters.map(filter => ({ ...filter, column: findMatchingColumn(filter.column, fields) }));
+    stopFilterEditing();
+    applyFilters();
+    announceFilters();
+}
+
+function renderSegmentList() {
+    const available = getAvailableSegments(originalData);
+    segmentList.innerHTML = '';
+    available.forEach(segment => {
+        const item = document.createElement('li');
+        item.classList.add('segment-item');
+
+        const applyBtn = document.createElement('button');
+        applyBtn.classList.add('segment-apply-btn');
+        applyBtn.textContent = segment.name;
+        applyBtn.title = `Show rows where ${segment.filters.map(describeCondition).join(' AND ')}`;
+        applyBtn.addEventListener('click', () => applySegment(segment));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.classList.add('remove-staged-btn');
+        deleteBtn.innerHTML = '&times;';
+        deleteBtn.setAttribute('aria-label', `Delete segment ${segment.name}`);
+        deleteBtn.addEventListener('click', () => handleDeleteSegment(segment));
+
+        item.append(applyBtn, deleteBtn);
+        segmentList.appendChild(item);
+    });
+    segmentsSection.classList.toggle('hidden', available.length === 0);
+}
+
+// --- Data Grid ---
+// A spreadsheet view of activeData. Only the rows in view are drawn, so it scrolls through
+// hundreds of thousands of rows; each cell edit is recorded as an 'edit_cell' transformation,
+// which can be undone and keeps the charts and the AI working on the same data.
+
+const GRID_ROW_HEIGHT = 28; // px; must match .grid-row in the stylesheet
+const GRID_OVERSCAN_ROWS = 10; // Rows drawn above and below the visible ones
+const GRID_SEARCH_DELAY = 250; // ms to wait after typing before searching
+const gridCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+let gridView = []; // Indexes into activeData.data of the rows shown, in display order
+let gridColumns = []; // The columns shown, in order
+let gridSort = null; // { column, descending }
+const gridHiddenColumns = new Set();
+let gridSearchTimer = null;
+let gridRenderQueued = false;
+
+function openDataGrid() {
+    if (!activeData) return;
+    gridModal.classList.add('visible');
+    refreshDataGrid();
+}
+
+function closeDataGrid() {
+    const input = gridRows.querySelector('.grid-cell-input');
+    if (input) input.blur();
+    gridModal.classList.remove('visible');
+    gridColumnMenu.classList.add('hidden');
+}
+
+/**
+ * Sort keys for a column: numbers, timestamps for dates, bucket positions for columns with a
+ * category order, otherwise text. Empty cells get null and always sort last.
+ */
+function getGridSortKeys(rows, meta, column) {
+    const type = meta.inferredTypes[column];
+    const order = meta.categoryOrders && meta.categoryOrders[column];
+    const rank = order ? new Map(order.map((label, index) => [label, index])) : null;
+    return rows.map(row => {
+        const value = row[column];
+        if (!isFilledCell(value)) return null;
+        if (rank) return rank.has(String(value)) ? rank.get(String(value)) : order.length;
+        if (NUMERIC_TYPES.includes(type) && typeof value === 'number') return value;
+        if (type === 'temporal') {
+            const time = toTimestamp(value);
+            if (time !== null) return time;
+        }
+        return String(value);
+    });
+}
+
+/**
+ * Rebuilds the grid's rows after the data, the search, the sort or the shown columns changed.
+ */
+function refreshDataGrid() {
+    const { data, meta } = activeData;
+    Array.from(gridHiddenColumns).forEach(column => {
+        if (!meta.fields.includes(column)) gridHiddenColumns.delete(column);
+    });
+    if (gridSort && !meta.fields.includes(gridSort.column)) gridSort = null;
+    gridColumns = meta.fields.filter(field => !gridHiddenColumns.has(field));
+
+    const query = gridSearch.value.trim().toLowerCase();
+    gridView = [];
+    data.forEach((row, index) => {
+        if (!query || gridColumns.some(column => isFilledCell(row[column]) && String(row[column]).toLowerCase().includes(query))) {
+            gridView.push(index);
+        }
+    });
+
+    if (gridSort) {
+        const keys = getGridSortKeys(data, meta, gridSort.column);
+        const direction = gridSort.descending ? -1 : 1;
+        gridView.sort((a, b) => {
+            const keyA = keys[a];
+            const keyB = keys[b];
+            if (keyA === null || keyB === null) return (keyA === null) - (keyB === null);
+            if (typeof keyA === 'number' && typeof keyB === 'number') return (keyA - keyB) * direction;
+            return gridCollator.compare(String(keyA), String(keyB)) * direction;
+        });
+    }
+
+    const template = `64px repeat(${gridColumns.length}, 160px)`;
+    gridViewport.style.setProperty('--grid-template', template);
+    gridBody.style.height = `${gridView.length * GRID_ROW_HEIGHT}px`;
+    gridStatus.textContent = `${gridView.length.toLocaleString()} of ${data.length.toLocaleString()} rows${isFilteredState ? ' (filtered)' : ''}. Double-click a cell to edit it.`;
+
+    renderGridHeader();
+    renderGridColumnMenu();
+    renderGridRows();
+}
+
+function renderGridHeader() {
+    gridHeader.innerHTML = '';
+    const corner = document.createElement('div');
+    corner.classList.add('grid-cell', 'grid-row-number');
+    corner.textContent = '#';
+    gridHeader.appendChild(corner);
+
+    gridColumns.forEach(column => {
+        const cell = document.createElement('button');
+        cell.classList.add('grid-cell', 'grid-header-cell');
+        const arrow = gridSort && gridSort.column === column ? (gridSort.descending ? ' ▼' : ' ▲') : '';
+        cell.textContent = column + arrow;
+        cell.title = `Sort by ${column}`;
+        cell.addEventListener('click', () => {
+            // Ascending, then descending, then the data's own order.
+            if (!gridSort || gridSort.column !== column) gridSort = { column, descending: false };
+            else if (!gridSort.descending) gridSort = { column, descending: true };
+            else gridSort = null;
+            refreshDataGrid();
+        });
+        gridHeader.appendChild(cell);
+    });
+}
+
+function renderGridColumnMenu() {
+    gridColumnMenu.innerHTML = '';
+    activeData.meta.fields.forEach(field => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !gridHiddenColumns.has(field);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) gridHiddenColumns.delete(field);
+            else gridHiddenColumns.add(field);
+            refreshDataGrid();
+        });
+        label.append(checkbox, document.createTextNode(field));
+        gridColumnMenu.appendChild(label);
+    });
+}
+
+/**
+ * Draws the rows in view, plus a few above and below.
+ */
+function renderGridRows() {
+    const { data, meta } = activeData;
+    const first = Math.max(0, Math.floor(gridViewport.scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN_ROWS);
+    const visibleCount = Math.ceil(gridViewport.clientHeight / GRID_ROW_HEIGHT) + GRID_OVERSCAN_ROWS * 2;
+    const last = Math.min(gridView.length, first + visibleCount);
+
+    gridRows.style.transform = `translateY(${first * GRID_ROW_HEIGHT}px)`;
+    gridRows.innerHTML = '';
+    for (let position = first; position < last; position++) {
+        const rowIndex = gridView[position];
+        const row = data[rowIndex];
+        const rowEl = document.createElement('div');
+        rowEl.classList.add('grid-row');
+
+        const number = document.createElement('div');
+        number.classList.add('grid-cell', 'grid-row-number');
+        number.textContent = rowIndex + 1;
+        rowEl.appendChild(number);
+
+        gridColumns.forEach(column => {
+            const cell = document.createElement('div');
+            cell.classList.add('grid-cell');
+            const value = row[column];
+            const shown = isFilledCell(value) ? formatNumberValue(value, meta.numberFormats && meta.numberFormats[column]) : '';
+            cell.textContent = String(shown);
+            cell.title = String(shown);
+            cell.dataset.row = rowIndex;
+            cell.dataset.column = column;
+            rowEl.appendChild(cell);
+        });
+        gridRows.appendChild(rowEl);
+    }
+}
+
+function startGridEdit(cell) {
+    const rowIndex = Number(cell.dataset.row);
+    const { column } = cell.dataset;
+    const value = activeData.data[rowIndex][column];
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.classList.add('grid-cell-input');
+    input.value = isFilledCell(value) ? String(value) : '';
+
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+        if (save && input.value !== (isFilledCell(value) ? String(value) : '')) {
+            commitGridEdit(rowIndex, column, input.value);
+        } else {
+            renderGridRows();
+        }
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    cell.textContent = '';
+    cell.appendChild(input);
+    input.focus();
+    input.select();
+}
+
+/**
+ * Reads an edited cell the way its column stores values: numbers in the column's number format,
+ * dates as ISO text, booleans as true or false. An empty cell becomes null.
+ */
+function parseEditedValue(meta, column, text) {
+    const trimmed = text.trim();
+    if (trimmed === '') return null;
+    const type = meta.inferredTypes[column];
+    if (NUMERIC_TYPES.includes(type)) {
+        const format = meta.numberFormats && meta.numberFormats[column];
+        const parsed = parseNumberText(trimmed, format ? format.decimal : '.');
+        if (!parsed) throw new Error(`"${trimmed}" is not a number, and "${column}" is a number column.`);
+        return parsed.value;
+    }
+    if (type === 'temporal') {
+        // Read the way the loader reads the column, so "2024-01-01T10:00" is stored as a UTC instant
+        // in the data timezone rather than as typed. Years like "2024" have no format and stay as typed.
+        const columnFormat = meta.dateFormats && meta.dateFormats[column];
+        const detected = detectDateFormat([trimmed], getPreferredDateOrder());
+        const iso = (columnFormat && parseDateText(trimmed, columnFormat, dataTimezone))
+            ?? (detected ? parseDateText(trimmed, detected.format, dataTimezone) : null);
+        if (iso !== null) return iso;
+        if (toTimestamp(trimmed) !== null) return trimmed;
+        throw new Error(`"${trimmed}" is not a date, and "${column}" is a date column.`);
+    }
+    if (type === 'boolean') {
+        const lower = trimmed.toLowerCase();
+        if (TRUE_VALUES.includes(lower)) return true;
+        if (FALSE_VALUES.includes(lower)) return false;
+        throw new Error(`"${trimmed}" is not true or false, and "${column}" is a boolean column.`);
+    }
+    return trimmed;
+}
+
+/**
+ * Records a grid edit as a new version of the data. An edit leaves the columns as they were, so
+ * the filters, the column dropdowns and the conversation all stay; the chat only learns the new
+ * value when the row is one of the sample rows its instructions show.
+ */
+function commitGridEdit(rowIndex, column, text) {
+    const row = activeData.data[rowIndex];
+    let value;
+    try {
+        value = parseEditedValue(activeData.meta, column, text);
+    } catch (error) {
+        alert(error.message);
+        renderGridRows();
+        return;
+    }
+    const previousValue = row[column] ?? null;
+    if (value === previousValue) {
+        renderGridRows();
+        return;
+    }
+
+    const config = {
+        action: 'edit_cell',
+        row: activeData === originalData ? rowIndex : originalData.data.indexOf(row),
+        column,
+        value,
+        previousValue,
+        explanation: 'User edited a cell in the data grid.'
+    };
+    const result = applyTransformation(config, originalData);
+    if (!result.success) {
+        alert(result.message);
+        renderGridRows();
+        return;
+    }
+    recordDataVersion(datasets.find(d => d.id === activeDatasetId), result.newData, result.message, config);
+    originalData = result.newData;
+    if (config.row < SYSTEM_INSTRUCTION_SAMPLE_ROWS) initializeChatSession(originalData, true);
+    applyFilters();
+}
+
+// --- Chat & AI ---
+
+const SYSTEM_INSTRUCTION_SAMPLE_ROWS = 20; // Rows the chat's system instruction shows the AI
+
+function createSystemInstruction(dataObject) {
+    const { data, meta } = dataObject;
+    
+    const columnsWithTypes = formatColumnsWithTypes(meta);
+
+    // Listing the fields keeps the sample's columns in the schema's order.
+    const sampleDataForContext = Papa.unparse({ fields: meta.fields, data: data.slice(0, SYSTEM_INSTRUCTION_SAMPLE_ROWS) });
+    const sampleNote = meta.sample
+        ? `\n- Note: the loaded data is a ${meta.sample.mode} sample of ${meta.sample.rows} rows out of ${meta.sample.totalRows} in the file. Mention this when reporting totals or counts.`
+        : '';
+    const formatNote = Object.keys(meta.numberFormats || {}).length > 0
+        ? `\n- Note: formatted numbers were cleaned on load. When quoting values of a column with a currency or unit, include it. Columns marked as percentages hold fractions (0.45 means 45%), so present them as percentages.`
+        : '';
+    const dateNote = Object.keys(meta.dateFormats || {}).length > 0
+        ? `\n- Note: dates are stored as ISO 8601 text: "YYYY-MM-DD" for dates, UTC instants ending in "Z" for date-times and "HH:MM:SS" for times of day. The user's timezone is ${dataTimezone}; give times in it.${fiscalYearStartMonth !== 1 ? ` ${describeFiscalYear()} Use it when the user mentions fiscal years or quarters.` : ''}`
+        : '';
+
+    return `
+You are an expert data analyst AI inside a web application. Your task is to analyze a dataset based on a user's question and provide concise answers, along with visualizations. You will maintain a conversation history.
+
+The user has uploaded a dataset with the following schema and data sample:
+- Columns with inferred data types: ${columnsWithTypes}${sampleNote}${formatNote}${dateNote}
+- ${COLUMN_TYPE_GUIDE}
+- Sample Data (first 20 rows in CSV format):
+${sampleDataForContext}
+
+--- CHARTING & AGGREGATION LOGIC ---
+When the user asks for a visualization, you MUST use the inferred data types to make intelligent choices about the chart type and aggregation method.
+- **Temporal vs. Numeric**: Use 'line' or 'area' charts to show trends over time, in chronological order.
+- **Categorical, Boolean or Geographic vs. Numeric**: Use 'bar', 'pie', or 'donut' charts. For bar charts, sort by the numeric value descending.
+- **Numeric vs. Numeric**: Use 'scatter' plots to show relationships.
+- **Aggregation**:
+  - For 'numerical', 'integer' and 'currency' value columns, default to 'sum' or 'average'. For 'percentage' columns, use 'average'.
+  - For 'categorical' or 'identifier' columns that are being measured, use 'count'. Never sum an 'identifier' column.
+
+--- RESPONSE RULES ---
+Always provide your response in two parts, separated by "---VIZ---".
+
+PART 1: Answer
+A very concise, text-based answer to the user's question, styled with simple HTML tags (e.g., <strong>, <p>). Keep the text to a minimum. If the user's query is a follow-up, your text should acknowledge the context.
+
+PART 2: Visualization
+This part contains a single JSON object.
+
+--- JSON FORMAT & LOGIC ---
+First, determine if the user's request is a "simple" or "complex" analysis.
+- A "simple" analysis is a direct aggregation (sum, average, count) on one of the existing columns. Example: "What is the total sales for each product_category?".
+- A "complex" analysis requires data manipulation *before* aggregation, such as grouping data into time bins (e.g., "every two hours"), creating new categories based on conditions, or other advanced transformations. Example: "Visualize sales on a two-hourly basis throughout the day."
+
+Based on your determination, your JSON response MUST be in one of the following two formats:
+
+**FORMAT A: For Simple Analysis**
+{
+  "analysisType": "simple",
+  "chartConfig": {
+    "chartType": "bar" | "line" | "area" | "pie" | "donut" | "scatter",
+    "title": "A descriptive chart title",
+    "aggregation": "sum" | "average" | "count",
+    "xAxisColumn": "column_name_for_x_axis",
+    "yAxisColumn": "column_name_for_y_axis",
+    "categoryColumn": "column_name_for_pie_or_donut_labels",
+    "valueColumn": "column_name_for_pie_or_donut_values",
+    "explanation": "A concise, bulleted HTML list (e.g., <ul><li>Insight 1 with numbers.</li><li>Insight 2.</li></ul>) summarizing the chart's key findings."
+  }
+}
+- Use this format when the frontend can calculate the data itself using the specified aggregation and columns.
+- **CRITICAL**: Column names MUST exist in the schema.
+- Aggregation Logic: For "count", omit yAxisColumn/valueColumn. For "sum" or "average", both label and value columns are required.
+- For scatter charts, omit \`aggregation\` and provide \`xAxisColumn\` and \`yAxisColumn\`.
+
+**FORMAT B: For Complex Analysis**
+{
+  "analysisType": "complex",
+  "chartConfig": {
+    "chartType": "bar" | "line" | "area",
+    "title": "A descriptive chart title",
+    "explanation": "A concise, bulleted HTML list...",
+    "axisTitles": {
+        "x": "X-Axis Title (e.g., 'Time of Day')",
+        "y": "Y-Axis Title (e.g., 'Total Sales')"
+    }
+  },
+  "chartData": {
+    "labels": ["Label 1", "Label 2", "Label 3"],
+    "values": [150, 230, 180]
+  }
+}
+- Use this format when the request requires custom data processing that the frontend cannot do (like time binning).
+- You MUST perform the aggregation yourself based on the full dataset context and return the final data points in \`chartData\`.
+- \`chartData.labels\` and \`chartData.values\` MUST be arrays of the same length.
+- In \`chartConfig\` for complex analysis, you do not need aggregation or column keys. Provide \`axisTitles\` instead.
+
+--- SCENARIOS ---
+If the user's question is vague (e.g., "visualize this data"), you MUST generate 2-3 different visualizations.
+- Your text answer should be a brief introduction.
+- The visualization part must be a single JSON object with a "visualizations" key. The value should be an array of 2-3 objects, where each object follows either "FORMAT A" or "FORMAT B" from above. Example:
+{
+  "visualizations": [
+    { "analysisType": "simple", "chartConfig": { /* ... */ } },
+    { "analysisType": "simple", "chartConfig": { /* ... */ } }
+  ]
+}
+`;
+}
+
+/**
+ * Starts a chat whose system instruction describes the given data.
+ * @param {boolean} [keepHistory] - Carry the conversation over, for changes that leave the schema
+ *   as it was, so the user can keep talking about what they were discussing.
+ */
+function initializeChatSession(dataObject, keepHistory = false) {
+    if (!ai) {
+        addErrorMessageToChat('AI Not Initialized', 'Cannot start chat session.');
+        return;
+    }
+    
+    const systemInstruction = createSystemInstruction(dataObject);
+    const history = keepHistory && chat ? chat.getHistory() : [];
+
+    chat = ai.chats.create({
+        model: 'gemini-2.5-flash',
+        config: {
+            systemInstruction: systemInstruction,
+        },
+        history,
+    });
+}
+
+async function generateInitialDataSummary(dataObject) {
+    if (!chat) {
+        addErrorMessageToChat('Chat Not Initialized', 'Cannot generate summary because the chat session is not available.');
+        return;
+    }
+    
+    showLoadingIndicator();
+
+    try {
+        const { data, meta } = dataObject;
+        const sampleData = Papa.unparse({ fields: meta.fields, data: data.slice(0, 5) });
+
+        const prompt = `
+A new dataset has just been uploaded. Your task is to provide an immediate, insightful overview with key visualizations to get the user started.
+
+Here's the sample data (first 5 rows) for initial context:
+${sampleData}
+
+--- TASK ---
+Provide a response that follows the two-part format (text and viz) you were instructed on.
+1.  **Text Part**: A single welcoming <p> tag that briefly describes the dataset's likely content.
+2.  **Viz Part**: A JSON object with a "visualizations" key, containing an array of 2 to 3 different chart configurations that provide a broad overview (e.g., distributions, totals), making sure to use your knowledge of the column data types to pick appropriate charts.
+`;
+        const response = await chat.sendMessage({ message: prompt });
+        
+        await processAiResponse(response.text);
+
+    } catch (error) {
+        addErrorMessageToChat('Initial Analysis Failed', 'I encountered an issue while creating the initial summary and charts. Please try uploading the file again.');
+        console.error(error);
+    } finally {
+        removeLoadingIndicator();
+    }
+}
+
+async function generateAndDisplayFollowUpQuestions(title) {
+    if (!ai || !activeData) return;
+
+    try {
+        const { meta } = activeData;
+        const columnsWithTypes = formatColumnsWithTypes(meta);
+        const filterContext = describeActiveFilters();
+
+        const prompt = `
+You are a helpful data analyst assistant. Your task is to suggest insightful follow-up questions based on a dataset's schema and inferred data types.
+
+Dataset Schema:
+[${columnsWithTypes}]
+${filterContext ? `
+The user is looking at the rows where ${filterContext}. Suggest questions about this subset, without repeating the filter in them.
+` : ''}
+--- TASK ---
+Generate a JSON array containing 2 to 3 insightful yet simple and direct analysis questions a user could ask about this data.
+
+--- GUIDELINES ---
+- Use the data types to ask appropriate questions. For example, suggest line charts for 'temporal' data, bar charts for 'categorical', and scatter plots for two numeric columns.
+- ${COLUMN_TYPE_GUIDE}
+- Questions must be diverse and explore different aspects of the data.
+- Good examples: "Show the trend of [Numerical Column] over [Temporal Column].", "What is the total [Numerical Column] for each [Categorical Column]?", "Is there a relationship between [Numerical Column 1] and [Numerical Column 2]?"
+- AVOID complex, multi-part questions.
+
+--- RESPONSE FORMAT ---
+- Respond with ONLY the JSON array of strings.
+- Example: ["What is the distribution of sales by region?", "Show the top 5 selling products by total revenue."]
+- DO NOT use markdown like \`\`\`json.`;
+
+        // Use a stateless call for this helper function to not pollute the main chat history
+        const response = await ai.models.generateContent({
+            model: 'gemini-2.5-flash',
+            contents: prompt,
+        });
+
+        const jsonString = response.text.trim().replace(/```json/g, '').replace(/```/g, '');
+        const suggestedQuestions = JSON.parse(jsonString);
+
+        if (Array.isArray(suggestedQuestions) && suggestedQuestions.length > 0) {
+            addSuggestedQuestionsToChat(suggestedQuestions, title);
+        }
+
+    } catch (error) {
+        console.error("Could not generate follow-up questions:", error);
+        // Fail silently, this is a non-essential feature.
+    }
+}
+
+
+function addSuggestedQuestionsToChat(questions, titleText) {
+    const containerEl = document.createElement('div');
+    containerEl.classList.add('message', 'ai-message');
+    
+    if (isFilteredState) {
+        containerEl.dataset.filterMessage = 'true';
+    }
+
+    const title = document.createElement('p');
+    title.innerHTML = titleText;
+    containerEl.appendChild(title);
+
+    const buttonGroup = document.createElement('div');
+    buttonGroup.classList.add('suggested-questions-buttons');
+    questions.slice(0, 4).forEach(q => { // Max 4 questions
+        const button = document.createElement('button');
+        button.textContent = q;
+        button.classList.add('suggested-question-btn');
+        button.addEventListener('click', async () => {
+            // Disable all buttons in this group after one is clicked
+            containerEl.querySelectorAll('.suggested-question-btn').forEach(btn => {
+                btn.disabled = true;
+            });
+            
+            // Manually trigger the send message flow
+            chatInput.value = q;
+            // The handleSendMessage function will add the message to the chat.
+            handleSendMessage({ preventDefault: () => {} });
+        });
+        buttonGroup.appendChild(button);
+    });
+
+    containerEl.appendChild(buttonGroup);
+    chatHistory.appendChild(containerEl);
+    chatHistory.scrollTop = chatHistory.scrollHeight;
+}
+
+async function handleSendMessage(e) {
+    e.preventDefault();
+    const userQuery = chatInput.value.trim();
+    if (!userQuery || !activeData) return;
+
+    addMessageToChat(userQuery, 'user');
+    chatInput.value = '';
+    showLoadingIndicator();
+
+    try {
+        await classifyUserIntent(userQuery);
+    } catch (error) {
+        addErrorMessageToChat('Request Failed', 'I was unable to process your request. Please try rephrasing your question.');
+        console.error("Main error handler:", error);
+        removeLoadingIndicator();
+    }
+}
+
+async function classifyUserIntent(userQuery) {
+    if (!ai) {
+        throw new Error("AI is not initialized.");
+    }
+    const filterContext = describeActiveFilters();
+    const segmentNames = getAvailableSegments(activeData).map(segment => `"${segment.name}"`).join(', ');
+    const prompt = `
+You are an intent classifier. Your task is to categorize a user's request into one of three types: 'ANALYSIS', 'TRANSFORMATION', or 'COMPLEX_ANALYSIS'.
+
+- 'TRANSFORMATION': The user wants to permanently change the dataset. This includes removing rows, creating new columns, renaming columns, merging another dataset into this one, cleaning values (filling missing values, removing duplicates, trimming whitespace, changing case or converting a column's type), bucketing values into groups or labelled tiers, reshaping the dataset (pivoting or unpivoting it), adding running totals, ranks, moving averages or growth as columns, date calculations (period starts such as week or fiscal quarter, date parts, the time between two dates, or adding days or months), text operations (splitting a column on a delimiter, joining columns, extracting part of a value by pattern or position, or finding and replacing text), or managing columns (dropping, keeping only some, reordering or duplicating them).
+  Examples: "remove all rows where sales are 0", "remove rows where status is Cancelled or Refunded", "remove orders with an amount between 10 and 50", "create a profit column from sales and cost", "rename 'cust_id' to 'CustomerID'", "merge the customers file into this data on Customer ID", "fill empty Region with 'Unknown'", "remove duplicate orders", "make Country upper case", "add an age group column in 10-year bins", "label margin above 30% High, above 10% Medium, otherwise Low", "unpivot the month columns into Month and Sales", "add a running total of revenue by date", "add the days between order date and ship date", "add the fiscal quarter of each order with the year starting in April", "add a due date 30 days after the invoice date", "split Location into City and State", "extract the number from the SKU", "replace 'St.' with 'Street' in Address", "drop the Notes column", "keep only Region, Product and Sales", "move Sales to the front", "make a copy of Price".
+
+- 'ANALYSIS': The user is asking a direct question that can be answered with a single aggregation or visualization from the existing data using a standard chart type (Bar, Line, Pie, Donut, Scatter).
+  Examples: "what are the total sales by region?", "show me a chart of sales over time", "count the number of products".
+
+- 'COMPLEX_ANALYSIS': The user's request requires multiple steps to answer or complex logic. This includes requests for:
+  - Aggregating by multiple columns (e.g. "Sales by Region and Category", "Average Profit grouped by Year and Product").
+  - Calculating multiple metrics at once (e.g. "Show me Sum of Sales and Average Discount", "Compare Sales and Profit by Region").
+  - Mathematical transformations before plotting (e.g. "Percent of Total").
+  - Comparisons, Ranking (Top N), or pivot tables and cross-tabs shown as a result.
+  - Trends over data laid out with one column per period (e.g. "Jan", "Feb", ...), which must be unpivoted first.
+  - Running totals, moving averages, ranks within groups, or period-over-period growth (e.g. "month-over-month growth", "cumulative revenue", "rank products within each region").
+  - Grouping by a period the data has no column for, or by time between dates (e.g. "orders per ISO week", "revenue by fiscal quarter", "average days to ship by region").
+  - Grouping by part of a text value (e.g. "sales by state" when Location holds "City, State", "count products by SKU prefix").
+  - Weighted averages or custom statistical formulas.
+  - Questions that need columns from another dataset in the workspace (e.g. "revenue by customer segment" when segments live in a second file).
+  Examples: "show me the top 5 products by profit margin", "compare the monthly sales growth for the last two quarters", "what is the correlation between age and salary?", "sales breakdown by region and product", "Calculate the weighted average price".
+
+${filterContext ? `The user is viewing a filtered subset (rows where ${filterContext}); questions about it are analyses, not transformations, unless the user asks to change the data.
+
+` : ''}${segmentNames ? `The user has saved these segments (named filter sets): ${segmentNames}. Questions about a segment by name, or comparing segments (e.g. "compare revenue for Enterprise EMEA vs SMB EMEA"), are 'COMPLEX_ANALYSIS'.
+
+` : ''}User request: "${userQuery}"
+
+Respond with only one word: 'ANALYSIS', 'TRANSFORMATION', or 'COMPLEX_ANALYSIS'.`;
+
+    const response = await ai.models.generateContent({
+        model: 'gemini-2.5-flash',
+        contents: prompt,
+    });
+    
+    const intent = response.text.trim().toUpperCase();
+
+    if (intent === 'TRANSFORMATION') {
+        await handleTransformation(userQuery);
+    } else if (intent === 'COMPLEX_ANALYSIS') {
+        await handleComplexAnalysis(userQuery);
+    } else {
+        await handleAnalysis(userQuery);
+    }
+}
+
+async function handleAnalysis(userQuery) {
+    if (!chat) {
+        addErrorMessageToChat('Chat Not Initialized', 'Cannot analyze because the chat session is not available.');
+        removeLoadingIndicator();
+        return;
+    }
+    
+    let fullQuery = userQuery;
+    const filterContext = describeActiveFilters();
+    if (filterContext) {
+        fullQuery = `The current dataset is filtered where ${filterContext}. Now, please answer this question based on the filtered data: "${userQuery}"`;
+    }
+
+    try {
+        const response = await chat.sendMessage({ message: fullQuery });
+        await processAiResponse(response.text);
+    } catch(e) {
+        addErrorMessageToChat('Analysis Failed', 'There was a problem analyzing your data. The AI model may be temporarily unavailable.');
+        console.error(e);
+    } finally {
+        removeLoadingIndicator();
+    }
+}
+
+function buildPlannerPrompt(userQuery) {
+    const { meta } = activeData;
+    const columnsWithTypes = formatColumnsWithTypes(meta);
+    const otherDatasets = describeWorkspaceDatasets();
+    const filterContext = describeActiveFilters();
+    const segments = describeSegments(activeData);
+
+    return `
+You are a data analysis planner. Your job is to break down a complex user query into a sequence of executable steps. The analysis is temporary and does not modify the original dataset.
+
+Dataset Schema (Available Columns and their inferred types):
+- ${columnsWithTypes}
+- ${COLUMN_TYPE_GUIDE}
+${otherDatasets ? `
+Other Datasets in the Workspace (can be combined with the 'join' action):
+${otherDatasets}
+` : ''}${filterContext ? `
+Current Filter: The user has filtered the data to rows where ${filterContext}. The plan runs on these rows only, so don't add steps that repeat the filter.
+` : ''}${segments ? `
+Saved Segments (named filter sets the user may mention by name):
+${segments}
+- Refer to a segment in any condition list as { "segment": "Name" }. To analyze one segment, first 'remove_rows' with [{ "none": [{ "segment": "Name" }] }].
+- To compare segments, label each row with 'case_when' (one case per segment, with [{ "segment": "Name" }] as its conditions and the segment name as its label, "else": null), 'remove_rows' where that label "is_empty", then group by the label.
+` : ''}
+User Request:
+"${userQuery}"
+
+--- SUPPORTED ACTIONS & JSON FORMAT ---
+You must generate a JSON array of step objects. Each step must have an "action", "explanation", and "params".
+
+1.  **extract_datetime**:
+    {
+      "action": "extract_datetime",
+      "explanation": "Extract part from date...",
+      "params": {
+        "sourceColumn": "col",
+        "part": "year" | "quarter" | "month" | "week" | "day" | "hour" | "minute" | "day_of_week" | "fiscal_year" | "fiscal_quarter" | "fiscal_month",
+        "newColumn": "new_col_name",
+        "fiscalYearStartMonth": ${fiscalYearStartMonth}
+      }
+    }
+    - "week" is the ISO week number (weeks start on Monday); "day_of_week" is 0 for Sunday to 6 for Saturday.
+    - ${describeFiscalYear()} "fiscalYearStartMonth" is only needed for fiscal parts; use another month only if the user names one.
+
+2.  **create_column**:
+    {
+      "action": "create_column",
+      "explanation": "Calculate a new column...",
+      "params": {
+        "newColumn": "new_col",
+        "formula": "(Revenue - Cost) / Revenue * 100"
+      }
+    }
+    - ${FORMULA_GUIDE}
+
+3.  **remove_rows**:
+    {
+      "action": "remove_rows",
+      "explanation": "Filter data...",
+      "params": {
+        "conditions": [{
+          "column": "col",
+          "operator": "equals" | "not_equals" | "greater_than" | "less_than" | "between" | "in" | "not_in" | "contains" | "starts_with" | "ends_with" | "matches_regex" | "is_empty" | "is_not_empty" | "before" | "after",
+          "value": "val"
+        }]
+      }
+    }
+    - Conditions work as in the 'remove_rows' transformation: all must hold, and { "any": [...] }, { "all": [...] } or { "none": [...] } groups nest OR, AND and NOT logic.
+    - To keep only some rows, remove the others with a "none" group, e.g. [{ "none": [{ "column": "Region", "operator": "equals", "value": "EMEA" }] }].
+
+4.  **aggregate** (Grouping):
+    {
+      "action": "aggregate",
+      "explanation": "Group by Region and Category, calculate Total Sales and Avg Profit...",
+      "params": {
+        "groupBy": ["col1", "col2"], // Array of columns to group by. Use empty array [] for global aggregation.
+        "aggregations": [
+           { "column": "colA", "type": "sum" | "average" | "count" | "min" | "max", "newColumn": "Sum_A" },
+           { "column": "colB", "type": "average", "newColumn": "Avg_B" }
+        ]
+      }
+    }
+    - **Grouping**: Use this to create a summary table. If the user wants to chart "Sales by Region", group by "Region".
+    - **Multi-Level Grouping**: If the user wants "Sales by Region and Product", group by ["Region", "Product"].
+    - The output will ONLY contain the groupBy columns and the newColumn(s).
+
+5.  **sort**:
+    {
+      "action": "sort",
+      "explanation": "Sort results...",
+      "params": { "column": "col", "order": "ascending" | "descending" }
+    }
+
+6.  **limit**:
+    { "action": "limit", "explanation": "Take top N...", "params": { "count": 5 } }
+
+7.  **run_javascript** (Ultimate Flexibility):
+    {
+      "action": "run_javascript",
+      "explanation": "Calculate weighted avg / correlation / reshape data...",
+      "params": {
+        "code": "const total = data.reduce((sum, r) => sum + r.sales, 0); return data.map(row => ({ ...row, pct: row.sales/total }));"
+      }
+    }
+    - **Use this for**:
+      - Weighted averages or custom statistical formulas.
+      - Complex conditional logic not supported by 'create_column'.
+      - Reshaping that 'aggregate', 'pivot' and 'unpivot' don't cover.
+    - The 'code' must be the BODY of a JavaScript function.
+    - The function receives a variable \`data\` (array of objects).
+    - It must return the transformed array of objects.
+
+8.  **join** (Combine with another workspace dataset):
+    {
+      "action": "join",
+      "explanation": "Join the customers dataset on Customer ID to get each customer's segment...",
+      "params": {
+        "dataset": "name of the other dataset exactly as listed",
+        "type": "inner" | "left" | "right" | "full",
+        "on": ["key_col"], // Key column(s) with the same name in both datasets
+        "leftOn": ["key_col"], "rightOn": ["other_key_col"] // Use instead of "on" when the key names differ
+      }
+    }
+    - Use 'left' to keep every row of the current data even without a match.
+    - Columns of the other dataset that clash with existing names get a "_right" suffix.
+    - Only use this when the other dataset is listed above.
+
+9.  **Cleaning steps** (same params as the data cleaning actions):
+    { "action": "fill_missing", "explanation": "...", "params": { "columns": ["col"], "method": "value" | "mean" | "median" | "mode" | "forward_fill" | "backward_fill", "value": "Unknown" } }
+    { "action": "drop_duplicates", "explanation": "...", "params": { "columns": ["col"], "keep": "first" | "last" } } // Omit "columns" to compare whole rows
+    { "action": "trim_whitespace", "explanation": "...", "params": { "columns": ["col"], "collapseSpaces": false } } // Omit "columns" for every column
+    { "action": "change_case", "explanation": "...", "params": { "columns": ["col"], "case": "upper" | "lower" | "title" } }
+    { "action": "cast_column", "explanation": "...", "params": { "columns": ["col"], "to": "number" | "integer" | "text" | "boolean" | "date" } }
+    - Use these before grouping when the request depends on clean values, e.g. counting distinct customers after removing duplicate orders, or grouping by a column with inconsistent casing.
+
+10. **Bucketing steps** (same params as the transformation actions):
+    { "action": "bin_column", "explanation": "...", "params": { "column": "Age", "newColumn": "Age Group", "method": "equal_width" | "quantile" | "custom", "bins": 5, "edges": [0, 18, 35, 65], "openEnded": true, "labels": ["..."] } }
+    { "action": "case_when", "explanation": "...", "params": { "newColumn": "Margin Tier", "cases": [{ "conditions": [{ "column": "Margin", "operator": "greater_than", "value": 0.3 }], "label": "High" }], "else": "Low" } }
+    - Use these instead of 'run_javascript' for age groups, size tiers or High/Medium/Low labels, then 'aggregate' by the new column. Charts list the buckets in their natural order.
+    - "edges" and "labels" are only needed for "custom" bins or custom names; "openEnded" adds bins below the first and above the last edge. Case conditions use the remove_rows format; the first matching case wins.
+
+11. **Reshaping steps** (same params as the transformation actions):
+    { "action": "unpivot", "explanation": "...", "params": { "columns": ["Jan", "Feb", "Mar"], "idColumns": ["Product"], "variableColumn": "Month", "valueColumn": "Sales", "dropEmpty": false } }
+    { "action": "pivot", "explanation": "...", "params": { "index": ["Region"], "columns": "Month", "values": "Sales", "aggregation": "sum" | "average" | "count" | "min" | "max" } }
+    - Charts need long data: when the schema has one column per period or category (e.g. "Jan", "Feb", ... or "2022", "2023"), 'unpivot' them first, then aggregate and visualize by the new column.
+    - Use 'pivot' when the user asks for a pivot table or cross-tab (e.g. "a table of sales by region and month"). Make it the last step and leave out 'visualize': the plan's result is then shown as a table the user can export.
+
+12. **window** (Running totals, ranks, moving averages, lag/lead and growth):
+    { "action": "window", "explanation": "...", "params": { "partitionBy": ["Region"], "orderBy": [{ "column": "Month", "order": "ascending" }], "functions": [{ "type": "cumulative_sum" | "moving_average" | "row_number" | "rank" | "dense_rank" | "lag" | "lead" | "percent_change", "column": "Sales", "newColumn": "Running Sales", "size": 3, "offset": 1 }] } }
+    - Use this instead of 'run_javascript' for cumulative totals, ranks within groups, moving averages and period-over-period change. "size" is the moving average's number of rows; "offset" how many rows back (or ahead for "lead") to look. Omit "partitionBy" to use all rows; rank and dense_rank need "orderBy" (order "descending" to rank the biggest first).
+    - For growth over time, first 'aggregate' to one row per period (per partition), then 'window' with "percent_change" ordered by the period. "percent_change" is a fraction, like other percentages.
+    - To keep only the top N per group, rank within "partitionBy" and then 'remove_rows' where the rank is greater than N.
+
+13. **Date steps** (same params as the transformation actions):
+    { "action": "truncate_date", "explanation": "...", "params": { "column": "Order Date", "newColumn": "Order Week", "period": "day" | "week" | "month" | "quarter" | "year" | "fiscal_quarter" | "fiscal_year", "weekStart": "monday" | "sunday", "fiscalYearStartMonth": ${fiscalYearStartMonth} } }
+    { "action": "date_diff", "explanation": "...", "params": { "startColumn": "Order Date", "endColumn": "Ship Date", "unit": "minute" | "hour" | "day" | "week" | "month" | "quarter" | "year", "newColumn": "Days to Ship" } }
+    { "action": "date_add", "explanation": "...", "params": { "column": "Invoice Date", "amount": 30, "amountColumn": "optional column holding each row's amount", "unit": "day", "newColumn": "Due Date" } }
+    - 'truncate_date' gives each date the first day of its period, as a real date, so grouping by it puts "orders per week" or "revenue by fiscal quarter" in date order. Prefer it over 'extract_datetime' when several years are involved.
+    - 'date_diff' counts whole units from start to end (negative if the end is earlier); 'date_add' shifts dates by a whole number of units (negative to go back).
+
+14. **Text steps** (same params as the transformation actions):
+    { "action": "split_column", "explanation": "...", "params": { "column": "Location", "delimiter": ",", "newColumns": ["City", "State"] } }
+    { "action": "concat_columns", "explanation": "...", "params": { "columns": ["First Name", "Last Name"], "separator": " ", "newColumn": "Full Name" } }
+    { "action": "regex_extract", "explanation": "...", "params": { "column": "SKU", "pattern": "^([A-Z]+)-", "group": 1, "newColumn": "Product Line" } }
+    { "action": "substring", "explanation": "...", "params": { "column": "Postcode", "start": 1, "length": 2, "newColumn": "Area" } }
+    { "action": "find_replace", "explanation": "...", "params": { "columns": ["Country"], "find": "USA", "replace": "United States", "regex": false, "matchCase": false, "wholeCell": true } }
+    - Use these instead of 'run_javascript' to group or count by part of a text value, e.g. 'split_column' a "City, State" column and aggregate by State, or 'regex_extract' a code's prefix. Results that are all plain numbers become numeric.
+
+15. **Column steps** (same params as the transformation actions):
+    { "action": "keep_columns", "explanation": "...", "params": { "columns": ["Region", "Sales"] } }
+    { "action": "drop_columns", "explanation": "...", "params": { "columns": ["Notes"] } }
+    { "action": "reorder_columns", "explanation": "...", "params": { "columns": ["Region", "Sales"], "position": "start" | "end" } }
+    { "action": "duplicate_column", "explanation": "...", "params": { "column": "Sales", "newColumn": "Sales Copy" } }
+    - Charts don't need these; use them when the user asks for the result as a table with particular columns, or in a particular order.
+
+16. **visualize** (The final step, except in plans ending with a 'pivot' table):
+    {
+      "action": "visualize",
+      "explanation": "Show the chart.",
+      "params": {
+        "chartType": "bar" | "line" | "pie" | "donut" | "scatter",
+        "title": "Title",
+        "xAxisColumn": "col_for_x",
+        "yAxisColumn": "col_for_y" OR ["col_y1", "col_y2"],
+        "seriesColumn": "optional_col_to_group_datasets" 
+      }
+    }
+    - **Single Metric**: Set "yAxisColumn" to a string (e.g. "Total Sales").
+    - **Multi-Metric Comparison**: Set "yAxisColumn" to an array (e.g. ["Total Sales", "Total Profit"]). This creates side-by-side bars or multiple lines sharing the same X-axis.
+    - **Grouped/Stacked by Dimension**: Use "seriesColumn" when you have grouped by TWO columns in the 'aggregate' step (e.g. grouped by ["Region", "Product"]). 
+      - Set "xAxisColumn" to "Region", "seriesColumn" to "Product", and "yAxisColumn" to "Sales".
+    - **Important**: "seriesColumn" and "yAxisColumn" as an array are mutually exclusive. Use one or the other.
+
+--- RESPONSE RULES ---
+- Respond with ONLY the JSON array of steps.
+- Do not use markdown like \`\`\`json.
+- If the request cannot be fulfilled, return: [{ "action": "error", "explanation": "Reason..." }]
+`;
+}
+
+
+async function handleComplexAnalysis(userQuery) {
+    try {
+        addMessageToChat("That's an interesting question. Let me break that down and analyze it for you...", 'ai');
+        const prompt = buildPlannerPrompt(userQuery);
+
+        const response = await ai.models.generateContent({
+            model: 'gemini-2.5-flash',
+            contents: prompt,
+        });
+        
+        const jsonString = response.text.trim().replace(/```json/g, '').replace(/```/g, '');
+        const plan = JSON.parse(jsonString);
+
+        if (plan.length > 0 && plan[0].action === 'error') {
+            addErrorMessageToChat('Analysis Not Possible', plan[0].explanation);
+            return;
+        }
+
+        await executeAnalysisPlan(plan);
+
+    } catch (error) {
+        addErrorMessageToChat('Complex Analysis Failed', 'I was unable to create or execute a plan for your request. Please try rephrasing it.');
+        console.error("Complex analysis error:", error);
+    } finally {
+        removeLoadingIndicator();
+    }
+}
+
+async function executeAnalysisPlan(plan) {
+    // Create a deep copy of the active data to work with, leaving the original untouched.
+    let tempData = JSON.parse(JSON.stringify(activeData));
+
+    for (const step of plan) {
+        // Announce the step the AI is taking.
+        addMessageToChat(`<strong>Step ${plan.indexOf(step) + 1}:</strong> ${step.explanation}`, 'ai');
+
+        if (step.action === 'visualize') {
+            const chartConfig = step.params;
+            
+            // Check if columns exist to prevent blank charts
+            const firstRow = tempData.data[0] || {};
+            if (chartConfig.xAxisColumn && firstRow[chartConfig.xAxisColumn] === undefined) {
+                console.warn(`Warning: Column '${chartConfig.xAxisColumn}' not found in data for visualization.`);
+            }
+             // Helper to check yAxisColumn which can be string or array
+             const checkY = (col) => {
+                 if (firstRow[col] === undefined) console.warn(`Warning: Column '${col}' not found in data for visualization.`);
+             };
+
+             if (Array.isArray(chartConfig.yAxisColumn)) {
+                 chartConfig.yAxisColumn.forEach(checkY);
+             } else if (chartConfig.yAxisColumn) {
+                 checkY(chartConfig.yAxisColumn);
+             }
+
+            if (chartConfig.seriesColumn && firstRow[chartConfig.seriesColumn] === undefined) {
+                console.warn(`Warning: Column '${chartConfig.seriesColumn}' not found in data for visualization.`);
+            }
+
+            // We must pass the FULL data to addChartMessageToChat if seriesColumn is present or standard processing is needed
+            // However, the existing architecture expects 'precomputedData' to be simple labels/values for 'complex' analysis.
+            // If seriesColumn is used, we need 'prepareChartData' to handle the pivoting logic.
+            // Therefore, we can utilize 'activeData' override hack or pass data directly.
+            
+            // Temporary override of activeData to allow prepareChartData to work on the transformed tempData
+            const originalActive = activeData;
+            activeData = tempData; // Set context to transformed data
+            
+            try {
+                // If the planner produced a result that can be directly visualized via standard logic (which supports seriesColumn now)
+                await addChartMessageToChat(chartConfig, null); 
+            } catch (e) {
+                 // Fallback if standard preparation fails, though planner should be accurate.
+                 console.error("Visualization error in plan execution", e);
+                 addErrorMessageToChat("Visualization Error", e.message);
+            } finally {
+                activeData = originalActive; // Restore context
+            }
+
+            await generateAndDisplayFollowUpQuestions('<strong>What\'s next?</strong> Here are some ideas:');
+            return; // Plan finished
+        }
+
+        // A leading aggregate on a sampled file can be computed exactly by streaming the whole file.
+        if (step.action === 'aggregate' && plan.indexOf(step) === 0 && canAggregateFullFile()) {
+            tempData = await aggregateFullFile(step.params, tempData);
+            continue;
+        }
+
+        // For all non-visualize steps, transform the data.
+        tempData = executeDataStep(tempData, step);
+    }
+
+    // A plan without a chart, such as one ending in a pivot, answers with its table.
+    if (plan.length > 0) {
+        const lastStep = plan[plan.length - 1];
+        addTableResultToChat(tempData, lastStep.explanation || 'Result', lastStep.action === 'pivot' ? 'pivot' : 'result');
+        await generateAndDisplayFollowUpQuestions('<strong>What\'s next?</strong> Here are some ideas:');
+    }
+}
+
+function executeDataStep(dataObject, step) {
+    const params = step.params;
+    switch (step.action) {
+        case 'extract_datetime':
+            return transformExtractDatetime(dataObject, params);
+        case 'create_column':
+            return transformCreateColumn(dataObject, params);
+        case 'remove_rows':
+            return transformRemoveRows(dataObject, params.conditions);
+        case 'rename_column':
+            return transformRenameColumn(dataObject, params);
+        case 'drop_columns':
+            return transformDropColumns(dataObject, params);
+        case 'keep_columns':
+            return transformKeepColumns(dataObject, params);
+        case 'reorder_columns':
+            return transformReorderColumns(dataObject, params);
+        case 'duplicate_column':
+            return transformDuplicateColumn(dataObject, params);
+        case 'aggregate':
+            return executeAggregate(dataObject, params);
+        case 'sort':
+            return executeSort(dataObject, params);
+        case 'limit':
+            return executeLimit(dataObject, params);
+        case 'run_javascript':
+            return executeRunJavascript(dataObject, params);
+        case 'join':
+            return executeJoin(dataObject, params);
+        case 'fill_missing':
+            return transformFillMissing(dataObject, params);
+        case 'drop_duplicates':
+            return transformDropDuplicates(dataObject, params);
+        case 'trim_whitespace':
+            return transformTrimWhitespace(dataObject, params);
+        case 'change_case':
+            return transformChangeCase(dataObject, params);
+        case 'cast_column':
+            return transformCastColumn(dataObject, params);
+        case 'bin_column':
+            return transformBinColumn(dataObject, params);
+        case 'case_when':
+            return transformCaseWhen(dataObject, params);
+        case 'pivot':
+            return transformPivot(dataObject, params);
+        case 'unpivot':
+            return transformUnpivot(dataObject, params);
+        case 'window':
+            return transformWindow(dataObject, params);
+        case 'truncate_date':
+            return transformTruncateDate(dataObject, params);
+        case 'date_diff':
+            return transformDateDiff(dataObject, params);
+        case 'date_add':
+            return transformDateAdd(dataObject, params);
+        case 'split_column':
+            return transformSplitColumn(dataObject, params);
+        case 'concat_columns':
+            return transformConcatColumns(dataObject, params);
+        case 'regex_extract':
+            return transformRegexExtract(dataObject, params);
+        case 'substring':
+            return transformSubstring(dataObject, params);
+        case 'find_replace':
+            return transformFindReplace(dataObject, params);
+        default:
+            throw new Error(`Unsupported plan action: ${step.action}`);
+    }
+}
+
+function buildTransformationPrompt(userQuery) {
+    const { meta } = originalData; // Always use originalData for schema
+    const columnsWithTypes = formatColumnsWithTypes(meta);
+    const otherDatasets = describeWorkspaceDatasets();
+    const filterContext = describeActiveFilters();
+    const segments = describeSegments(originalData);
+
+    return `
+You are a data transformation expert. Your task is to convert a user's natural language request into a structured JSON command.
+
+Dataset Schema:
+- Columns with inferred types: ${columnsWithTypes}
+- ${COLUMN_TYPE_GUIDE}
+${otherDatasets ? `
+Other Datasets in the Workspace:
+${otherDatasets}
+` : ''}${filterContext ? `
+Current Filter: The user is viewing rows where ${filterContext}. Transformations change every row of the dataset, not only these, and the filter is cleared afterwards. If the request refers to "these rows" or "the filtered rows", express that with conditions.
+` : ''}${segments ? `
+Saved Segments (named filter sets the user may mention by name):
+${segments}
+- Refer to a segment in any condition list as { "segment": "Name" }, e.g. remove rows outside a segment with [{ "none": [{ "segment": "Name" }] }].
+` : ''}
+User Request:
+"${userQuery}"
+
+--- SUPPORTED ACTIONS & JSON FORMAT ---
+
+1.  **Remove Rows**:
+    {
+      "action": "remove_rows",
+      "explanation": "A short sentence explaining what was done.",
+      "conditions": [{
+        "column": "column_name",
+        "operator": "equals" | "not_equals" | "greater_than" | "less_than" | "between" | "in" | "not_in" | "contains" | "starts_with" | "ends_with" | "matches_regex" | "is_empty" | "is_not_empty" | "before" | "after",
+        "value": "some_value"
+      }]
+    }
+    - You can have multiple conditions. All conditions must be met (AND logic).
+    - For OR logic, put conditions in an { "any": [...] } group, where one must hold; { "all": [...] } groups all of them and { "none": [...] } holds when none of them do (use it to keep only some rows). Groups can be nested, e.g. remove rows that are cancelled, or refunded with an amount under 10:
+      "conditions": [{ "any": [
+        { "column": "Status", "operator": "equals", "value": "Cancelled" },
+        { "all": [{ "column": "Status", "operator": "equals", "value": "Refunded" }, { "column": "Amount", "operator": "less_than", "value": 10 }] }
+      ] }]
+    - "between" takes a [from, to] pair, inclusive: numbers, or dates for a date column. "in" and "not_in" take a list of values, e.g. ["Cancelled", "Refunded"].
+    - "before" and "after" compare dates, e.g. "2024-03-01". "is_empty" and "is_not_empty" take no value.
+    - Text comparisons ("equals", "not_equals", "in", "not_in", "contains", "starts_with", "ends_with" and "matches_regex", a JavaScript regular expression) ignore case.
+    - Empty cells only meet "is_empty": "not_equals" and "not_in" skip them, so add an "is_empty" condition in an "any" group to include them.
+    - For numeric comparisons, ensure the 'value' is a number, not a string.
+
+2.  **Create Column**:
+    {
+      "action": "create_column",
+      "explanation": "A short sentence explaining what was done.",
+      "newColumn": "new_column_name",
+      "formula": "(Revenue - Cost) / Revenue * 100"
+    }
+    - ${FORMULA_GUIDE}
+    - Write the whole calculation as one formula instead of chaining several columns, e.g. "IF([Unit Price] > 100, 'Premium', 'Standard')" or "DATEDIFF([Order Date], [Ship Date], 'day')".
+
+3.  **Rename Column**:
+    {
+        "action": "rename_column",
+        "explanation": "A short sentence explaining what was done.",
+        "oldColumn": "current_column_name",
+        "newColumn": "new_column_name"
+    }
+
+4.  **Join Dataset** (Permanently merge another workspace dataset into this one):
+    {
+        "action": "join",
+        "explanation": "A short sentence explaining what was done.",
+        "dataset": "name of the other dataset exactly as listed",
+        "type": "inner" | "left" | "right" | "full",
+        "on": ["key_column"],
+        "leftOn": ["key_column"], "rightOn": ["other_key_column"]
+    }
+    - Use "on" when the key columns share a name, or "leftOn"/"rightOn" when they differ.
+    - Default to "left" so no rows of the current dataset are lost.
+
+5.  **Fill Missing Values**:
+    {
+        "action": "fill_missing",
+        "explanation": "A short sentence explaining what was done.",
+        "columns": ["column_name"],
+        "method": "value" | "mean" | "median" | "mode" | "forward_fill" | "backward_fill",
+        "value": "Unknown"
+    }
+    - "value" is only used with the "value" method. "mean" and "median" suit numeric columns; "mode" uses the most frequent value.
+    - "forward_fill" copies the last filled value above each gap (e.g. for time series); "backward_fill" the next one below.
+
+6.  **Remove Duplicate Rows**:
+    {
+        "action": "drop_duplicates",
+        "explanation": "A short sentence explaining what was done.",
+        "columns": ["column_name"],
+        "keep": "first" | "last"
+    }
+    - Rows count as duplicates when they match on all the listed columns. Omit "columns" to compare whole rows.
+
+7.  **Trim Whitespace**:
+    {
+        "action": "trim_whitespace",
+        "explanation": "A short sentence explaining what was done.",
+        "columns": ["column_name"],
+        "collapseSpaces": false
+    }
+    - Omit "columns" to trim every column. Set "collapseSpaces" to true to also turn repeated inner spaces into one.
+
+8.  **Change Case**:
+    {
+        "action": "change_case",
+        "explanation": "A short sentence explaining what was done.",
+        "columns": ["column_name"],
+        "case": "upper" | "lower" | "title"
+    }
+
+9.  **Convert Column Type**:
+    {
+        "action": "cast_column",
+        "explanation": "A short sentence explaining what was done.",
+        "columns": ["column_name"],
+        "to": "number" | "integer" | "text" | "boolean" | "date"
+    }
+    - Values that can't be converted become empty.
+
+10. **Bin a Numeric Column** (age groups, order size tiers):
+    {
+        "action": "bin_column",
+        "explanation": "A short sentence explaining what was done.",
+        "column": "numeric_column",
+        "newColumn": "new_column_name",
+        "method": "equal_width" | "quantile" | "custom",
+        "bins": 5,
+        "edges": [0, 18, 35, 50, 65],
+        "openEnded": true,
+        "labels": ["Under 18", "18-34", "35-49", "50-64", "65+"]
+    }
+    - "equal_width" splits the range into "bins" equal ranges; "quantile" into "bins" groups with about as many rows each; "custom" uses the given "edges".
+    - Bins include their lower edge, not their upper one. With "openEnded", values below the first edge and above the last get their own bins.
+    - "labels" is optional (one per bin); without it bins are labelled with their range.
+
+11. **Label Rows by Conditions** (High/Medium/Low tiers):
+    {
+        "action": "case_when",
+        "explanation": "A short sentence explaining what was done.",
+        "newColumn": "new_column_name",
+        "cases": [
+            { "conditions": [{ "column": "Margin", "operator": "greater_than", "value": 0.3 }], "label": "High" },
+            { "conditions": [{ "column": "Margin", "operator": "greater_than", "value": 0.1 }], "label": "Medium" }
+        ],
+        "else": "Low"
+    }
+    - Cases are checked in order and the first match wins, so list the strictest case first. Conditions use the same format as remove_rows, and all of a case's conditions must hold.
+
+12. **Pivot** (Turn long data into a cross-tab, e.g. a column per month):
+    {
+        "action": "pivot",
+        "explanation": "A short sentence explaining what was done.",
+        "index": ["Region"],
+        "columns": "Month",
+        "values": "Sales",
+        "aggregation": "sum" | "average" | "count" | "min" | "max"
+    }
+    - The result has one row per "index" combination and one column per distinct value of "columns"; each cell aggregates "values". Omit "values" when counting rows.
+    - This replaces the dataset with the cross-tab, so only use it when the user asks to reshape the data or wants the pivot table itself.
+
+13. **Unpivot** (Melt wide data into long data, e.g. "Jan", "Feb", ... columns into Month and Sales):
+    {
+        "action": "unpivot",
+        "explanation": "A short sentence explaining what was done.",
+        "columns": ["Jan", "Feb", "Mar"],
+        "idColumns": ["Product"],
+        "variableColumn": "Month",
+        "valueColumn": "Sales",
+        "dropEmpty": false
+    }
+    - Each listed column becomes one row per original row, holding the column's name in "variableColumn" and its value in "valueColumn". "idColumns" are repeated on every row; omit it to keep every column that is not unpivoted, or omit "columns" to unpivot every column that is not an id.
+    - Set "dropEmpty" to true to skip empty cells, e.g. months with no figures yet.
+
+14. **Window Columns** (running totals, ranks, moving averages, growth):
+    {
+        "action": "window",
+        "explanation": "A short sentence explaining what was done.",
+        "partitionBy": ["Region"],
+        "orderBy": [{ "column": "Month", "order": "ascending" | "descending" }],
+        "functions": [
+            { "type": "cumulative_sum", "column": "Sales", "newColumn": "Running Sales" },
+            { "type": "moving_average", "column": "Sales", "size": 3, "newColumn": "Sales 3-Month Avg" },
+            { "type": "rank", "newColumn": "Sales Rank" },
+            { "type": "percent_change", "column": "Sales", "offset": 1, "newColumn": "Sales Growth" }
+        ]
+    }
+    - Each function runs over the rows sharing the row's "partitionBy" values (omit it to use all rows), in "orderBy" order.
+    - Types: "cumulative_sum", "moving_average" (over the last "size" rows), "row_number", "rank" and "dense_rank" (by the orderBy columns; ties share a rank), "lag" and "lead" (the value "offset" rows before or after), "percent_change" (the change from "offset" rows before, as a fraction).
+    - To rank the biggest first, order "descending". For month-over-month growth the data needs one row per month (per partition).
+
+15. **Extract a Date Part**:
+    {
+        "action": "extract_datetime",
+        "explanation": "A short sentence explaining what was done.",
+        "sourceColumn": "date_column",
+        "part": "year" | "quarter" | "month" | "week" | "day" | "hour" | "minute" | "day_of_week" | "fiscal_year" | "fiscal_quarter" | "fiscal_month",
+        "newColumn": "new_column_name",
+        "fiscalYearStartMonth": ${fiscalYearStartMonth}
+    }
+    - "week" is the ISO week number; "day_of_week" is 0 for Sunday to 6 for Saturday.
+
+16. **Truncate Dates to a Period** (week, month, quarter, year or fiscal period starts):
+    {
+        "action": "truncate_date",
+        "explanation": "A short sentence explaining what was done.",
+        "column": "date_column",
+        "newColumn": "new_column_name",
+        "period": "day" | "week" | "month" | "quarter" | "year" | "fiscal_quarter" | "fiscal_year",
+        "weekStart": "monday" | "sunday",
+        "fiscalYearStartMonth": ${fiscalYearStartMonth}
+    }
+    - Each date becomes the first day of its period, and stays a date. Weeks start on Monday (ISO weeks) unless "weekStart" is "sunday".
+
+17. **Difference Between Dates**:
+    {
+        "action": "date_diff",
+        "explanation": "A short sentence explaining what was done.",
+        "startColumn": "start_date_column",
+        "endColumn": "end_date_column",
+        "unit": "minute" | "hour" | "day" | "week" | "month" | "quarter" | "year",
+        "newColumn": "new_column_name"
+    }
+    - Counts whole units from start to end; negative when the end is earlier. Months, quarters and years count whole calendar months.
+
+18. **Add an Interval to Dates**:
+    {
+        "action": "date_add",
+        "explanation": "A short sentence explaining what was done.",
+        "column": "date_column",
+        "amount": 30,
+        "amountColumn": "optional column holding each row's amount, instead of amount",
+        "unit": "minute" | "hour" | "day" | "week" | "month" | "quarter" | "year",
+        "newColumn": "new_column_name"
+    }
+    - Use a negative amount to go back. A month after January 31st is the last day of February.
+
+- Date steps: ${describeFiscalYear()} Include "fiscalYearStartMonth" in steps with fiscal parts or periods, using another month only if the user names one.
+
+19. **Split a Text Column** ("Austin, TX" into City and State):
+    {
+        "action": "split_column",
+        "explanation": "A short sentence explaining what was done.",
+        "column": "text_column",
+        "delimiter": ",",
+        "newColumns": ["City", "State"]
+    }
+    - The value is split into as many parts as there are "newColumns"; the last one keeps the rest of the text. Parts are trimmed.
+    - Omit "newColumns" to get one column per part, named after the column with 1, 2, ... added.
+
+20. **Join Text Columns**:
+    {
+        "action": "concat_columns",
+        "explanation": "A short sentence explaining what was done.",
+        "columns": ["First Name", "Last Name"],
+        "separator": " ",
+        "newColumn": "Full Name"
+    }
+    - Empty cells are skipped, so separators never double up.
+
+21. **Extract Text with a Pattern** (the number in "SKU-1234-RED"):
+    {
+        "action": "regex_extract",
+        "explanation": "A short sentence explaining what was done.",
+        "column": "text_column",
+        "pattern": "-(\\\\d+)-",
+        "group": 1,
+        "ignoreCase": false,
+        "newColumn": "new_column_name"
+    }
+    - "pattern" is a JavaScript regular expression (escape backslashes in JSON). The new column holds the capture group "group" (by default the first group, or the whole match if there are none); values that don't match are left empty.
+
+22. **Take Characters by Position**:
+    {
+        "action": "substring",
+        "explanation": "A short sentence explaining what was done.",
+        "column": "text_column",
+        "start": 1,
+        "length": 3,
+        "newColumn": "new_column_name"
+    }
+    - "start" counts from 1, or from the end when negative (-4 with no "length" is the last four characters). Omit "length" to take the rest.
+
+23. **Find and Replace Text**:
+    {
+        "action": "find_replace",
+        "explanation": "A short sentence explaining what was done.",
+        "columns": ["column_name"],
+        "find": "St.",
+        "replace": "Street",
+        "regex": false,
+        "matchCase": false,
+        "wholeCell": false,
+        "newColumn": "optional new column, for one column only"
+    }
+    - Replaces every occurrence within the values, ignoring case unless "matchCase" is true. With "wholeCell", only values that are exactly "find" change. Use an empty "replace" to delete the text.
+    - With "regex", "find" is a JavaScript regular expression and "replace" can use $1, $2 for its groups. Omit "newColumn" to change the column in place.
+
+- Text steps: results that are all plain numbers become numeric columns; everything else stays text.
+
+24. **Drop Columns**:
+    {
+        "action": "drop_columns",
+        "explanation": "A short sentence explaining what was done.",
+        "columns": ["column_name"]
+    }
+
+25. **Keep Only Some Columns** (drop all the others):
+    {
+        "action": "keep_columns",
+        "explanation": "A short sentence explaining what was done.",
+        "columns": ["column_name"]
+    }
+    - Use whichever of drop_columns and keep_columns needs the shorter list. Kept columns stay in their current order.
+
+26. **Reorder Columns**:
+    {
+        "action": "reorder_columns",
+        "explanation": "A short sentence explaining what was done.",
+        "columns": ["First Column", "Second Column"],
+        "position": "start" | "end"
+    }
+    - The listed columns move, in the order given, to the start (or end); the others keep their order. List every column to set the whole order.
+
+27. **Duplicate a Column**:
+    {
+        "action": "duplicate_column",
+        "explanation": "A short sentence explaining what was done.",
+        "column": "column_name",
+        "newColumn": "new_column_name"
+    }
+    - The copy is placed right after the original. To change a column's type, use cast_column.
+
+--- RESPONSE RULES ---
+- Respond with ONLY the JSON configuration.
+- Do not use markdown like \`\`\`json.
+- Ensure all column names in the JSON exactly match the schema. If a close match is found, use the correct one from the schema.
+- If the request is ambiguous or cannot be translated into one of the supported actions, respond with: { "action": "error", "explanation": "Your request is unclear or not supported. Please try rephrasing." }`;
+}
+
+async function handleTransformation(userQuery) {
+    try {
+        const prompt = buildTransformationPrompt(userQuery);
+
+        const response = await ai.models.generateContent({
+            model: 'gemini-2.5-flash',
+            contents: prompt,
+        });
+        
+        const jsonString = response.text.trim().replace(/```json/g, '').replace(/```/g, '');
+        let config = JSON.parse(jsonString);
+
+        if (config.action === 'error') {
+            addErrorMessageToChat('Transformation Not Applied', config.explanation);
+            return;
+        }
+        try {
+            config = inlineSegments(config, originalData);
+        } catch (error) {
+            addErrorMessageToChat('Transformation Failed', error.message);
+            return;
+        }
+        
+        // Always apply transformations to the master originalData
+        const result = applyTransformation(config, originalData);
+        
+        if (result.success) {
+            // Record the new version; the chat session restarts with its schema.
+            commitDataVersion(result.newData, result.message, config);
+            
+            addMessageToChat(result.message, 'ai');
+            if (config.action === 'pivot') {
+                addTableResultToChat(originalData, 'Pivot table', 'pivot');
+            } else {
+                addPreviewToChat(originalData);
+            }
+
+            addMessageToChat("The data has been transformed. The analysis context has been updated with the new schema.", 'ai');
+            await generateAndDisplayFollowUpQuestions('<strong>What\'s next?</strong> Here are some ideas for the transformed data:');
+        } else {
+             addErrorMessageToChat('Transformation Failed', result.message);
+        }
+
+    } catch (error) {
+        addErrorMessageToChat('Transformation Failed', 'The requested data transformation could not be applied. Please check your query and try again.');
+        console.error("Transformation error:", error);
+    } finally {
+        removeLoadingIndicator();
+    }
+}
+
+const ROW_ERROR_EXAMPLES = 3; // Rows quoted when a formula fails on some of them
+
+/**
+ * Summarizes the rows a formula could not be calculated for, quoting the first few.
+ */
+function describeRowErrors(rowErrors) {
+    if (rowErrors.length === 0) return '';
+    const examples = rowErrors.slice(0, ROW_ERROR_EXAMPLES).map(({ row, message }) => `row ${row}: ${message}`).join('; ');
+    return `${rowErrors.length} row(s) could not be calculated and were left empty (${examples}${rowErrors.length > ROW_ERROR_EXAMPLES ? '; ...' : ''}). `;
+}
+
+/**
+ * Lists how many rows got each label of a bucket column, in the labels' order.
+ */
+function describeLabelCounts(dataObject, column) {
+    const counts = new Map((dataObject.meta.categoryOrders[column] || []).map(label => [label, 0]));
+    let empty = 0;
+    dataObject.data.forEach(row => {
+        const value = row[column];
+        if (value === null || value === undefined) {
+            empty++;
+        } else {
+            counts.set(String(value), (counts.get(String(value)) || 0) + 1);
+        }
+    });
+    const parts = Array.from(counts.entries()).map(([label, count]) => `${label}: ${count}`);
+    if (empty > 0) parts.push(`empty: ${empty}`);
+    return parts.join(', ');
+}
+
+/**
+ * Applies an edit_cell step without copying the whole dataset: the new version gets its own row
+ * list and edited row, and shares meta and every other row with the previous one. Grid edits on
+ * hundreds of thousands of rows stay instant, and the history doesn't hold a copy per edit.
+ */
+function applyCellEdit(config, sourceData) {
+    try {
+        const { sample } = sourceData.meta;
+        // The rows no longer match the file, so exact aggregates can't be streamed from it.
+        const meta = sample && !sample.transformed ? { ...sourceData.meta, sample: { ...sample, transformed: true } } : sourceData.meta;
+        const newDataObject = transformEditCell({ data: [...sourceData.data], meta }, config);
+        const column = resolveStepColumns(newDataObject, config.column)[0];
+        const shown = config.value === null || config.value === undefined ? 'empty' : `'${config.value}'`;
+        return { success: true, message: `Set row ${config.row + 1} of '${column}' to ${shown}.`, newData: newDataObject };
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
+}
+
+// Every action applyTransformation can run; the others are planner-only.
+const TRANSFORMATION_ACTIONS = ['remove_rows', 'create_column', 'rename_column', 'drop_columns', 'keep_columns', 'reorder_columns', 'duplicate_column', 'join', 'fill_missing', 'drop_duplicates', 'trim_whitespace', 'change_case', 'cast_column', 'bin_column', 'case_when', 'pivot', 'unpivot', 'window', 'extract_datetime', 'truncate_date', 'date_diff', 'date_add', 'split_column', 'concat_columns', 'regex_extract', 'substring', 'find_replace', 'edit_cell'];
+
+function applyTransformation(config, sourceData) {
+    if (config.action === 'edit_cell') return applyCellEdit(config, sourceData);
+    let newDataObject = JSON.parse(JSON.stringify(sourceData));
+    let explanation = config.explanation || "Transformation applied.";
+    if (newDataObject.meta.sample) {
+        // The rows no longer match the file, so exact aggregates can't be streamed from it.
+        newDataObject.meta.sample.transformed = true;
+    }
+
+    try {
+        switch (config.action) {
+            case 'remove_rows': {
+                const initialRowCount = newDataObject.data.length;
+                newDataObject = transformRemoveRows(newDataObject, config.conditions);
+                const rowsRemoved = initialRowCount - newDataObject.data.length;
+                return { success: true, message: `Removed ${rowsRemoved} row(s). ${explanation}`, newData: newDataObject };
+            }
+            case 'create_column': {
+                if (newDataObject.meta.fields.includes(config.newColumn)) {
+                    return { success: false, message: `Column "${config.newColumn}" already exists.`};
+                }
+                const rowErrors = [];
+                newDataObject = transformCreateColumn(newDataObject, config, rowErrors);
+                if (rowErrors.length > 0 && rowErrors.length === newDataObject.data.length) {
+                    return { success: false, message: `The formula could not be calculated for any row. Row 1: ${rowErrors[0].message}.` };
+                }
+                return { success: true, message: `Created new column '${config.newColumn}'. ${describeRowErrors(rowErrors)}${explanation}`, newData: newDataObject };
+            }
+            case 'rename_column': {
+                if (!newDataObject.meta.fields.includes(config.oldColumn)) {
+                    return { success: false, message: `Column to rename "${config.oldColumn}" does not exist.` };
+                }
+                if (newDataObject.meta.fields.includes(config.newColumn)) {
+                    return { success: false, message: `A column named "${config.newColumn}" already exists.` };
+                }
+                newDataObject = transformRenameColumn(newDataObject, config);
+                 // Update type mapping
+                newDataObject.meta.inferredTypes[config.newColumn] = newDataObject.meta.inferredTypes[config.oldColumn];
+                delete newDataObject.meta.inferredTypes[config.oldColumn];
+                return { success: true, message: `Renamed column "${config.oldColumn}" to "${config.newColumn}". ${explanation}`, newData: newDataObject };
+            }
+            case 'drop_columns':
+            case 'keep_columns': {
+                newDataObject = executeDataStep(newDataObject, { action: config.action, params: config });
+                const dropped = sourceData.meta.fields.filter(field => !newDataObject.meta.fields.includes(field));
+                return { success: true, message: `Dropped ${dropped.length} column(s): ${dropped.join(', ') || 'none'}. ${newDataObject.meta.fields.length} column(s) remain. ${explanation}`, newData: newDataObject };
+            }
+            case 'reorder_columns': {
+                newDataObject = transformReorderColumns(newDataObject, config);
+                return { success: true, message: `Reordered the columns: ${newDataObject.meta.fields.join(', ')}. ${explanation}`, newData: newDataObject };
+            }
+            case 'duplicate_column': {
+                newDataObject = transformDuplicateColumn(newDataObject, config);
+                const [column] = resolveStepColumns(newDataObject, config.column);
+                return { success: true, message: `Duplicated '${column}' as '${config.newColumn}'. ${explanation}`, newData: newDataObject };
+            }
+            case 'join': {
+                const initialRowCount = newDataObject.data.length;
+                newDataObject = executeJoin(newDataObject, config);
+                return { success: true, message: `Joined "${config.dataset}" (${config.type || 'inner'} join): ${initialRowCount} row(s) became ${newDataObject.data.length}. ${explanation}`, newData: newDataObject };
+            }
+            case 'fill_missing': {
+                const columns = resolveStepColumns(sourceData, config.columns ?? config.column);
+                newDataObject = transformFillMissing(newDataObject, config);
+                const { changed } = countCellChanges(sourceData.data, newDataObject.data, columns);
+                const method = (config.method || 'value').replace('_', ' ');
+                return { success: true, message: `Filled ${changed} missing value(s) in ${columns.join(', ')} (${method}). ${explanation}`, newData: newDataObject };
+            }
+            case 'drop_duplicates': {
+                const initialRowCount = newDataObject.data.length;
+                newDataObject = transformDropDuplicates(newDataObject, config);
+                const rowsRemoved = initialRowCount - newDataObject.data.length;
+                return { success: true, message: `Removed ${rowsRemoved} duplicate row(s). ${explanation}`, newData: newDataObject };
+            }
+            case 'trim_whitespace': {
+                const columns = resolveStepColumns(sourceData, config.columns ?? config.column, true);
+                newDataObject = transformTrimWhitespace(newDataObject, config);
+                const { changed } = countCellChanges(sourceData.data, newDataObject.data, columns);
+                return { success: true, message: `Trimmed whitespace in ${changed} value(s). ${explanation}`, newData: newDataObject };
+            }
+            case 'change_case': {
+                const columns = resolveStepColumns(sourceData, config.columns ?? config.column);
+                newDataObject = transformChangeCase(newDataObject, config);
+                const { changed } = countCellChanges(sourceData.data, newDataObject.data, columns);
+                return { success: true, message: `Changed ${changed} value(s) in ${columns.join(', ')} to ${config.case} case. ${explanation}`, newData: newDataObject };
+            }
+            case 'cast_column': {
+                const columns = resolveStepColumns(sourceData, config.columns ?? config.column);
+                newDataObject = transformCastColumn(newDataObject, config);
+                const { emptied } = countCellChanges(sourceData.data, newDataObject.data, columns);
+                const failedNote = emptied > 0 ? ` ${emptied} value(s) could not be read as ${config.to} and were left empty.` : '';
+                return { success: true, message: `Converted ${columns.join(', ')} to ${config.to}.${failedNote} ${explanation}`, newData: newDataObject };
+            }
+            case 'bin_column':
+            case 'case_when': {
+                newDataObject = config.action === 'bin_column'
+                    ? transformBinColumn(newDataObject, config)
+                    : transformCaseWhen(newDataObject, config);
+                const counts = describeLabelCounts(newDataObject, config.newColumn);
+                return { success: true, message: `Created new column '${config.newColumn}' (${counts}). ${explanation}`, newData: newDataObject };
+            }
+            case 'pivot': {
+                const initialRowCount = newDataObject.data.length;
+                newDataObject = transformPivot(newDataObject, config);
+                const indexCount = [].concat(config.index ?? []).length;
+                const columnCount = newDataObject.meta.fields.length - indexCount;
+                return { success: true, message: `Pivoted ${initialRowCount} row(s) into ${newDataObject.data.length} row(s) with ${columnCount} column(s) of ${config.columns} values (${config.aggregation || 'sum'}). ${explanation}`, newData: newDataObject };
+            }
+            case 'unpivot': {
+                const initialRowCount = newDataObject.data.length;
+                newDataObject = transformUnpivot(newDataObject, config);
+                const { fields } = newDataObject.meta;
+                const [variableColumn, valueColumn] = fields.slice(-2);
+                return { success: true, message: `Unpivoted into '${variableColumn}' and '${valueColumn}': ${initialRowCount} row(s) became ${newDataObject.data.length}. ${explanation}`, newData: newDataObject };
+            }
+            case 'extract_datetime':
+            case 'truncate_date':
+            case 'date_diff':
+            case 'date_add': {
+                if (newDataObject.meta.fields.includes(config.newColumn)) {
+                    return { success: false, message: `Column "${config.newColumn}" already exists.` };
+                }
+                newDataObject = executeDataStep(newDataObject, { action: config.action, params: config });
+                const sources = config.action === 'date_diff' ? [config.startColumn, config.endColumn]
+                    : [config.action === 'extract_datetime' ? config.sourceColumn : config.column];
+                if (config.amountColumn) sources.push(config.amountColumn);
+                const unread = countUnreadRows(newDataObject, resolveStepColumns(newDataObject, sources), config.newColumn);
+                const unreadNote = unread > 0 ? ` ${unread} row(s) could not be calculated (values that are not dates, or lack that part) and were left empty.` : '';
+                return { success: true, message: `Created new column '${config.newColumn}'.${unreadNote} ${explanation}`, newData: newDataObject };
+            }
+            case 'split_column':
+            case 'concat_columns':
+            case 'regex_extract':
+            case 'substring': {
+                newDataObject = executeDataStep(newDataObject, { action: config.action, params: config });
+                const added = newDataObject.meta.fields.filter(field => !sourceData.meta.fields.includes(field));
+                const emptyCount = config.action === 'regex_extract'
+                    ? countUnreadRows(newDataObject, resolveStepColumns(newDataObject, config.column), config.newColumn) : 0;
+                const emptyNote = emptyCount > 0 ? ` ${emptyCount} value(s) did not match the pattern and were left empty.` : '';
+                return { success: true, message: `Created new column(s) ${added.map(field => `'${field}'`).join(', ')}.${emptyNote} ${explanation}`, newData: newDataObject };
+            }
+            case 'find_replace': {
+                const columns = resolveStepColumns(sourceData, config.columns ?? config.column);
+                newDataObject = transformFindReplace(newDataObject, config);
+                const target = config.newColumn ?? null;
+                // Compared as text, since replaced numbers are stored as numbers again.
+                const asText = (value) => isFilledCell(value) ? String(value) : '';
+                const changed = sourceData.data.reduce((count, row, index) => count + columns
+                    .filter(column => asText(row[column]) !== asText(newDataObject.data[index][target ?? column])).length, 0);
+                const destination = target ? ` into '${target}'` : '';
+                return { success: true, message: `Replaced text in ${changed} value(s) of ${columns.join(', ')}${destination}. ${explanation}`, newData: newDataObject };
+            }
+            case 'window': {
+                newDataObject = transformWindow(newDataObject, config);
+                const added = [].concat(config.functions).map(fn => `'${fn.newColumn}' (${fn.type.replace(/_/g, ' ')})`).join(', ');
+                return { success: true, message: `Created new column(s) ${added}. ${explanation}`, newData: newDataObject };
+            }
+            default:
+                 return { success: false, message: `Unsupported transformation action: ${config.action}` };
+        }
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
+}
+
+// --- Modular Transformation & Analysis Functions ---
+
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'greater_than', 'less_than', 'between', 'in', 'not_in', 'contains', 'starts_with', 'ends_with', 'matches_regex', 'is_empty', 'is_not_empty', 'before', 'after'];
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty'];
+
+function parseConditionNumber(value) {
+    return typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+}
+
+/**
+ * Reads a condition's date, e.g. "2024-03-01" or "1 March 2024", as a timestamp comparable
+ * with the stored dates of a column.
+ */
+function parseConditionDate(value) {
+    const timestamp = toTimestamp(value);
+    if (timestamp !== null) return timestamp;
+    const detected = detectDateFormat([String(value)], getPreferredDateOrder());
+    const iso = detected ? parseDateText(value, detected.format, dataTimezone) : null;
+    return iso === null ? null : toTimestamp(iso);
+}
+
+/**
+ * Checks a condition list and prepares it for matching: column names are resolved, operators
+ * and values checked, and patterns, lists and dates read once instead of for every row.
+ * An entry is a { column, operator, value } condition; an { any: [...] } (OR), { all: [...] }
+ * (AND) or { none: [...] } (NOT) group of entries, which can be nested; or a { segment: name }
+ * reference to a saved segment's filters.
+ * @param {Object} dataObject - The data the conditions are checked against.
+ * @param {Array<Object>} conditions - The entries, all of which must hold.
+ * @returns {Array<Object>} The resolved entries, for matchesConditions.
+ */
+function resolveConditions(dataObject, conditions) {
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+        throw new Error('Give at least one condition.');
+    }
+    return conditions.map(entry => {
+        if (entry && (entry.any || entry.all || entry.none)) {
+            const group = entry.any ? 'any' : (entry.all ? 'all' : 'none');
+            return { [group]: resolveConditions(dataObject, entry[group]) };
+        }
+        if (entry && entry.segment !== undefined) {
+            return { all: resolveConditions(dataObject, findSegment(entry.segment, dataObject).filters) };
+        }
+        const { operator = 'equals', value } = entry || {};
+        if (!CONDITION_OPERATORS.includes(operator)) {
+            throw new Error(`Unsupported condition operator "${operator}". Use one of: ${CONDITION_OPERATORS.join(', ')}.`);
+        }
+        const condition = { column: resolveStepColumns(dataObject, entry.column)[0], operator, value };
+        if (VALUELESS_OPERATORS.includes(operator)) return condition;
+        if (value === undefined || value === null) throw new Error(`The "${operator}" condition on "${condition.column}" needs a value.`);
+
+        switch (operator) {
+            case 'between': {
+                const bounds = Array.isArray(value) ? value : String(value).split(',');
+                if (bounds.length !== 2) throw new Error(`The "between" condition on "${condition.column}" needs a [from, to] pair.`);
+                // Date columns compare by date, the rest by number.
+                const temporal = dataObject.meta.inferredTypes?.[condition.column] === 'temporal';
+                const positions = bounds.map(bound => {
+                    if (temporal) return parseConditionDate(bound);
+                    const number = parseConditionNumber(bound);
+                    return isNaN(number) ? null : number;
+                });
+                if (positions.includes(null)) {
+                    throw new Error(`The "between" condition on "${condition.column}" needs two ${temporal ? 'dates' : 'numbers'}.`);
+                }
+                condition.range = { temporal, from: Math.min(...positions), to: Math.max(...positions) };
+                break;
+            }
+            case 'in':
+            case 'not_in':
+                // A text list such as "Cancelled, Refunded" is read as comma-separated values.
+                condition.list = Array.isArray(value) ? value : String(value).split(',').map(item => item.trim());
+                break;
+            case 'matches_regex':
+                try {
+                    condition.pattern = new RegExp(String(value), 'i');
+                } catch (error) {
+                    throw new Error(`"${value}" is not a valid regular expression: ${error.message}`);
+                }
+                break;
+            case 'before':
+            case 'after':
+                condition.timestamp = parseConditionDate(value);
+                if (condition.timestamp === null) throw new Error(`"${value}" is not a date.`);
+                break;
+        }
+        return condition;
+    });
+}
+
+/**
+ * Compares a cell with a condition value: as numbers when either is a number and both read as
+ * one (so 5 equals "5" and "1,200"), otherwise as text ignoring case.
+ */
+function conditionValuesEqual(rowValue, value) {
+    if (typeof rowValue === 'number' || typeof value === 'number') {
+        const toNumber = (item) => typeof item === 'number' ? item : Number(String(item).replace(/,/g, '').trim());
+        const rowNumber = toNumber(rowValue);
+        const number = toNumber(value);
+        if (!isNaN(rowNumber) && !isNaN(number)) return rowNumber === number;
+    }
+    return String(rowValue).toLowerCase() === String(value).toLowerCase();
+}
+
+/**
+ * Checks one resolved { column, operator, value } condition against a row.
+ * Text comparisons ignore case; empty cells only meet 'is_empty'.
+ */
+function matchesCondition(row, condition) {
+    const { column, operator, value } = condition;
+    const rowValue = row[column];
+    if (operator === 'is_empty') return !isFilledCell(rowValue);
+    if (operator === 'is_not_empty') return isFilledCell(rowValue);
+    if (!isFilledCell(rowValue)) return false;
+    const text = String(rowValue).toLowerCase();
+    const numericRowValue = parseConditionNumber(rowValue);
+    const numericValue = parseConditionNumber(value);
+    switch (operator) {
+        case 'equals': return conditionValuesEqual(rowValue, value);
+        case 'not_equals': return !conditionValuesEqual(rowValue, value);
+        case 'greater_than': return !isNaN(numericRowValue) && !isNaN(numericValue) && numericRowValue > numericValue;
+        case 'less_than': return !isNaN(numericRowValue) && !isNaN(numericValue) && numericRowValue < numericValue;
+        case 'between': {
+            const { temporal, from, to } = condition.range;
+            const position = temporal ? toTimestamp(rowValue) : numericRowValue;
+            return position !== null && !isNaN(position) && position >= from && position <= to;
+        }
+        case 'in': return condition.list.some(item => conditionValuesEqual(rowValue, item));
+        case 'not_in': return !condition.list.some(item => conditionValuesEqual(rowValue, item));
+        case 'contains': return text.includes(String(value).toLowerCase());
+        case 'starts_with': return text.startsWith(String(value).toLowerCase());
+        case 'ends_with': return text.endsWith(String(value).toLowerCase());
+        case 'matches_regex': return condition.pattern.test(String(rowValue));
+        case 'before':
+        case 'after': {
+            const time = toTimestamp(rowValue);
+            if (time === null) return false;
+            return operator === 'before' ? time < condition.timestamp : time > condition.timestamp;
+        }
+        default: return false;
+    }
+}
+
+/**
+ * Checks that a row meets every entry of a resolved condition list (AND logic), where an
+ * { any } group needs one of its entries to hold, an { all } group all of them and a { none }
+ * group none of them.
+ */
+function matchesConditions(row, conditions) {
+    return conditions.every(entry => {
+        if (entry.any) return entry.any.some(child => matchesConditions(row, [child]));
+        if (entry.none) return !entry.none.some(child => matchesConditions(row, [child]));
+        if (entry.all) return matchesConditions(row, entry.all);
+        return matchesCondition(row, entry);
+    });
+}
+
+const CONDITION_LABELS = {
+    equals: 'is', not_equals: 'is not', greater_than: 'is greater than', less_than: 'is less than',
+    between: 'is between', in: 'is one of', not_in: 'is none of', contains: 'contains',
+    starts_with: 'starts with', ends_with: 'ends with', matches_regex: 'matches the pattern',
+    is_empty: 'is empty', is_not_empty: 'is not empty', before: 'is before', after: 'is after'
+};
+
+/**
+ * Describes a condition in words, e.g. "Status is one of 'Cancelled, Refunded'", for filter
+ * lists and for telling the AI which rows it is looking at.
+ */
+function describeCondition(condition) {
+    return `${condition.column} ${describeConditionTest(condition)}`;
+}
+
+function describeConditionTest({ operator = 'equals', value }) {
+    const label = CONDITION_LABELS[operator] || operator;
+    if (VALUELESS_OPERATORS.includes(operator)) return label;
+    const shown = Array.isArray(value) ? value.join(operator === 'between' ? "' and '" : ', ') : value;
+    return `${label} '${shown}'`;
+}
+
+function isFilterListed(filters, filter) {
+    const key = JSON.stringify([filter.column, filter.operator || 'equals', filter.value]);
+    return filters.some(f => JSON.stringify([f.column, f.operator || 'equals', f.value]) === key);
+}
+
+function transformRemoveRows(dataObject, conditions) {
+    const resolved = resolveConditions(dataObject, conditions);
+    dataObject.data = dataObject.data.filter(row => !matchesConditions(row, resolved));
+    return dataObject;
+}
+
+const DATETIME_PARTS = ['year', 'quarter', 'month', 'week', 'day', 'hour', 'minute', 'day_of_week', 'fiscal_year', 'fiscal_quarter', 'fiscal_month'];
+const FISCAL_PARTS = { fiscal_year: 'fiscalYear', fiscal_quarter: 'fiscalQuarter', fiscal_month: 'fiscalMonth' };
+
+/**
+ * The month a step's fiscal years start in: its own fiscalYearStartMonth, or the app setting.
+ */
+function resolveFiscalYearStart(params) {
+    const month = Number(params.fiscalYearStartMonth ?? fiscalYearStartMonth);
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+        throw new Error('The fiscal year start month must be a whole number from 1 (January) to 12 (December).');
+    }
+    return month;
+}
+
+/**
+ * Describes the fiscal calendar for AI prompts.
+ */
+function describeFiscalYear() {
+    if (fiscalYearStartMonth === 1) return 'The fiscal year is the calendar year (fiscalYearStartMonth 1).';
+    const monthName = (month) => new Date(Date.UTC(2000, month - 1, 1)).toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
+    return `The fiscal year starts in ${monthName(fiscalYearStartMonth)} (fiscalYearStartMonth ${fiscalYearStartMonth}) and is named after the year it ends in: FY2025 runs from ${monthName(fiscalYearStartMonth)} 2024 to ${monthName(fiscalYearStartMonth - 1)} 2025.`;
+}
+
+/**
+ * Extracts one part of a date column into a new whole-number column: a calendar part, the ISO
+ * week number, the day of the week (0 = Sunday) or the fiscal year, quarter or month.
+ * @param {Object} params - { sourceColumn, part, newColumn, fiscalYearStartMonth }.
+ */
+function transformExtractDatetime(dataObject, params) {
+    const { part, newColumn } = params;
+    if (!DATETIME_PARTS.includes(part)) {
+        throw new Error(`Unsupported date part "${part}". Use one of: ${DATETIME_PARTS.join(', ')}.`);
+    }
+    const [sourceColumn] = resolveStepColumns(dataObject, params.sourceColumn);
+    const partKeys = { year: 'year', month: 'month', day: 'day', hour: 'hour', minute: 'minute', day_of_week: 'dayOfWeek' };
+    const fiscalStart = FISCAL_PARTS[part] ? resolveFiscalYearStart(params) : null;
+
+    const readPart = (dateParts) => {
+        const { year, month, day } = dateParts;
+        if (partKeys[part]) return dateParts[partKeys[part]] ?? null; // day_of_week: 0=Sun, 6=Sat
+        if (month === null) return null;
+        if (part === 'quarter') return Math.ceil(month / 3);
+        if (part === 'week') return getIsoWeek(year, month, day).week;
+        return getFiscalPeriod(year, month, fiscalStart)[FISCAL_PARTS[part]];
+    };
+
+    dataObject.data = dataObject.data.map(row => {
+        // Dates are stored as ISO text; instants are read in the configured timezone.
+        // Times of day have no date parts, so extracting a year or month from them gives null.
+        const dateParts = getDateParts(row[sourceColumn], dataTimezone);
+        return { ...row, [newColumn]: dateParts ? readPart(dateParts) : null };
+    });
+    
+    dataObject.meta.fields.push(newColumn);
+    dataObject.meta.inferredTypes[newColumn] = 'integer'; // Extracted parts are whole numbers
+    return dataObject;
+}
+
+/**
+ * Replaces each date with the first day of its period, in a new column that is still a date: the
+ * day, the week (starting Monday, as ISO weeks do, or Sunday), month, quarter or year, or the
+ * fiscal quarter or year. Grouping by it gives "orders per week" with the weeks in date order.
+ * @param {Object} params - { column, newColumn, period, weekStart, fiscalYearStartMonth }.
+ */
+function transformTruncateDate(dataObject, params) {
+    const { newColumn, period, weekStart = 'monday' } = params;
+    if (!DATE_PERIODS.includes(period)) throw new Error(`Unsupported period "${period}". Use one of: ${DATE_PERIODS.join(', ')}.`);
+    if (!['monday', 'sunday'].includes(weekStart)) throw new Error(`Weeks start on 'monday' or 'sunday', not "${weekStart}".`);
+    if (!newColumn) throw new Error('Name the new column the periods go in.');
+    if (dataObject.meta.fields.includes(newColumn)) throw new Error(`Column "${newColumn}" already exists.`);
+    const [column] = resolveStepColumns(dataObject, params.column);
+    const options = { weekStart, fiscalYearStartMonth: period.startsWith('fiscal_') ? resolveFiscalYearStart(params) : 1 };
+
+    dataObject.data = dataObject.data.map(row => ({ ...row, [newColumn]: truncateDate(row[column], period, dataTimezone, options) }));
+    dataObject.meta.fields.push(newColumn);
+    dataObject.meta.inferredTypes[newColumn] = 'temporal';
+    return dataObject;
+}
+
+/**
+ * Counts the whole units from one date column to another, per row, in a new column: e.g. the days
+ * between order and ship date. Months, quarters and years count whole calendar months. The count
+ * is negative when the end date is earlier, and empty when either date is.
+ * @param {Object} params - { startColumn, endColumn, unit, newColumn }.
+ */
+function transformDateDiff(dataObject, params) {
+    const { newColumn, unit = 'day' } = params;
+    if (!DATE_UNITS.includes(unit)) throw new Error(`Unsupported unit "${unit}". Use one of: ${DATE_UNITS.join(', ')}.`);
+    if (!newColumn) throw new Error('Name the new column the differences go in.');
+    if (dataObject.meta.fields.includes(newColumn)) throw new Error(`Column "${newColumn}" already exists.`);
+    const [startColumn] = resolveStepColumns(dataObject, params.startColumn);
+    const [endColumn] = resolveStepColumns(dataObject, params.endColumn);
+
+    dataObject.data = dataObject.data.map(row => ({ ...row, [newColumn]: diffDates(row[startColumn], row[endColumn], unit, dataTimezone) }));
+    dataObject.meta.fields.push(newColumn);
+    dataObject.meta.inferredTypes[newColumn] = 'integer';
+    return dataObject;
+}
+
+/**
+ * Shifts a date column by a whole number of units, in a new column: a fixed amount (negative to
+ * go back), or each row's amount from another column, such as payment terms in days. Dates stay
+ * dates and date-times stay date-times; a month from January 31st is the end of February.
+ * @param {Object} params - { column, amount | amountColumn, unit, newColumn }.
+ */
+function transformDateAdd(dataObject, params) {
+    const { newColumn, unit = 'day' } = params;
+    if (!DATE_UNITS.includes(unit)) throw new Error(`Unsupported unit "${unit}". Use one of: ${DATE_UNITS.join(', ')}.`);
+    if (!newColumn) throw new Error('Name the new column the shifted dates go in.');
+    if (dataObject.meta.fields.includes(newColumn)) throw new Error(`Column "${newColumn}" already exists.`);
+    const [column] = resolveStepColumns(dataObject, params.column);
+    const amountColumn = isFilledCell(params.amountColumn) ? resolveStepColumns(dataObject, params.amountColumn)[0] : null;
+    const amount = Number(params.amount);
+    if (!amountColumn && !Number.isInteger(amount)) throw new Error('Give a whole number of units to add in "amount", or the column holding them in "amountColumn".');
+
+    const amountOf = (row) => {
+        if (!amountColumn) return amount;
+        const value = row[amountColumn];
+        return isFilledCell(value) ? (typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''))) : NaN;
+    };
+    dataObject.data = dataObject.data.map(row => ({ ...row, [newColumn]: addToDate(row[column], amountOf(row), unit, dataTimezone) }));
+    dataObject.meta.fields.push(newColumn);
+    dataObject.meta.inferredTypes[newColumn] = 'temporal';
+    return dataObject;
+}
+
+/**
+ * Counts the rows whose source cells were all filled but whose new cell is empty, i.e. the values
+ * a date step could not read.
+ */
+function countUnreadRows(dataObject, sourceColumns, newColumn) {
+    return dataObject.data.filter(row => sourceColumns.every(column => isFilledCell(row[column])) && !isFilledCell(row[newColumn])).length;
+}
+
+
+/**
+ * Adds a calculated column, either from a formula (see formula.js) or from two operands and an operator.
+ * @param {Object} params - { newColumn, formula } or { newColumn, column1, operator, column2 | value }.
+ * @param {Array} rowErrors - Collects { row, message } for every row a formula could not be
+ *   calculated for; those rows get an empty value.
+ */
+function transformCreateColumn(dataObject, params, rowErrors = []) {
+    const { newColumn, column1, operator, column2, value, formula } = params;
+
+    if (typeof formula === 'string' && formula.trim() !== '') {
+        const compiled = compileFormula(formula, dataObject.meta.fields, { timeZone: dataTimezone });
+        dataObject.data = dataObject.data.map((row, index) => {
+            let newValue = null;
+            try {
+                newValue = compiled.evaluate(row);
+            } catch (error) {
+                rowErrors.push({ row: index + 1, message: error.message });
+            }
+            return { ...row, [newColumn]: newValue };
+        });
+
+        dataObject.meta.fields.push(newColumn);
+        const values = sampleRows(dataObject.data, INFERENCE_SAMPLE_SIZE).map(row => row[newColumn]).filter(isFilledCell);
+        dataObject.meta.inferredTypes[newColumn] = values.every(val => typeof val === 'number')
+            ? (values.every(Number.isInteger) && values.length > 0 ? 'integer' : 'numerical')
+            : inferColumnType(newColumn, values);
+        return dataObject;
+    }
+    
+    dataObject.data = dataObject.data.map(row => {
+        // Parse first operand
+        const val1 = parseFloat(String(row[column1]).replace(/,/g, ''));
+        
+        // Parse second operand (either column value or constant value)
+        let val2;
+        if (value !== undefined && value !== null) {
+            val2 = Number(value);
+        } else if (column2) {
+             val2 = parseFloat(String(row[column2]).replace(/,/g, ''));
+        }
+
+        let newValue = null;
+        if (!isNaN(val1)) {
+            // Unary operators
+            if (operator === 'floor') newValue = Math.floor(val1);
+            else if (operator === 'ceil') newValue = Math.ceil(val1);
+            else if (operator === 'round') newValue = Math.round(val1);
+            // Binary operators
+            else if (!isNaN(val2)) {
+                switch (operator) {
+                    case 'add': newValue = val1 + val2; break;
+                    case 'subtract': newValue = val1 - val2; break;
+                    case 'multiply': newValue = val1 * val2; break;
+                    case 'divide': newValue = val2 !== 0 ? (val1 / val2) : null; break;
+                    case 'modulus': newValue = val2 !== 0 ? (val1 % val2) : null; break;
+                }
+            }
+        }
+        return { ...row, [newColumn]: newValue };
+    });
+    
+    dataObject.meta.fields.push(newColumn);
+    dataObject.meta.inferredTypes[newColumn] = 'numerical';
+    return dataObject;
+}
+
+function transformRenameColumn(dataObject, params) {
+    const { oldColumn, newColumn } = params;
+    dataObject.data = dataObject.data.map(row => {
+        if (Object.prototype.hasOwnProperty.call(row, oldColumn)) {
+            row[newColumn] = row[oldColumn];
+            delete row[oldColumn];
+        }
+        return row;
+    });
+    const oldColumnIndex = dataObject.meta.fields.indexOf(oldColumn);
+    if (oldColumnIndex > -1) {
+        dataObject.meta.fields[oldColumnIndex] = newColumn;
+    }
+    // Formats and type overrides are keyed by column name, so they follow the column.
+    ['numberFormats', 'dateFormats', 'typeOverrides', 'categoryOrders'].forEach(key => {
+        const byColumn = dataObject.meta[key];
+        if (byColumn && byColumn[oldColumn]) {
+            byColumn[newColumn] = byColumn[oldColumn];
+            delete byColumn[oldColumn];
+        }
+    });
+    return dataObject;
+}
+
+const REORDER_POSITIONS = ['start', 'end'];
+// Meta maps keyed by column name, which follow a column when it is dropped or duplicated.
+const COLUMN_META_KEYS = ['inferredTypes', 'numberFormats', 'dateFormats', 'typeOverrides', 'categoryOrders'];
+
+/**
+ * Narrows a data object to the given columns, in the given order: the rows, meta.fields and the
+ * formats and types kept per column.
+ */
+function selectColumns(dataObject, fields) {
+    const { meta } = dataObject;
+    dataObject.data = dataObject.data.map(row => {
+        const newRow = {};
+        fields.forEach(field => {
+            if (Object.prototype.hasOwnProperty.call(row, field)) newRow[field] = row[field];
+        });
+        return newRow;
+    });
+    COLUMN_META_KEYS.forEach(key => {
+        if (!meta[key]) return;
+        Object.keys(meta[key]).forEach(column => {
+            if (!fields.includes(column)) delete meta[key][column];
+        });
+    });
+    meta.fields = [...fields];
+    return dataObject;
+}
+
+/**
+ * Removes one or more columns. At least one column has to stay.
+ * @param {Object} params - { columns | column }.
+ */
+function transformDropColumns(dataObject, params) {
+    const columns = resolveStepColumns(dataObject, params.columns ?? params.column);
+    const kept = dataObject.meta.fields.filter(field => !columns.includes(field));
+    if (kept.length === 0) throw new Error('Every column would be dropped. Keep at least one.');
+    return selectColumns(dataObject, kept);
+}
+
+/**
+ * Removes every column except the ones named, which keep their current order.
+ * @param {Object} params - { columns | column }.
+ */
+function transformKeepColumns(dataObject, params) {
+    const columns = resolveStepColumns(dataObject, params.columns ?? params.column);
+    return selectColumns(dataObject, dataObject.meta.fields.filter(field => columns.includes(field)));
+}
+
+/**
+ * Moves the named columns, in the order given, to the start (or the end) of the column list; the
+ * other columns keep their order. Naming every column sets the whole order.
+ * @param {Object} params - { columns, position: 'start' | 'end' }.
+ */
+function transformReorderColumns(dataObject, params) {
+    const { position = 'start' } = params;
+    if (!REORDER_POSITIONS.includes(position)) {
+        throw new Error(`Unsupported position "${position}". Use one of: ${REORDER_POSITIONS.join(', ')}.`);
+    }
+    const columns = Array.from(new Set(resolveStepColumns(dataObject, params.columns ?? params.column)));
+    const others = dataObject.meta.fields.filter(field => !columns.includes(field));
+    return selectColumns(dataObject, position === 'start' ? [...columns, ...others] : [...others, ...columns]);
+}
+
+/**
+ * Copies a column under a new name, placed right after it, with its type and formats, so it can
+ * be changed without losing the original.
+ * @param {Object} params - { column, newColumn }.
+ */
+function transformDuplicateColumn(dataObject, params) {
+    const { newColumn } = params;
+    const { meta } = dataObject;
+    const [column] = resolveStepColumns(dataObject, params.column);
+    checkNewColumnNames(dataObject, [newColumn]);
+
+    dataObject.data = dataObject.data.map(row => ({ ...row, [newColumn]: row[column] ?? null }));
+    meta.fields.splice(meta.fields.indexOf(column) + 1, 0, newColumn);
+    COLUMN_META_KEYS.forEach(key => {
+        if (meta[key] && meta[key][column] !== undefined) meta[key][newColumn] = JSON.parse(JSON.stringify(meta[key][column]));
+    });
+    return selectColumns(dataObject, meta.fields);
+}
+
+const FILL_METHODS = ['value', 'mean', 'median', 'mode', 'forward_fill', 'backward_fill'];
+const CASE_STYLES = ['upper', 'lower', 'title'];
+const CAST_TYPES = ['number', 'integer', 'text', 'boolean', 'date'];
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Resolves the columns a cleaning step names, ignoring case.
+ * @param {Object} dataObject - The data the step runs on.
+ * @param {string|Array<string>} columns - One or more column names.
+ * @param {boolean} defaultToAll - Whether naming no column means every column.
+ * @returns {Array<string>} The matching column names.
+ */
+function resolveStepColumns(dataObject, columns, defaultToAll = false) {
+    const { fields } = dataObject.meta;
+    const names = [].concat(columns ?? []).filter(name => name !== null && name !== '');
+    if (names.length === 0) {
+        if (defaultToAll) return [...fields];
+        throw new Error('Name at least one column for this step.');
+    }
+    return names.map(name => {
+        const match = findMatchingColumn(String(name), fields);
+        if (!match) throw new Error(`Column "${name}" not found. Available columns: [${fields.join(', ')}]`);
+        return match;
+    });
+}
+
+/**
+ * Fills the empty cells of one or more columns with a constant, the column's mean, median or most
+ * frequent value, or the nearest filled value above (forward_fill) or below (backward_fill).
+ * @param {Object} params - { columns | column, method, value }.
+ */
+function transformFillMissing(dataObject, params) {
+    const { method = 'value', value } = params;
+    if (!FILL_METHODS.includes(method)) {
+        throw new Error(`Unsupported fill method "${method}". Use one of: ${FILL_METHODS.join(', ')}.`);
+    }
+    if (method === 'value' && (value === undefined || value === null)) {
+        throw new Error('Filling with a value needs the value to use.');
+    }
+    const inferredTypes = dataObject.meta.inferredTypes || {};
+
+    resolveStepColumns(dataObject, params.columns ?? params.column).forEach(column => {
+        if (method === 'forward_fill' || method === 'backward_fill') {
+            const rows = method === 'forward_fill' ? dataObject.data : [...dataObject.data].reverse();
+            let previous;
+            rows.forEach(row => {
+                if (isFilledCell(row[column])) {
+                    previous = row[column];
+                } else if (previous !== undefined) {
+                    row[column] = previous;
+                }
+            });
+            return;
+        }
 
-            await generateAndDisplayFollowUpQuestions('<strong>What\'s next?</strong> Here are some ideas:');
-            return; // Plan finished
+        const filled = dataObject.data.map(row => row[column]).filter(isFilledCell);
+        let fill = value;
+        if (method === 'value') {
+            // A number typed as text still belongs in a numeric column as a number.
+            const num = Number(value);
+            if (isNumericType(inferredTypes[column]) && String(value).trim() !== '' && !isNaN(num)) fill = num;
+        } else if (method === 'mode') {
+            const counts = new Map();
+            filled.forEach(val => {
+                const key = String(val);
+                const count = counts.get(key);
+                counts.set(key, count ? { value: count.value, count: count.count + 1 } : { value: val, count: 1 });
+            });
+            if (counts.size === 0) throw new Error(`Column "${column}" has no values to take the most frequent one from.`);
+            fill = Array.from(counts.values()).reduce((best, entry) => entry.count > best.count ? entry : best).value;
+        } else {
+            const numbers = filled
+                .map(val => typeof val === 'number' ? val : parseFloat(String(val).replace(/,/g, '')))
+                .filter(num => !isNaN(num))
+                .sort((a, b) => a - b);
+            if (numbers.length === 0) throw new Error(`Column "${column}" has no numbers to take the ${method} of.`);
+            const middle = Math.floor(numbers.length / 2);
+            fill = method === 'mean'
+                ? numbers.reduce((sum, num) => sum + num, 0) / numbers.length
+                : (numbers.length % 2 === 0 ? (numbers[middle - 1] + numbers[middle]) / 2 : numbers[middle]);
+            if (inferredTypes[column] === 'integer') fill = Math.round(fill);
         }
 
-        // For all non-visualize steps, transform the data.
-        tempData = executeDataStep(tempData, step);
-    }
+        dataObject.data.forEach(row => {
+            if (!isFilledCell(row[column])) row[column] = fill;
+        });
+    });
+    return dataObject;
 }
 
-function executeDataStep(dataObject, step) {
-    const params = step.params;
-    switch (step.action) {
-        case 'extract_datetime':
-            return transformExtractDatetime(dataObject, params);
-        case 'create_column':
-            return transformCreateColumn(dataObject, params);
-        case 'remove_rows':
-            return transformRemoveRows(dataObject, params.conditions);
-        case 'rename_column':
-            return transformRenameColumn(dataObject, params);
-        case 'aggregate':
-            return executeAggregate(dataObject, params);
-        case 'sort':
-            return executeSort(dataObject, params);
-        case 'limit':
-            return executeLimit(dataObject, params);
-        case 'run_javascript':
-            return executeRunJavascript(dataObject, params);
-        default:
-            throw new Error(`Unsupported plan action: ${step.action}`);
+/**
+ * Removes rows that repeat an earlier row on the given columns (all columns if none are named).
+ * Values are compared as trimmed text, as join keys are, so 42 and "42" are duplicates.
+ * @param {Object} params - { columns | column, keep: 'first' | 'last' }.
+ */
+function transformDropDuplicates(dataObject, params) {
+    const { keep = 'first' } = params;
+    if (!['first', 'last'].includes(keep)) {
+        throw new Error(`Unsupported keep option "${keep}". Use 'first' or 'last'.`);
     }
+    const columns = resolveStepColumns(dataObject, params.columns ?? params.column, true);
+    const seen = new Set();
+    const rows = keep === 'last' ? [...dataObject.data].reverse() : dataObject.data;
+    const kept = rows.filter(row => {
+        const key = JSON.stringify(columns.map(column => row[column] === undefined || row[column] === null ? '' : String(row[column]).trim()));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    dataObject.data = keep === 'last' ? kept.reverse() : kept;
+    return dataObject;
 }
 
-function buildTransformationPrompt(userQuery) {
-    const { meta } = originalData; // Always use originalData for schema
-    const columnsWithTypes = meta.fields.map(field =>
-        `${field} (${meta.inferredTypes[field] || 'string'})`
-    ).join(', ');
+/**
+ * Trims leading and trailing whitespace from text values (every column if none are named),
+ * optionally collapsing runs of inner whitespace into one space.
+ * @param {Object} params - { columns | column, collapseSpaces }.
+ */
+function transformTrimWhitespace(dataObject, params) {
+    const { collapseSpaces = false } = params;
+    const columns = resolveStepColumns(dataObject, params.columns ?? params.column, true);
+    dataObject.data.forEach(row => {
+        columns.forEach(column => {
+            const value = row[column];
+            if (typeof value !== 'string') return;
+            row[column] = collapseSpaces ? value.replace(/\s+/g, ' ').trim() : value.trim();
+        });
+    });
+    return dataObject;
+}
 
-    return `
-You are a data transformation expert. Your task is to convert a user's natural language request into a structured JSON command.
+/**
+ * Rewrites the text values of one or more columns in upper, lower or title case.
+ * @param {Object} params - { columns | column, case: 'upper' | 'lower' | 'title' }.
+ */
+function transformChangeCase(dataObject, params) {
+    const style = params.case;
+    if (!CASE_STYLES.includes(style)) {
+        throw new Error(`Unsupported case "${style}". Use one of: ${CASE_STYLES.join(', ')}.`);
+    }
+    const convert = {
+        upper: text => text.toUpperCase(),
+        lower: text => text.toLowerCase(),
+        // Words start after spaces, hyphens, slashes and brackets, but not apostrophes ("O'Neil's").
+        title: text => text.toLowerCase().replace(/(^|[\s\-/(])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase())
+    }[style];
+
+    const columns = resolveStepColumns(dataObject, params.columns ?? params.column);
+    dataObject.data.forEach(row => {
+        columns.forEach(column => {
+            if (typeof row[column] === 'string') row[column] = convert(row[column]);
+        });
+    });
+    return dataObject;
+}
 
-Dataset Schema:
-- Columns with inferred types: ${columnsWithTypes}
+/**
+ * Converts one or more columns to another type. Values that can't be read as the new type become
+ * empty (null). Numbers are read as auto-cleaning reads them ("1,234.50", "45%", "$12"), dates in the
+ * column's detected format, and booleans from true/false, yes/no, y/n and 1/0.
+ * @param {Object} params - { columns | column, to: 'number' | 'integer' | 'text' | 'boolean' | 'date' }.
+ */
+function transformCastColumn(dataObject, params) {
+    const { to } = params;
+    if (!CAST_TYPES.includes(to)) {
+        throw new Error(`Unsupported type "${to}". Use one of: ${CAST_TYPES.join(', ')}.`);
+    }
+    const { meta } = dataObject;
+    const columns = resolveStepColumns(dataObject, params.columns ?? params.column);
+
+    columns.forEach(column => {
+        const filled = dataObject.data.map(row => row[column]).filter(isFilledCell);
+        let convert;
+        let type;
+        if (to === 'number' || to === 'integer') {
+            const decimal = (meta.numberFormats && meta.numberFormats[column] && meta.numberFormats[column].decimal)
+                || detectDecimalSeparator(sampleRows(filled, INFERENCE_SAMPLE_SIZE));
+            convert = (value) => {
+                const parsed = parseNumberText(value, decimal);
+                if (!parsed) return null;
+                return to === 'integer' ? Math.round(parsed.value) : parsed.value;
+            };
+            type = to === 'integer' ? 'integer' : 'numerical';
+        } else if (to === 'text') {
+            convert = (value) => String(value);
+            type = 'string';
+        } else if (to === 'boolean') {
+            convert = (value) => {
+                if (typeof value === 'boolean') return value;
+                const text = String(value).trim().toLowerCase();
+                if (TRUE_VALUES.includes(text)) return true;
+                return FALSE_VALUES.includes(text) ? false : null;
+            };
+            type = 'boolean';
+        } else {
+            const detected = detectDateFormat(sampleRows(filled, INFERENCE_SAMPLE_SIZE).map(String), getPreferredDateOrder());
+            if (!detected) throw new Error(`Column "${column}" has no values that read as dates.`);
+            convert = (value) => parseDateText(String(value), detected.format, dataTimezone);
+            meta.dateFormats = { ...meta.dateFormats, [column]: detected.format };
+            type = 'temporal';
+        }
 
-User Request:
-"${userQuery}"
+        dataObject.data.forEach(row => {
+            row[column] = isFilledCell(row[column]) ? convert(row[column]) : null;
+        });
 
---- SUPPORTED ACTIONS & JSON FORMAT ---
+        // The column's old formats no longer describe its values.
+        if (to !== 'number' && to !== 'integer' && meta.numberFormats) delete meta.numberFormats[column];
+        if (to !== 'date' && meta.dateFormats) delete meta.dateFormats[column];
+        if (meta.categoryOrders) delete meta.categoryOrders[column];
+        if (meta.typeOverrides) delete meta.typeOverrides[column];
+        meta.inferredTypes[column] = type;
+    });
+    return dataObject;
+}
 
-1.  **Remove Rows**:
-    {
-      "action": "remove_rows",
-      "explanation": "A short sentence explaining what was done.",
-      "conditions": [{
-        "column": "column_name",
-        "operator": "equals" | "not_equals" | "greater_than" | "less_than" | "contains",
-        "value": "some_value"
-      }]
+/**
+ * Sets one cell, as edited in the data grid. When the step records the cell's previous value and
+ * the row now holds something else, nothing is changed, so a replayed recipe never overwrites a
+ * different row.
+ * @param {Object} params - { row (0-based), column, value, previousValue }.
+ */
+function transformEditCell(dataObject, params) {
+    const { row, value = null } = params;
+    const rowCount = dataObject.data.length;
+    if (!Number.isInteger(row) || row < 0 || row >= rowCount) {
+        throw new Error(`There is no row ${Number.isInteger(row) ? row + 1 : row}; the data has ${rowCount} row(s).`);
     }
-    - You can have multiple conditions. All conditions must be met (AND logic).
-    - For numeric comparisons, ensure the 'value' is a number, not a string.
-
-2.  **Create Column**:
-    {
-      "action": "create_column",
-      "explanation": "A short sentence explaining what was done.",
-      "newColumn": "new_column_name",
-      "column1": "first_operand_column",
-      "operator": "add" | "subtract" | "multiply" | "divide",
-      "column2": "second_operand_column"
+    const column = resolveStepColumns(dataObject, params.column)[0];
+    const current = dataObject.data[row][column] ?? null;
+    if (params.previousValue !== undefined && current !== params.previousValue) {
+        throw new Error(`Row ${row + 1} of "${column}" holds "${current}" instead of "${params.previousValue}", so it was not changed.`);
     }
+    dataObject.data[row] = { ...dataObject.data[row], [column]: value };
+    return dataObject;
+}
 
-3.  **Rename Column**:
-    {
-        "action": "rename_column",
-        "explanation": "A short sentence explaining what was done.",
-        "oldColumn": "current_column_name",
-        "newColumn": "new_column_name"
-    }
+/**
+ * Counts the cells of the given columns that a step changed, and how many of those it left empty.
+ * Only meaningful for steps that keep every row in place.
+ */
+function countCellChanges(beforeRows, afterRows, columns) {
+    let changed = 0;
+    let emptied = 0;
+    afterRows.forEach((row, index) => {
+        columns.forEach(column => {
+            const before = beforeRows[index][column];
+            if (row[column] === before) return;
+            changed++;
+            if (isFilledCell(before) && !isFilledCell(row[column])) emptied++;
+        });
+    });
+    return { changed, emptied };
+}
 
---- RESPONSE RULES ---
-- Respond with ONLY the JSON configuration.
-- Do not use markdown like \`\`\`json.
-- Ensure all column names in the JSON exactly match the schema. If a close match is found, use the correct one from the schema.
-- If the request is ambiguous or cannot be translated into one of the supported actions, respond with: { "action": "error", "explanation": "Your request is unclear or not supported. Please try rephrasing." }`;
+const MAX_SPLIT_PARTS = 20;
+
+/**
+ * Checks the names a step is about to add: each must be given, new to the data and used once.
+ */
+function checkNewColumnNames(dataObject, names) {
+    if (names.length === 0 || !names.every(isFilledCell)) throw new Error('Name the new column(s) the step adds.');
+    names.forEach((name, index) => {
+        if (dataObject.meta.fields.includes(name)) throw new Error(`Column "${name}" already exists.`);
+        if (names.indexOf(name) !== index) throw new Error(`The new column name "${name}" is given twice.`);
+    });
 }
 
-async function handleTransformation(userQuery) {
+/**
+ * Types the columns a text step wrote or rewrote, reading them afresh as loading does. A column
+ * whose values are all plain numbers ("1234", "-0.5") is stored as numbers so it sums and sorts
+ * as numbers; leading zeros ("00123") mark codes, which stay text.
+ */
+function typeTextColumns(dataObject, columns) {
+    const { meta } = dataObject;
+    columns.forEach(column => {
+        // Formats read from the old values no longer describe the new ones.
+        ['numberFormats', 'dateFormats', 'categoryOrders', 'typeOverrides'].forEach(key => {
+            if (meta[key]) delete meta[key][column];
+        });
+        const filled = dataObject.data.map(row => row[column]).filter(isFilledCell);
+        const isNumberText = (value) => typeof value === 'string' && !/^[-+]?0\d/.test(value.trim()) && Boolean(parseNumberText(value)?.plain);
+        if (filled.length > 0 && filled.every(value => typeof value === 'number' || isNumberText(value))) {
+            dataObject.data.forEach(row => {
+                if (typeof row[column] === 'string') row[column] = isFilledCell(row[column]) ? parseNumberText(row[column]).value : null;
+            });
+        }
+    });
+    Object.assign(meta.inferredTypes, inferColumnTypes(dataObject.data, columns, meta.numberFormats, meta.dateFormats));
+}
+
+/**
+ * Compiles a text step's regular expression, naming the pattern when it is not valid.
+ */
+function compileTextPattern(pattern, flags) {
+    if (typeof pattern !== 'string' || pattern === '') throw new Error('Give the regular expression to look for in "pattern".');
     try {
-        const prompt = buildTransformationPrompt(userQuery);
+        return new RegExp(pattern, flags);
+    } catch (error) {
+        throw new Error(`"${pattern}" is not a valid regular expression: ${error.message}`);
+    }
+}
 
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: prompt,
+/**
+ * Splits a text column on a delimiter into new columns, e.g. "Austin, TX" into City and State.
+ * Given names for the new columns, the value is split into that many parts and the last one keeps
+ * the rest of the text; otherwise the columns are named "<column> 1", "<column> 2", ... for as
+ * many parts as the longest value has. Parts are trimmed; missing parts are left empty.
+ * @param {Object} params - { column, delimiter, newColumns }.
+ */
+function transformSplitColumn(dataObject, params) {
+    const { delimiter } = params;
+    if (typeof delimiter !== 'string' || delimiter === '') throw new Error('Give the text to split on in "delimiter", e.g. "," or "-".');
+    const [column] = resolveStepColumns(dataObject, params.column);
+    const named = [].concat(params.newColumns ?? []);
+    const limit = named.length > 0 ? named.length : MAX_SPLIT_PARTS;
+
+    const splitValue = (value) => {
+        if (!isFilledCell(value)) return [];
+        const parts = String(value).split(delimiter);
+        // The last column keeps the rest of the text, delimiters included.
+        if (parts.length > limit) parts.splice(limit - 1, parts.length, parts.slice(limit - 1).join(delimiter));
+        return parts.map(part => part.trim());
+    };
+    const splits = dataObject.data.map(row => splitValue(row[column]));
+    const partCount = splits.reduce((most, parts) => Math.max(most, parts.length), 0);
+    if (partCount < 2) throw new Error(`No value of "${column}" contains "${delimiter}".`);
+
+    const newColumns = named.length > 0 ? named : Array.from({ length: partCount }, (_, index) => `${column} ${index + 1}`);
+    checkNewColumnNames(dataObject, newColumns);
+    dataObject.data = dataObject.data.map((row, index) => {
+        const newRow = { ...row };
+        newColumns.forEach((newColumn, part) => {
+            newRow[newColumn] = isFilledCell(splits[index][part]) ? splits[index][part] : null;
         });
-        
-        const jsonString = response.text.trim().replace(/```json/g, '').replace(/```/g, '');
-        const config = JSON.parse(jsonString);
-
-        if (config.action === 'error') {
-            addErrorMessageToChat('Transformation Not Applied', config.explanation);
-            return;
-        }
-        
-        // Always apply transformations to the master originalData
-        const result = applyTransformation(config, originalData);
-        
-        if (result.success) {
-            // Update both original and active data
-            originalData = result.newData;
-            activeData = result.newData;
-            
-            // Clear any active filter as it might be invalid now
-            if(activeFilters.length > 0) {
-                activeFilters = [];
-                isFilteredState = false;
-                filterSection.classList.add('hidden');
-            }
+        return newRow;
+    });
+    dataObject.meta.fields.push(...newColumns);
+    typeTextColumns(dataObject, newColumns);
+    return dataObject;
+}
 
-            // The data schema may have changed, so we MUST restart the chat session
-            // with the new context.
-            initializeChatSession(originalData);
-            
-            addMessageToChat(result.message, 'ai');
-            updateSidebarStats(originalData);
-            addPreviewToChat(originalData);
-            // Re-populate dropdowns after AI transformation
-            populateColumnDropdowns(originalData.meta.fields);
+/**
+ * Joins the values of several columns into a new text column, e.g. First and Last Name into
+ * "Full Name". Empty cells are skipped, so separators never double up; a row with every cell
+ * empty stays empty.
+ * @param {Object} params - { columns, separator, newColumn }.
+ */
+function transformConcatColumns(dataObject, params) {
+    const { separator = ' ', newColumn } = params;
+    const columns = resolveStepColumns(dataObject, params.columns);
+    if (columns.length < 2) throw new Error('Give at least two columns to join.');
+    checkNewColumnNames(dataObject, [newColumn]);
 
-            addMessageToChat("The data has been transformed. The analysis context has been updated with the new schema.", 'ai');
-            await generateAndDisplayFollowUpQuestions('<strong>What\'s next?</strong> Here are some ideas for the transformed data:');
-        } else {
-             addErrorMessageToChat('Transformation Failed', result.message);
-        }
+    dataObject.data = dataObject.data.map(row => {
+        const parts = columns.filter(column => isFilledCell(row[column])).map(column => String(row[column]));
+        return { ...row, [newColumn]: parts.length > 0 ? parts.join(separator) : null };
+    });
+    dataObject.meta.fields.push(newColumn);
+    typeTextColumns(dataObject, [newColumn]);
+    return dataObject;
+}
 
-    } catch (error) {
-        addErrorMessageToChat('Transformation Failed', 'The requested data transformation could not be applied. Please check your query and try again.');
-        console.error("Transformation error:", error);
-    } finally {
-        removeLoadingIndicator();
+/**
+ * Copies the part of each value a regular expression matches into a new column: the given capture
+ * group, else the first one if the pattern has any, else the whole match. E.g. "-(\d+)-" takes
+ * 1234 from "SKU-1234-RED". Values the pattern doesn't match leave the new cell empty.
+ * @param {Object} params - { column, pattern, group, ignoreCase, newColumn }.
+ */
+function transformRegexExtract(dataObject, params) {
+    const { newColumn, ignoreCase = false } = params;
+    const [column] = resolveStepColumns(dataObject, params.column);
+    const pattern = compileTextPattern(params.pattern, ignoreCase ? 'i' : '');
+    checkNewColumnNames(dataObject, [newColumn]);
+
+    // An alternative that matches nothing reveals how many groups the pattern has.
+    const groupCount = new RegExp(`${pattern.source}|`).exec('').length - 1;
+    const group = params.group ?? (groupCount > 0 ? 1 : 0);
+    if (typeof group === 'number' && (!Number.isInteger(group) || group < 0 || group > groupCount)) {
+        throw new Error(`The pattern has ${groupCount} capture group(s), so there is no group ${group}.`);
     }
+
+    dataObject.data = dataObject.data.map(row => {
+        const match = isFilledCell(row[column]) ? pattern.exec(String(row[column])) : null;
+        const extracted = match ? (typeof group === 'number' ? match[group] : match.groups?.[group]) : null;
+        return { ...row, [newColumn]: isFilledCell(extracted) ? extracted : null };
+    });
+    dataObject.meta.fields.push(newColumn);
+    typeTextColumns(dataObject, [newColumn]);
+    return dataObject;
 }
 
-function applyTransformation(config, sourceData) {
-    let newDataObject = JSON.parse(JSON.stringify(sourceData));
-    let explanation = config.explanation || "Transformation applied.";
+/**
+ * Copies part of each value into a new column by position. "start" counts characters from 1, or
+ * from the end when negative (-4 is the last four characters); without "length" the rest of the
+ * value is taken.
+ * @param {Object} params - { column, start, length, newColumn }.
+ */
+function transformSubstring(dataObject, params) {
+    const { newColumn } = params;
+    const start = Number(params.start ?? 1);
+    const length = params.length === undefined || params.length === null ? null : Number(params.length);
+    if (!Number.isInteger(start) || start === 0) throw new Error('"start" is a whole number of characters: 1 for the first, -1 for the last.');
+    if (length !== null && (!Number.isInteger(length) || length < 1)) throw new Error('"length" is a whole number of characters, at least 1.');
+    const [column] = resolveStepColumns(dataObject, params.column);
+    checkNewColumnNames(dataObject, [newColumn]);
 
-    try {
-        switch (config.action) {
-            case 'remove_rows': {
-                const initialRowCount = newDataObject.data.length;
-                newDataObject = transformRemoveRows(newDataObject, config.conditions);
-                const rowsRemoved = initialRowCount - newDataObject.data.length;
-                return { success: true, message: `Removed ${rowsRemoved} row(s). ${explanation}`, newData: newDataObject };
-            }
-            case 'create_column': {
-                if (newDataObject.meta.fields.includes(config.newColumn)) {
-                    return { success: false, message: `Column "${config.newColumn}" already exists.`};
-                }
-                newDataObject = transformCreateColumn(newDataObject, config);
-                // Add type for new column
-                newDataObject.meta.inferredTypes[config.newColumn] = 'numerical';
-                return { success: true, message: `Created new column '${config.newColumn}'. ${explanation}`, newData: newDataObject };
-            }
-            case 'rename_column': {
-                if (!newDataObject.meta.fields.includes(config.oldColumn)) {
-                    return { success: false, message: `Column to rename "${config.oldColumn}" does not exist.` };
-                }
-                if (newDataObject.meta.fields.includes(config.newColumn)) {
-                    return { success: false, message: `A column named "${config.newColumn}" already exists.` };
-                }
-                newDataObject = transformRenameColumn(newDataObject, config);
-                 // Update type mapping
-                newDataObject.meta.inferredTypes[config.newColumn] = newDataObject.meta.inferredTypes[config.oldColumn];
-                delete newDataObject.meta.inferredTypes[config.oldColumn];
-                return { success: true, message: `Renamed column "${config.oldColumn}" to "${config.newColumn}". ${explanation}`, newData: newDataObject };
+    dataObject.data = dataObject.data.map(row => {
+        if (!isFilledCell(row[column])) return { ...row, [newColumn]: null };
+        const characters = Array.from(String(row[column])); // Emoji and accents count as one character
+        const from = start > 0 ? start - 1 : Math.max(0, characters.length + start);
+        const part = characters.slice(from, length === null ? undefined : from + length).join('');
+        return { ...row, [newColumn]: part === '' ? null : part };
+    });
+    dataObject.meta.fields.push(newColumn);
+    typeTextColumns(dataObject, [newColumn]);
+    return dataObject;
+}
+
+/**
+ * Replaces text within the values of one or more columns, in place or, for one column, in a new
+ * column. "find" is plain text, or a regular expression with "regex", whose "replace" can use
+ * $1 for its groups. Text matching ignores case unless "matchCase" is set; with "wholeCell" only
+ * values that match entirely are replaced. Values left empty become empty cells.
+ * @param {Object} params - { columns | column, find, replace, regex, matchCase, wholeCell, newColumn }.
+ */
+function transformFindReplace(dataObject, params) {
+    const { find, replace = '', regex = false, matchCase = false, wholeCell = false, newColumn } = params;
+    if (typeof find !== 'string' || find === '') throw new Error('Give the text to look for in "find".');
+    const columns = resolveStepColumns(dataObject, params.columns ?? params.column);
+    if (newColumn !== undefined) {
+        if (columns.length > 1) throw new Error('A new column can hold the result of one column only.');
+        checkNewColumnNames(dataObject, [newColumn]);
+    }
+    const source = regex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = compileTextPattern(wholeCell ? `^(?:${source})$` : source, matchCase ? 'g' : 'gi');
+    const replacement = regex ? String(replace ?? '') : () => String(replace ?? '');
+
+    const changed = new Set();
+    dataObject.data = dataObject.data.map(row => {
+        const newRow = { ...row };
+        columns.forEach(column => {
+            const value = row[column];
+            if (!isFilledCell(value)) {
+                if (newColumn !== undefined) newRow[newColumn] = null;
+                return;
             }
-            default:
-                 return { success: false, message: `Unsupported transformation action: ${config.action}` };
-        }
-    } catch (error) {
-        return { success: false, message: error.message };
+            const text = String(value);
+            const replaced = text.replace(pattern, replacement);
+            if (replaced !== text) changed.add(column);
+            const target = newColumn ?? column;
+            newRow[target] = replaced === text && newColumn === undefined ? value : (replaced === '' ? null : replaced);
+        });
+        return newRow;
+    });
+    if (newColumn !== undefined) {
+        dataObject.meta.fields.push(newColumn);
+        typeTextColumns(dataObject, [newColumn]);
+    } else {
+        // Columns without a match keep their values and types.
+        typeTextColumns(dataObject, columns.filter(column => changed.has(column)));
     }
+    return dataObject;
 }
 
-// --- Modular Transformation & Analysis Functions ---
+const BIN_METHODS = ['equal_width', 'quantile', 'custom'];
+const DEFAULT_BIN_COUNT = 5;
 
-function transformRemoveRows(dataObject, conditions) {
-    const checkCondition = (row, condition) => {
-        const { column, operator, value } = condition;
-        const rowValue = row[column];
-        if (rowValue === undefined) return false;
-        const numericRowValue = parseFloat(String(rowValue).replace(/,/g, ''));
-        const numericValue = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
-        switch (operator) {
-            case 'equals': return rowValue == value;
-            case 'not_equals': return rowValue != value;
-            case 'greater_than': return !isNaN(numericRowValue) && !isNaN(numericValue) && numericRowValue > numericValue;
-            case 'less_than': return !isNaN(numericRowValue) && !isNaN(numericValue) && numericRowValue < numericValue;
-            case 'contains': return String(rowValue).toLowerCase().includes(String(value).toLowerCase());
-            default: return false;
+function formatBinEdge(edge) {
+    return Number.isInteger(edge) ? String(edge) : String(Number(edge.toFixed(2)));
+}
+
+/**
+ * Works out the edges of a bin_column step from the column's numbers.
+ * @returns {Array<number>} Ascending edges; bin i holds values from edges[i] up to edges[i + 1].
+ */
+function getBinEdges(numbers, params) {
+    const { method = 'equal_width', bins = DEFAULT_BIN_COUNT, edges, openEnded = false } = params;
+    if (method === 'custom') {
+        if (!Array.isArray(edges) || edges.length < 2 || edges.some(edge => typeof edge !== 'number' || !Number.isFinite(edge))) {
+            throw new Error('Custom bins need at least two numeric edges, e.g. [0, 18, 35, 65].');
         }
+        const sorted = Array.from(new Set(edges)).sort((a, b) => a - b);
+        // Open ends catch the values below the first edge and above the last one.
+        return openEnded ? [-Infinity, ...sorted, Infinity] : sorted;
+    }
+
+    const count = Math.max(1, Math.round(Number(bins)) || DEFAULT_BIN_COUNT);
+    if (numbers.length === 0) throw new Error('The column has no numbers to bin.');
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    if (min === max) return [min, max];
+
+    if (method === 'equal_width') {
+        const width = (max - min) / count;
+        return Array.from({ length: count + 1 }, (_, i) => i === count ? max : min + i * width);
+    }
+    // Quantile edges; repeated values can make edges coincide, which merges those bins.
+    const quantile = (q) => {
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        return sorted[lower] + (sorted[Math.min(lower + 1, sorted.length - 1)] - sorted[lower]) * (position - lower);
     };
-    dataObject.data = dataObject.data.filter(row => !conditions.every(cond => checkCondition(row, cond)));
-    return dataObject;
+    return Array.from(new Set(Array.from({ length: count + 1 }, (_, i) => quantile(i / count))));
 }
 
-function transformExtractDatetime(dataObject, params) {
-    const { sourceColumn, part, newColumn } = params;
-    
-    dataObject.data = dataObject.data.map(row => {
-        const val = row[sourceColumn];
-        let dateObj = null;
-        
-        // Attempt to parse date
-        if (val instanceof Date) {
-            dateObj = val;
-        } else if (typeof val === 'string') {
-            // Try standard parser
-            const parsed = Date.parse(val);
-            if (!isNaN(parsed)) {
-                dateObj = new Date(parsed);
-            } else {
-                // Handle simple time strings "HH:MM:SS" by creating a dummy date
-                const timeMatch = val.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
-                if (timeMatch) {
-                    dateObj = new Date();
-                    dateObj.setHours(parseInt(timeMatch[1], 10));
-                    dateObj.setMinutes(parseInt(timeMatch[2], 10));
-                    dateObj.setSeconds(parseInt(timeMatch[3] || 0, 10));
-                }
-            }
+/**
+ * Buckets a numeric column into ranges, in a new column: equal-width bins between the minimum and
+ * maximum, quantile bins holding about as many rows each, or bins between custom edges. Bins
+ * include their lower edge but not their upper one, except the last, which includes both.
+ * Labels default to the range ("18–35", "< 18", "65+"). Empty cells and values outside custom
+ * edges stay empty. The labels' order is kept so charts list the bins in order.
+ * @param {Object} params - { column, newColumn, method, bins, edges, openEnded, labels }.
+ */
+function transformBinColumn(dataObject, params) {
+    const { newColumn, method = 'equal_width', labels } = params;
+    if (!BIN_METHODS.includes(method)) {
+        throw new Error(`Unsupported binning method "${method}". Use one of: ${BIN_METHODS.join(', ')}.`);
+    }
+    if (!newColumn) throw new Error('Name the new column the bins go in.');
+    if (dataObject.meta.fields.includes(newColumn)) throw new Error(`Column "${newColumn}" already exists.`);
+    const [column] = resolveStepColumns(dataObject, params.column);
+
+    const toNumber = (value) => isFilledCell(value) ? (typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''))) : NaN;
+    const numbers = dataObject.data.map(row => toNumber(row[column])).filter(num => !isNaN(num));
+    const edges = getBinEdges(numbers, params);
+    const binCount = Math.max(1, edges.length - 1);
+
+    let binLabels;
+    if (labels !== undefined && labels !== null) {
+        if (!Array.isArray(labels) || labels.length !== binCount) {
+            throw new Error(`Give one label per bin: there are ${binCount} bin(s) but ${Array.isArray(labels) ? labels.length : 0} label(s).`);
         }
+        binLabels = labels.map(String);
+    } else {
+        binLabels = Array.from({ length: binCount }, (_, i) => {
+            const lower = edges[i];
+            const upper = edges[Math.min(i + 1, edges.length - 1)];
+            if (lower === -Infinity) return `< ${formatBinEdge(upper)}`;
+            if (upper === Infinity) return `${formatBinEdge(lower)}+`;
+            return lower === upper ? formatBinEdge(lower) : `${formatBinEdge(lower)}–${formatBinEdge(upper)}`;
+        });
+    }
 
-        let newValue = null;
-        if (dateObj) {
-            switch(part) {
-                case 'year': newValue = dateObj.getFullYear(); break;
-                case 'month': newValue = dateObj.getMonth() + 1; break; // 1-based
-                case 'day': newValue = dateObj.getDate(); break;
-                case 'hour': newValue = dateObj.getHours(); break;
-                case 'minute': newValue = dateObj.getMinutes(); break;
-                case 'day_of_week': newValue = dateObj.getDay(); break; // 0=Sun, 6=Sat
-            }
+    const last = edges[edges.length - 1];
+    const findBin = (num) => {
+        if (num < edges[0] || num > last) return null;
+        if (num === last) return binCount - 1;
+        // Binary search for the last edge at or below the value.
+        let low = 0;
+        let high = edges.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (edges[middle] <= num) low = middle; else high = middle;
         }
-        
-        return { ...row, [newColumn]: newValue };
+        return low;
+    };
+
+    dataObject.data = dataObject.data.map(row => {
+        const num = toNumber(row[column]);
+        const bin = isNaN(num) ? null : findBin(num);
+        return { ...row, [newColumn]: bin === null ? null : binLabels[bin] };
     });
-    
     dataObject.meta.fields.push(newColumn);
-    dataObject.meta.inferredTypes[newColumn] = 'numerical'; // Extracted parts are numbers
+    dataObject.meta.inferredTypes[newColumn] = 'categorical';
+    dataObject.meta.categoryOrders = { ...dataObject.meta.categoryOrders, [newColumn]: Array.from(new Set(binLabels)) };
     return dataObject;
 }
 
-
-function transformCreateColumn(dataObject, params) {
-    const { newColumn, column1, operator, column2, value } = params;
-    
-    dataObject.data = dataObject.data.map(row => {
-        // Parse first operand
-        const val1 = parseFloat(String(row[column1]).replace(/,/g, ''));
-        
-        // Parse second operand (either column value or constant value)
-        let val2;
-        if (value !== undefined && value !== null) {
-            val2 = Number(value);
-        } else if (column2) {
-             val2 = parseFloat(String(row[column2]).replace(/,/g, ''));
+/**
+ * Labels each row with the first case whose conditions it meets, e.g. "High" when Margin is
+ * greater than 0.3, "Medium" when greater than 0.1, otherwise "Low". A case's conditions must
+ * all hold, as in remove_rows. The labels keep the cases' order so charts list them in order.
+ * @param {Object} params - { newColumn, cases: [{ conditions, label }], else }.
+ */
+function transformCaseWhen(dataObject, params) {
+    const { newColumn, cases } = params;
+    const otherwise = params.else === undefined ? null : params.else;
+    if (!newColumn) throw new Error('Name the new column the labels go in.');
+    if (dataObject.meta.fields.includes(newColumn)) throw new Error(`Column "${newColumn}" already exists.`);
+    if (!Array.isArray(cases) || cases.length === 0) throw new Error('Give at least one case with conditions and a label.');
+
+    const resolvedCases = cases.map((entry, index) => {
+        if (!entry || !Array.isArray(entry.conditions) || entry.conditions.length === 0 || entry.label === undefined) {
+            throw new Error(`Case ${index + 1} needs a list of conditions and a label.`);
         }
+        return { conditions: resolveConditions(dataObject, entry.conditions), label: entry.label };
+    });
 
-        let newValue = null;
-        if (!isNaN(val1)) {
-            // Unary operators
-            if (operator === 'floor') newValue = Math.floor(val1);
-            else if (operator === 'ceil') newValue = Math.ceil(val1);
-            else if (operator === 'round') newValue = Math.round(val1);
-            // Binary operators
-            else if (!isNaN(val2)) {
-                switch (operator) {
-                    case 'add': newValue = val1 + val2; break;
-                    case 'subtract': newValue = val1 - val2; break;
-                    case 'multiply': newValue = val1 * val2; break;
-                    case 'divide': newValue = val2 !== 0 ? (val1 / val2) : null; break;
-                    case 'modulus': newValue = val2 !== 0 ? (val1 % val2) : null; break;
-                }
-            }
-        }
-        return { ...row, [newColumn]: newValue };
+    dataObject.data = dataObject.data.map(row => {
+        const match = resolvedCases.find(entry => matchesConditions(row, entry.conditions));
+        return { ...row, [newColumn]: match ? match.label : otherwise };
     });
-    
+
+    const labels = [...resolvedCases.map(entry => entry.label), otherwise].filter(label => label !== null);
     dataObject.meta.fields.push(newColumn);
-    dataObject.meta.inferredTypes[newColumn] = 'numerical';
+    dataObject.meta.inferredTypes[newColumn] = labels.every(label => typeof label === 'number') ? 'numerical' : 'categorical';
+    dataObject.meta.categoryOrders = { ...dataObject.meta.categoryOrders, [newColumn]: Array.from(new Set(labels.map(String))) };
     return dataObject;
 }
 
-function transformRenameColumn(dataObject, params) {
-    const { oldColumn, newColumn } = params;
-    dataObject.data = dataObject.data.map(row => {
-        if (Object.prototype.hasOwnProperty.call(row, oldColumn)) {
-            row[newColumn] = row[oldColumn];
-            delete row[oldColumn];
-        }
-        return row;
-    });
-    const oldColumnIndex = dataObject.meta.fields.indexOf(oldColumn);
-    if (oldColumnIndex > -1) {
-        dataObject.meta.fields[oldColumnIndex] = newColumn;
-    }
-    return dataObject;
+/**
+ * The type of an aggregated column: counts are whole numbers; percentages and currencies stay
+ * what they were, and other sums, averages and extremes are plain numbers.
+ */
+function getAggregateResultType(aggregation, sourceType) {
+    if (aggregation === 'count') return 'integer';
+    if (sourceType === 'percentage' || sourceType === 'currency') return sourceType;
+    return 'numerical';
 }
 
 function executeAggregate(dataObject, params) {
@@ -1674,14 +6661,509 @@ function executeAggregate(dataObject, params) {
     });
     // Set types for aggregated columns
     aggregations.forEach(agg => {
-        newInferredTypes[agg.newColumn] = 'numerical';
+        const sourceType = dataObject.meta.inferredTypes && dataObject.meta.inferredTypes[agg.column];
+        newInferredTypes[agg.newColumn] = getAggregateResultType(agg.type, sourceType);
+    });
+
+    // Sums, averages and extremes keep the currency or unit of the column they summarize; counts don't.
+    const sourceFormats = dataObject.meta.numberFormats || {};
+    const newNumberFormats = {};
+    groupByCols.forEach(col => {
+        if (sourceFormats[col]) newNumberFormats[col] = sourceFormats[col];
+    });
+    aggregations.forEach(agg => {
+        if (agg.type !== 'count' && sourceFormats[agg.column]) newNumberFormats[agg.newColumn] = sourceFormats[agg.column];
+    });
+    const sourceDateFormats = dataObject.meta.dateFormats || {};
+    const sourceCategoryOrders = dataObject.meta.categoryOrders || {};
+    const newDateFormats = {};
+    const newCategoryOrders = {};
+    groupByCols.forEach(col => {
+        if (sourceDateFormats[col]) newDateFormats[col] = sourceDateFormats[col];
+        if (sourceCategoryOrders[col]) newCategoryOrders[col] = sourceCategoryOrders[col];
     });
 
     return {
         data: aggregatedData,
         meta: { 
             fields: outputFields,
-            inferredTypes: newInferredTypes
+            inferredTypes: newInferredTypes,
+            numberFormats: newNumberFormats,
+            dateFormats: newDateFormats,
+            categoryOrders: newCategoryOrders
+        }
+    };
+}
+
+const PIVOT_AGGREGATIONS = ['sum', 'average', 'count', 'min', 'max'];
+const MAX_PIVOT_COLUMNS = 200; // Distinct values a pivot may spread into columns
+
+/**
+ * Keeps the formats, orders and type overrides of the columns a reshaped table carries over.
+ */
+function pickColumnMeta(meta, columns) {
+    const pick = (source) => Object.fromEntries(columns.filter(col => source && source[col]).map(col => [col, source[col]]));
+    return {
+        inferredTypes: Object.fromEntries(columns.map(col => [col, meta.inferredTypes[col] || 'string'])),
+        numberFormats: pick(meta.numberFormats),
+        dateFormats: pick(meta.dateFormats),
+        typeOverrides: pick(meta.typeOverrides),
+        categoryOrders: pick(meta.categoryOrders)
+    };
+}
+
+/**
+ * Turns long data into a cross-tab: one row per combination of the index columns and one column
+ * per value of the `columns` column, e.g. Sales by Region with a column per Month. Each cell
+ * aggregates the matching rows (sum by default); combinations without rows stay empty, or 0 when
+ * counting. Rows and new columns are ordered the way a chart would order their labels.
+ * @param {Object} params - { index, columns, values, aggregation }.
+ */
+function transformPivot(dataObject, params) {
+    const { aggregation = 'sum' } = params;
+    if (!PIVOT_AGGREGATIONS.includes(aggregation)) {
+        throw new Error(`Unsupported pivot aggregation "${aggregation}". Use one of: ${PIVOT_AGGREGATIONS.join(', ')}.`);
+    }
+    const { meta } = dataObject;
+    if ([].concat(params.columns ?? []).length > 1) {
+        throw new Error('A pivot spreads the values of one column into columns; name a single column in "columns".');
+    }
+    const [pivotColumn] = resolveStepColumns(dataObject, params.columns);
+    const index = [].concat(params.index ?? []).length > 0 ? resolveStepColumns(dataObject, params.index) : [];
+    const hasValues = isFilledCell(params.values);
+    const valueColumn = hasValues ? resolveStepColumns(dataObject, params.values)[0] : null;
+    if (!valueColumn && aggregation !== 'count') {
+        throw new Error('Name the column whose values fill the table in "values", or count rows with the "count" aggregation.');
+    }
+    if (index.includes(pivotColumn)) throw new Error(`"${pivotColumn}" cannot be both an index column and the column spread into columns.`);
+
+    const headers = Array.from(new Set(dataObject.data.map(row => row[pivotColumn]).filter(isFilledCell).map(String)))
+        .sort(getAxisComparator(meta, pivotColumn));
+    if (headers.length === 0) throw new Error(`Column "${pivotColumn}" has no values to spread into columns.`);
+    if (headers.length > MAX_PIVOT_COLUMNS) {
+        throw new Error(`Column "${pivotColumn}" has ${headers.length} distinct values; a pivot can spread at most ${MAX_PIVOT_COLUMNS} into columns. Bin or filter it first.`);
+    }
+    const clash = headers.find(header => index.includes(header));
+    if (clash !== undefined) throw new Error(`The value "${clash}" of "${pivotColumn}" would clash with the index column of the same name.`);
+
+    const toNumber = (value) => typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    const groups = new Map();
+    dataObject.data.forEach(row => {
+        const keyValues = index.map(col => row[col]);
+        // Like aggregate, rows missing an index value belong to no group.
+        if (keyValues.some(k => k === undefined || k === null) || !isFilledCell(row[pivotColumn])) return;
+        const key = JSON.stringify(keyValues);
+        if (!groups.has(key)) groups.set(key, { keyValues, cells: new Map() });
+        const { cells } = groups.get(key);
+        const header = String(row[pivotColumn]);
+        if (!cells.has(header)) cells.set(header, { sum: 0, min: Infinity, max: -Infinity, count: 0 });
+        const stats = cells.get(header);
+
+        if (aggregation === 'count') {
+            if (!valueColumn || isFilledCell(row[valueColumn])) stats.count++;
+            return;
+        }
+        const num = isFilledCell(row[valueColumn]) ? toNumber(row[valueColumn]) : NaN;
+        if (!isNaN(num)) {
+            stats.sum += num;
+            stats.min = Math.min(stats.min, num);
+            stats.max = Math.max(stats.max, num);
+            stats.count++;
+        }
+    });
+
+    const finishCell = (stats) => {
+        if (aggregation === 'count') return stats ? stats.count : 0;
+        if (!stats || stats.count === 0) return null;
+        switch (aggregation) {
+            case 'sum': return stats.sum;
+            case 'average': return stats.sum / stats.count;
+            case 'min': return stats.min;
+            default: return stats.max;
+        }
+    };
+    const comparators = index.map(col => getAxisComparator(meta, col));
+    const data = Array.from(groups.values())
+        .sort((a, b) => {
+            for (let i = 0; i < index.length; i++) {
+                const order = comparators[i](a.keyValues[i], b.keyValues[i]);
+                if (order !== 0) return order;
+            }
+            return 0;
+        })
+        .map(({ keyValues, cells }) => {
+            const row = {};
+            index.forEach((col, i) => { row[col] = keyValues[i]; });
+            headers.forEach(header => { row[header] = finishCell(cells.get(header)); });
+            return row;
+        });
+
+    const newMeta = pickColumnMeta(meta, index);
+    const valueType = getAggregateResultType(aggregation, valueColumn && meta.inferredTypes[valueColumn]);
+    const valueFormat = aggregation !== 'count' && meta.numberFormats && meta.numberFormats[valueColumn];
+    headers.forEach(header => {
+        newMeta.inferredTypes[header] = valueType;
+        if (valueFormat) newMeta.numberFormats[header] = valueFormat;
+    });
+    return {
+        data,
+        meta: {
+            fields: [...index, ...headers],
+            ...newMeta,
+            ...(meta.sample ? { sample: meta.sample } : {})
+        }
+    };
+}
+
+/**
+ * Turns wide data into long data (a "melt"): each listed column becomes a row holding the column's
+ * name and its value, next to the id columns, so a sheet with a column per month can be trended.
+ * The names keep the columns' order. Cells are kept even when empty unless dropEmpty is set.
+ * @param {Object} params - { columns, idColumns, variableColumn, valueColumn, dropEmpty }.
+ */
+function transformUnpivot(dataObject, params) {
+    const { variableColumn = 'Variable', valueColumn = 'Value', dropEmpty = false } = params;
+    const { meta } = dataObject;
+    const hasColumns = [].concat(params.columns ?? []).length > 0;
+    const hasIds = [].concat(params.idColumns ?? []).length > 0;
+    if (!hasColumns && !hasIds) throw new Error('Name the columns to unpivot, or the id columns to keep.');
+    const idColumns = hasIds ? resolveStepColumns(dataObject, params.idColumns) : [];
+    const columns = hasColumns
+        ? resolveStepColumns(dataObject, params.columns)
+        : meta.fields.filter(field => !idColumns.includes(field));
+    const ids = hasIds ? idColumns : meta.fields.filter(field => !columns.includes(field));
+    if (columns.length === 0) throw new Error('There are no columns left to unpivot.');
+    const overlap = columns.find(column => ids.includes(column));
+    if (overlap) throw new Error(`"${overlap}" cannot be both an id column and a column to unpivot.`);
+    if (variableColumn === valueColumn) throw new Error('The name and value columns need different names.');
+    [variableColumn, valueColumn].forEach(name => {
+        if (ids.includes(name)) throw new Error(`Column "${name}" already exists; choose another name for the unpivoted column.`);
+    });
+
+    const data = [];
+    dataObject.data.forEach(row => {
+        columns.forEach(column => {
+            if (dropEmpty && !isFilledCell(row[column])) return;
+            const record = {};
+            ids.forEach(id => { record[id] = row[id]; });
+            record[variableColumn] = column;
+            record[valueColumn] = row[column] === undefined ? null : row[column];
+            data.push(record);
+        });
+    });
+
+    const newMeta = pickColumnMeta(meta, ids);
+    // Column names such as "2023" or "2024-01" read as dates; others keep the columns' order.
+    const variableType = inferColumnType(variableColumn, columns);
+    if (variableType === 'temporal') {
+        newMeta.inferredTypes[variableColumn] = 'temporal';
+    } else {
+        newMeta.inferredTypes[variableColumn] = 'categorical';
+        newMeta.categoryOrders[variableColumn] = [...columns];
+    }
+
+    // The values keep their columns' type and format when the columns agree on them.
+    const shared = (source) => {
+        const values = columns.map(column => source && source[column] ? JSON.stringify(source[column]) : null);
+        return values.every(value => value !== null && value === values[0]) ? JSON.parse(values[0]) : null;
+    };
+    const numberFormat = shared(meta.numberFormats);
+    const dateFormat = shared(meta.dateFormats);
+    if (numberFormat) newMeta.numberFormats[valueColumn] = numberFormat;
+    if (dateFormat) newMeta.dateFormats[valueColumn] = dateFormat;
+    const filled = sampleRows(data, INFERENCE_SAMPLE_SIZE).map(record => record[valueColumn]).filter(isFilledCell);
+    newMeta.inferredTypes[valueColumn] = shared(meta.inferredTypes)
+        || inferColumnType(valueColumn, filled, numberFormat || undefined, dateFormat || undefined);
+
+    return {
+        data,
+        meta: {
+            fields: [...ids, variableColumn, valueColumn],
+            ...newMeta,
+            ...(meta.sample ? { sample: meta.sample } : {})
+        }
+    };
+}
+
+const WINDOW_FUNCTIONS = ['cumulative_sum', 'moving_average', 'row_number', 'rank', 'dense_rank', 'lag', 'lead', 'percent_change'];
+const RANKING_WINDOW_FUNCTIONS = ['row_number', 'rank', 'dense_rank']; // Read only the row order, not a column
+const DEFAULT_MOVING_AVERAGE_SIZE = 3;
+
+/**
+ * Adds columns calculated over each row's window: the rows of its partition (the rows sharing its
+ * partitionBy values) in orderBy order. Supports running totals, moving averages over the last
+ * `size` rows, row numbers, ranks (tied rows, equal on every orderBy column, share a rank), the
+ * value `offset` rows before (lag) or after (lead), and the change from `offset` rows before as a
+ * fraction (percent_change). Rows without an earlier or later row get an empty cell. The rows
+ * keep their order in the data.
+ * @param {Object} params - { partitionBy, orderBy: [{ column, order }], functions: [{ type, column, newColumn, size, offset }] }.
+ */
+function transformWindow(dataObject, params) {
+    const { meta } = dataObject;
+    const partitionBy = [].concat(params.partitionBy ?? []).length > 0 ? resolveStepColumns(dataObject, params.partitionBy) : [];
+    const orderBy = [].concat(params.orderBy ?? []).map(entry => {
+        const { column, order = 'ascending' } = typeof entry === 'string' ? { column: entry } : (entry || {});
+        if (!['ascending', 'descending'].includes(order)) {
+            throw new Error(`Unsupported sort order "${order}". Use 'ascending' or 'descending'.`);
+        }
+        return { column: resolveStepColumns(dataObject, column)[0], order };
+    });
+    const functions = [].concat(params.functions ?? []);
+    if (functions.length === 0) {
+        throw new Error('Give at least one window function, e.g. { "type": "cumulative_sum", "column": "Sales", "newColumn": "Running Sales" }.');
+    }
+
+    const windowFunctions = functions.map((fn, index) => {
+        const { type, newColumn, size = DEFAULT_MOVING_AVERAGE_SIZE, offset = 1 } = fn || {};
+        if (!WINDOW_FUNCTIONS.includes(type)) {
+            throw new Error(`Unsupported window function "${type}". Use one of: ${WINDOW_FUNCTIONS.join(', ')}.`);
+        }
+        if (!newColumn) throw new Error(`Name the new column of window function ${index + 1} (${type}).`);
+        if (meta.fields.includes(newColumn) || functions.slice(0, index).some(other => other && other.newColumn === newColumn)) {
+            throw new Error(`Column "${newColumn}" already exists.`);
+        }
+        if ((type === 'rank' || type === 'dense_rank') && orderBy.length === 0) {
+            throw new Error(`${type} needs an orderBy column to rank the rows by.`);
+        }
+        if (type === 'moving_average' && !(Number.isInteger(size) && size >= 1)) {
+            throw new Error('A moving average needs a window size of at least 1 row.');
+        }
+        if (!(Number.isInteger(offset) && offset >= 1)) throw new Error(`The ${type} offset must be a whole number of rows, at least 1.`);
+        const column = RANKING_WINDOW_FUNCTIONS.includes(type) ? null : resolveStepColumns(dataObject, fn.column)[0];
+        return { type, column, newColumn, size, offset };
+    });
+
+    // Empty values sort last in either direction.
+    const comparators = orderBy.map(({ column, order }) => {
+        const compare = getAxisComparator(meta, column);
+        const direction = order === 'descending' ? -1 : 1;
+        return (a, b) => {
+            const emptyA = !isFilledCell(a[column]);
+            const emptyB = !isFilledCell(b[column]);
+            if (emptyA || emptyB) return Number(emptyA) - Number(emptyB);
+            return direction * compare(a[column], b[column]);
+        };
+    });
+    const compareRows = (a, b) => {
+        for (const compare of comparators) {
+            const order = compare(a, b);
+            if (order !== 0) return order;
+        }
+        return 0;
+    };
+
+    const { data } = dataObject;
+    const partitions = new Map();
+    data.forEach((row, position) => {
+        const key = JSON.stringify(partitionBy.map(col => row[col] ?? null));
+        if (!partitions.has(key)) partitions.set(key, []);
+        partitions.get(key).push(position);
+    });
+
+    const toNumber = (value) => isFilledCell(value) ? (typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''))) : NaN;
+    const results = windowFunctions.map(() => new Array(data.length).fill(null));
+    partitions.forEach(positions => {
+        // The sort is stable, so rows tied on every orderBy column keep their order in the data.
+        const rows = positions.sort((a, b) => compareRows(data[a], data[b]));
+        windowFunctions.forEach((fn, f) => {
+            const out = results[f];
+            const numbers = fn.column ? rows.map(position => toNumber(data[position][fn.column])) : [];
+            let running = null;
+            let rank = 0;
+            let denseRank = 0;
+            rows.forEach((position, i) => {
+                switch (fn.type) {
+                    case 'row_number':
+                        out[position] = i + 1;
+                        break;
+                    case 'rank':
+                    case 'dense_rank':
+                        if (i === 0 || compareRows(data[rows[i - 1]], data[position]) !== 0) {
+                            rank = i + 1;
+                            denseRank++;
+                        }
+                        out[position] = fn.type === 'rank' ? rank : denseRank;
+                        break;
+                    case 'cumulative_sum':
+                        if (!isNaN(numbers[i])) running = (running ?? 0) + numbers[i];
+                        out[position] = running;
+                        break;
+                    case 'moving_average': {
+                        const windowNumbers = numbers.slice(Math.max(0, i - fn.size + 1), i + 1).filter(num => !isNaN(num));
+                        out[position] = windowNumbers.length > 0 ? windowNumbers.reduce((sum, num) => sum + num, 0) / windowNumbers.length : null;
+                        break;
+                    }
+                    case 'lag':
+                    case 'lead': {
+                        const other = rows[fn.type === 'lag' ? i - fn.offset : i + fn.offset];
+                        out[position] = other !== undefined && isFilledCell(data[other][fn.column]) ? data[other][fn.column] : null;
+                        break;
+                    }
+                    default: {
+                        // percent_change, relative to the size of the earlier value so a loss shrinking reads as growth.
+                        const previous = i >= fn.offset ? numbers[i - fn.offset] : NaN;
+                        out[position] = isNaN(previous) || isNaN(numbers[i]) || previous === 0 ? null : (numbers[i] - previous) / Math.abs(previous);
+                    }
+                }
+            });
+        });
+    });
+
+    dataObject.data = data.map((row, position) => {
+        const copy = { ...row };
+        windowFunctions.forEach((fn, f) => { copy[fn.newColumn] = results[f][position]; });
+        return copy;
+    });
+
+    windowFunctions.forEach(({ type, column, newColumn }) => {
+        meta.fields.push(newColumn);
+        const sourceType = column && meta.inferredTypes[column];
+        const sourceFormat = column && meta.numberFormats && meta.numberFormats[column];
+        if (RANKING_WINDOW_FUNCTIONS.includes(type)) {
+            meta.inferredTypes[newColumn] = 'integer';
+        } else if (type === 'percent_change') {
+            meta.inferredTypes[newColumn] = 'percentage';
+            meta.numberFormats = { ...meta.numberFormats, [newColumn]: { decimal: '.', currency: null, unit: null, percent: true } };
+        } else if (type === 'lag' || type === 'lead') {
+            // The earlier or later value is read exactly like the column it comes from.
+            meta.inferredTypes[newColumn] = sourceType || 'string';
+            ['numberFormats', 'dateFormats', 'categoryOrders'].forEach(key => {
+                if (meta[key] && meta[key][column]) meta[key] = { ...meta[key], [newColumn]: meta[key][column] };
+            });
+        } else {
+            meta.inferredTypes[newColumn] = getAggregateResultType(type === 'cumulative_sum' ? 'sum' : 'average', sourceType);
+            if (sourceFormat) meta.numberFormats = { ...meta.numberFormats, [newColumn]: sourceFormat };
+        }
+    });
+    return dataObject;
+}
+
+const JOIN_TYPES = ['inner', 'left', 'right', 'full'];
+
+/**
+ * Joins another workspace dataset onto the given data on one or more key columns.
+ * Keys are compared as trimmed strings, so 42 and "42" match. Right-hand columns whose
+ * names clash with existing ones are suffixed (default "_right").
+ * @param {Object} dataObject - The left-hand { data, meta } object.
+ * @param {Object} params - { dataset, type, on | leftOn + rightOn, suffix }.
+ * @returns {Object} A new data object with the merged schema and inferred types.
+ */
+function executeJoin(dataObject, params) {
+    const { dataset, type = 'inner', on, leftOn, rightOn, suffix = 'right' } = params;
+
+    const rightEntry = findDatasetByName(dataset);
+    if (!rightEntry) {
+        throw new Error(`Dataset "${dataset}" is not in the workspace. Available datasets: [${datasets.map(d => d.name).join(', ')}]`);
+    }
+    if (!JOIN_TYPES.includes(type)) {
+        throw new Error(`Unsupported join type "${type}". Use one of: ${JOIN_TYPES.join(', ')}.`);
+    }
+    const rightData = getDatasetData(rightEntry);
+
+    const toArray = (value) => value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value]);
+    const resolveKeys = (names, fields, side) => names.map(name => {
+        const match = findMatchingColumn(name, fields);
+        if (!match) throw new Error(`Join key "${name}" not found in the ${side} dataset.`);
+        return match;
+    });
+
+    const leftKeys = resolveKeys(toArray(leftOn || on), dataObject.meta.fields, 'current');
+    const rightKeys = resolveKeys(toArray(rightOn || on), rightData.meta.fields, `"${rightEntry.name}"`);
+    if (leftKeys.length === 0 || leftKeys.length !== rightKeys.length) {
+        throw new Error('A join needs the same number of key columns (at least one) on both sides.');
+    }
+
+    // Right-hand key columns that share the left key's name are merged into it instead of duplicated.
+    const mergedKeys = new Set(rightKeys.filter((key, i) => key === leftKeys[i]));
+    const leftFields = dataObject.meta.fields;
+    const usedNames = new Set(leftFields);
+    const rightColumns = rightData.meta.fields
+        .filter(field => !mergedKeys.has(field))
+        .map(field => {
+            let name = field;
+            let n = 2;
+            while (usedNames.has(name)) {
+                name = n === 2 ? `${field}_${suffix}` : `${field}_${suffix}${n - 1}`;
+                n++;
+            }
+            usedNames.add(name);
+            return { source: field, name };
+        });
+
+    const keyOf = (row, keys) => {
+        const parts = keys.map(k => row[k] === undefined || row[k] === null ? '' : String(row[k]).trim());
+        return parts.some(part => part === '') ? null : parts.join('::');
+    };
+
+    const rightIndex = new Map();
+    rightData.data.forEach((row, i) => {
+        const key = keyOf(row, rightKeys);
+        if (key === null) return;
+        if (!rightIndex.has(key)) rightIndex.set(key, []);
+        rightIndex.get(key).push(i);
+    });
+
+    const pickRight = (row) => {
+        const picked = {};
+        rightColumns.forEach(({ source, name }) => {
+            picked[name] = row ? row[source] : null;
+        });
+        return picked;
+    };
+
+    const joined = [];
+    const matchedRight = new Set();
+    dataObject.data.forEach(leftRow => {
+        const key = keyOf(leftRow, leftKeys);
+        const matches = key === null ? [] : (rightIndex.get(key) || []);
+        if (matches.length > 0) {
+            matches.forEach(i => {
+                matchedRight.add(i);
+                joined.push({ ...leftRow, ...pickRight(rightData.data[i]) });
+            });
+        } else if (type === 'left' || type === 'full') {
+            joined.push({ ...leftRow, ...pickRight(null) });
+        }
+    });
+
+    if (type === 'right' || type === 'full') {
+        rightData.data.forEach((rightRow, i) => {
+            if (matchedRight.has(i)) return;
+            const row = {};
+            leftFields.forEach(field => { row[field] = null; });
+            // Carry the key values over so unmatched right rows still have their keys.
+            leftKeys.forEach((key, k) => { row[key] = rightRow[rightKeys[k]]; });
+            joined.push({ ...row, ...pickRight(rightRow) });
+        });
+    }
+
+    const inferredTypes = { ...dataObject.meta.inferredTypes };
+    const numberFormats = { ...dataObject.meta.numberFormats };
+    const dateFormats = { ...dataObject.meta.dateFormats };
+    const categoryOrders = { ...dataObject.meta.categoryOrders };
+    rightColumns.forEach(({ source, name }) => {
+        inferredTypes[name] = rightData.meta.inferredTypes[source] || 'string';
+        if (rightData.meta.numberFormats && rightData.meta.numberFormats[source]) {
+            numberFormats[name] = rightData.meta.numberFormats[source];
+        }
+        if (rightData.meta.dateFormats && rightData.meta.dateFormats[source]) {
+            dateFormats[name] = rightData.meta.dateFormats[source];
+        }
+        if (rightData.meta.categoryOrders && rightData.meta.categoryOrders[source]) {
+            categoryOrders[name] = rightData.meta.categoryOrders[source];
+        }
+    });
+
+    return {
+        ...dataObject,
+        data: joined,
+        meta: {
+            ...dataObject.meta,
+            fields: [...leftFields, ...rightColumns.map(col => col.name)],
+            inferredTypes,
+            numberFormats,
+            dateFormats,
+            categoryOrders
         }
     };
 }
@@ -2036,6 +7518,24 @@ function findMatchingColumn(aiColumnName, actualColumns) {
     return foundColumn || null;
 }
 
+/**
+ * Finds the number format to label a chart's values with, if its value column(s) have one.
+ * @param {Object} config - The chart configuration.
+ * @returns {Object|null} The shared number format of the plotted values.
+ */
+function getChartValueFormat(config) {
+    const numberFormats = activeData && activeData.meta.numberFormats;
+    if (!numberFormats || config.aggregation === 'count') return null;
+
+    const valueColumns = [].concat(['pie', 'donut'].includes(config.chartType) ? config.valueColumn : config.yAxisColumn).filter(Boolean);
+    const formats = valueColumns.map(col => numberFormats[findMatchingColumn(col, activeData.meta.fields)] || null);
+    if (formats.length === 0 || !formats[0]) return null;
+
+    // Series sharing one axis can only be labelled with one format.
+    const first = JSON.stringify(formats[0]);
+    return formats.every(format => JSON.stringify(format) === first) ? formats[0] : null;
+}
+
 function renderVisualization(config, canvasElement, precomputedData = null) {
     let chartData;
     let axisTitles;
@@ -2129,11 +7629,9 @@ function renderVisualization(config, canvasElement, precomputedData = null) {
                 const filterColumn = findMatchingColumn(labelColName, activeData.meta.fields);
 
                 if (filterColumn && clickedLabel) {
-                    const newFilter = { column: filterColumn, value: clickedLabel };
-                    const isDuplicate = stagedFilters.some(f => f.column === newFilter.column && f.value === newFilter.value);
-                    const isAlreadyActive = activeFilters.some(f => f.column === newFilter.column && f.value === newFilter.value);
+                    const newFilter = { column: filterColumn, operator: 'equals', value: clickedLabel };
 
-                    if (!isDuplicate && !isAlreadyActive) {
+                    if (!isFilterListed(stagedFilters, newFilter) && !isFilterListed(activeFilters, newFilter)) {
                         stagedFilters.push(newFilter);
                         updateStagingUi();
                     } else {
@@ -2202,6 +7700,21 @@ function renderVisualization(config, canvasElement, precomputedData = null) {
         } : {}
     };
 
+    // Show values with their currency, unit or percent sign.
+    const valueFormat = precomputedData ? null : getChartValueFormat(config);
+    if (valueFormat) {
+        const isPie = ['pie', 'donut'].includes(config.chartType);
+        options.plugins.tooltip.callbacks = {
+            label: (context) => {
+                const value = context.raw !== null && typeof context.raw === 'object' ? context.raw.y : context.raw;
+                return `${isPie ? context.label : context.dataset.label}: ${formatNumberValue(value, valueFormat)}`;
+            }
+        };
+        if (!isPie) {
+            options.scales.y.ticks.callback = (value) => formatNumberValue(value, valueFormat);
+        }
+    }
+
     const isZoomable = ['bar', 'line', 'area', 'scatter'].includes(config.chartType);
     if (isZoomable) {
         options.plugins.zoom = {
@@ -2228,6 +7741,38 @@ function renderVisualization(config, canvasElement, precomputedData = null) {
     chartInstances.set(canvasElement.id, newChartInstance);
 }
 
+/**
+ * Orders axis labels: stored dates, times and years chronologically, then other date text,
+ * then numbers, then text in natural order ("Q2" before "Q10").
+ */
+function compareAxisLabels(a, b) {
+    const timeA = toTimestamp(a);
+    const timeB = toTimestamp(b);
+    if (timeA !== null && timeB !== null) return timeA - timeB;
+
+    const numA = parseFloat(a);
+    const numB = parseFloat(b);
+    if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
+
+    // Labels that were never normalized, e.g. "Jan 2024"; DATE_LIKE_PATTERN keeps "Product 1" out.
+    const isDateText = (label) => typeof label === 'string' && DATE_LIKE_PATTERN.test(label) && !isNaN(Date.parse(label));
+    if (isDateText(a) && isDateText(b)) return Date.parse(a) - Date.parse(b);
+
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Picks how to order a column's labels on an axis: bucket columns made by bin_column or case_when
+ * keep their buckets' order ("0–10" before "10–20", "Low" before "High"); others use compareAxisLabels.
+ */
+function getAxisComparator(meta, column) {
+    const order = meta.categoryOrders && meta.categoryOrders[column];
+    if (!order) return compareAxisLabels;
+    const rank = new Map(order.map((label, index) => [label, index]));
+    const rankOf = (label) => rank.has(String(label)) ? rank.get(String(label)) : order.length;
+    return (a, b) => (rankOf(a) - rankOf(b)) || compareAxisLabels(a, b);
+}
+
 function prepareChartData(config) {
     const { data, meta } = activeData;
     const { chartType, xAxisColumn, yAxisColumn, seriesColumn, categoryColumn, valueColumn, aggregation } = config;
@@ -2269,16 +7814,8 @@ function prepareChartData(config) {
         // Since this is likely output from 'aggregate' where rows are unique per X, we can just map.
         // However, to be safe (and support sorting), we extract and sort.
         
-        const sortedData = [...data].sort((a, b) => {
-            const valA = a[labelCol];
-            const valB = b[labelCol];
-            // Sort dates or numbers or strings
-            const dA = new Date(valA), dB = new Date(valB);
-            if (!isNaN(dA) && !isNaN(dB)) return dA - dB;
-            const nA = parseFloat(valA), nB = parseFloat(valB);
-            if (!isNaN(nA) && !isNaN(nB)) return nA - nB;
-            return String(valA).localeCompare(String(valB));
-        });
+        const compareLabels = getAxisComparator(meta, labelCol);
+        const sortedData = [...data].sort((a, b) => compareLabels(a[labelCol], b[labelCol]));
 
         const labels = sortedData.map(row => row[labelCol]);
         
@@ -2386,19 +7923,12 @@ function prepareChartData(config) {
             });
 
             // Sort X Axis
-            const sortedX = Array.from(allX).sort((a, b) => {
-                const dateA = new Date(a);
-                const dateB = new Date(b);
-                if (!isNaN(dateA.getTime()) && !isNaN(dateB.getTime())) {
-                    return dateA - dateB;
-                }
-                const numA = parseFloat(a);
-                const numB = parseFloat(b);
-                if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
-                return String(a).localeCompare(String(b));
-            });
+            const sortedX = Array.from(allX).sort(getAxisComparator(meta, labelCol));
+            // Bucketed series read in bucket order in the legend too.
+            const seriesNames = Object.keys(seriesMap);
+            if (meta.categoryOrders && meta.categoryOrders[seriesCol]) seriesNames.sort(getAxisComparator(meta, seriesCol));
 
-            const datasets = Object.keys(seriesMap).map((seriesName, index) => {
+            const datasets = seriesNames.map((seriesName, index) => {
                 const dataPoints = sortedX.map(x => seriesMap[seriesName][x] || 0);
                 const color = colors[index % colors.length];
                 
@@ -2492,32 +8022,26 @@ function prepareChartData(config) {
         
         // Convert aggregated data to an array for intelligent sorting.
         let allItems = Object.entries(aggregated);
+        // Bars over dates or years read as a time series, so they keep time order and every period.
+        const isTimeAxis = meta.inferredTypes[labelCol] === 'temporal' && !['pie', 'donut'].includes(chartType);
+        // Buckets (age groups, tiers) likewise keep their natural order and every bucket.
+        const isOrderedAxis = isTimeAxis || Boolean(meta.categoryOrders && meta.categoryOrders[labelCol]);
 
         // Apply common-sense sorting for graceful presentation.
-        if (['bar', 'pie', 'donut'].includes(chartType)) {
+        if (['bar', 'pie', 'donut'].includes(chartType) && !isOrderedAxis) {
             // For categorical charts, sort by value (descending) to show the most impactful items first.
             allItems.sort(([, a], [, b]) => b - a);
-        } else if (['line', 'area'].includes(chartType)) {
+        } else if (['line', 'area'].includes(chartType) || isOrderedAxis) {
             // For sequential charts (like time series), sort by the label to maintain a logical order.
-            allItems.sort(([a], [b]) => {
-                const dateA = new Date(a);
-                const dateB = new Date(b);
-
-                // If labels can be parsed as valid dates, sort chronologically.
-                if (!isNaN(dateA.getTime()) && !isNaN(dateB.getTime())) {
-                    return dateA - dateB;
-                }
-                
-                // Otherwise, use natural sorting for strings containing numbers (e.g., "Q1", "Q10").
-                return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
-            });
+            const compareLabels = getAxisComparator(meta, labelCol);
+            allItems.sort(([a], [b]) => compareLabels(a, b));
         }
         
         let labels, values;
 
         // Automatically group numerous categories into 'Other' for clarity, especially after sorting.
         const MAX_CATEGORIES_TO_DISPLAY = 20;
-        if (['bar', 'pie', 'donut'].includes(chartType) && allItems.length > MAX_CATEGORIES_TO_DISPLAY) {
+        if (['bar', 'pie', 'donut'].includes(chartType) && !isOrderedAxis && allItems.length > MAX_CATEGORIES_TO_DISPLAY) {
             const topItems = allItems.slice(0, MAX_CATEGORIES_TO_DISPLAY - 1);
             const otherItems = allItems.slice(MAX_CATEGORIES_TO_DISPLAY - 1);
             
@@ -2611,32 +8135,69 @@ function exportChart(chartId, title) {
 }
 
 // --- Data Export ---
-function exportAsCsv() {
-    if (!activeData || !activeData.data) {
-        addErrorMessageToChat('Export Failed', 'No data is available to export.');
-        return;
-    }
-    const csv = Papa.unparse(activeData.data);
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+function getExportBaseName() {
+    return (fileNameEl.textContent || 'data_export').replace(/\.[^.]+$/, '');
+}
+
+function downloadBlob(blob, fileName) {
     const link = document.createElement("a");
     const url = URL.createObjectURL(blob);
     link.setAttribute("href", url);
-    const fileName = (fileNameEl.textContent || 'data_export').replace(/\.(csv|xlsx|xls)$/, '');
-    link.setAttribute("download", `${fileName}_transformed.csv`);
+    link.setAttribute("download", fileName);
     link.style.visibility = 'hidden';
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
 }
 
+/**
+ * Downloads a { data, meta } table as CSV, with its columns in the table's order.
+ */
+function downloadAsCsv(dataObject, fileName) {
+    const csv = Papa.unparse({ fields: dataObject.meta.fields, data: dataObject.data });
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8;' }), `${fileName}.csv`);
+}
+
+/**
+ * Downloads a { data, meta } table as an Excel workbook, with its columns in the table's order.
+ */
+function downloadAsExcel(dataObject, fileName) {
+    const worksheet = XLSX.utils.json_to_sheet(dataObject.data, { header: dataObject.meta.fields });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, "Data");
+    XLSX.writeFile(workbook, `${fileName}.xlsx`);
+}
+
+function exportAsCsv() {
+    if (!activeData || !activeData.data) {
+        addErrorMessageToChat('Export Failed', 'No data is available to export.');
+        return;
+    }
+    downloadAsCsv(activeData, `${getExportBaseName()}_transformed`);
+}
+
+async function exportAsParquet() {
+    if (!activeData || !activeData.data) {
+        addErrorMessageToChat('Export Failed', 'No data is available to export.');
+        return;
+    }
+    try {
+        const { writeParquet, Table: WasmTable } = await loadParquetModule();
+        const ipcStream = tableToIPC(dataObjectToArrowTable(activeData), 'stream');
+        const parquetBytes = writeParquet(WasmTable.fromIPCStream(ipcStream));
+
+        const blob = new Blob([parquetBytes], { type: 'application/vnd.apache.parquet' });
+        downloadBlob(blob, `${getExportBaseName()}_transformed.parquet`);
+    } catch (error) {
+        addErrorMessageToChat('Export Failed', `Could not create the Parquet file. Details: ${error.message}`);
+        console.error("Parquet export error:", error);
+    }
+}
+
 function exportAsExcel() {
     if (!activeData || !activeData.data) {
         addErrorMessageToChat('Export Failed', 'No data is available to export.');
         return;
     }
-    const worksheet = XLSX.utils.json_to_sheet(activeData.data);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, "Data");
-    const fileName = (fileNameEl.textContent || 'data_export').replace(/\.(csv|xlsx|xls)$/, '');
-    XLSX.writeFile(workbook, `${fileName}_transformed.xlsx`);
+    downloadAsExcel(activeData, `${getExportBaseName()}_transformed`);
 }
@@ -0,0 +1,134 @@
+// --- Number Parsing ---
+// Reads numbers the way people write them in spreadsheets: "1.234,56 €", "(1,200)", "45%",
+// "2.5K", "12 kg". Shared by the main thread and the parse worker so that loaded rows and
+// rows streamed for exact aggregates are read the same way.
+
+const CURRENCY_SYMBOL_PATTERN = '(?:R\\$|[A-Z]{1,2}\\$|\\$|€|£|¥|₹|₩|₽|₺|₫|₱|฿|₪|₦)';
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CNY', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'BRL', 'MXN', 'ZAR', 'KRW', 'RUB', 'TRY', 'HKD', 'SGD', 'AED', 'SAR'];
+const SCALE_SUFFIXES = { k: 1e3, K: 1e3, M: 1e6, MM: 1e6, mn: 1e6, B: 1e9, bn: 1e9, T: 1e12 };
+// Besides the other punctuation mark, digits can be grouped with (non-breaking) spaces or apostrophes.
+const THOUSANDS_SEPARATORS = { '.': "[, \\u00a0\\u202f']", ',': "[. \\u00a0\\u202f']" };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const PLAIN_NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const CURRENCY = `(?:${CURRENCY_SYMBOL_PATTERN}|${CURRENCY_CODES.join('|')})`;
+const CURRENCY_TOKEN = new RegExp(`^${CURRENCY}$`);
+const SCALE = Object.keys(SCALE_SUFFIXES).sort((a, b) => b.length - a.length).join('|');
+const UNIT = '[A-Za-zµ°][A-Za-zµ°/²³]{0,5}';
+const NUMBER_TEXT = new RegExp(
+    `^(?<sign>[-+−]?)\\s*(?<prefix>${CURRENCY})?\\s*(?<innerSign>[-+−]?)\\s*` +
+    `(?<digits>\\d[\\d.,'\\u00a0\\u202f ]*\\d|\\d|[.,]\\d+)\\s*` +
+    `(?:(?<scale>${SCALE})(?![A-Za-z]))?\\s*(?<suffix>%|${CURRENCY}|${UNIT})?\\s*(?<trailingSign>[-−])?$`
+);
+const digitsPatterns = new Map();
+
+/**
+ * Builds the strict pattern a number's digits must match for a decimal separator, so that dates
+ * ("12.03.2024"), versions ("1.2.3") and ranges ("3-5") are never mistaken for numbers.
+ */
+function getDigitsPattern(decimal) {
+    if (!digitsPatterns.has(decimal)) {
+        const thousands = THOUSANDS_SEPARATORS[decimal];
+        const separator = escapeRegExp(decimal);
+        digitsPatterns.set(decimal, new RegExp(`^(?:\\d{1,3}(?:${thousands}\\d{3})+|\\d+)?(?:${separator}\\d+)?$`));
+    }
+    return digitsPatterns.get(decimal);
+}
+
+/**
+ * Parses a formatted number.
+ * @param {*} raw - The cell value.
+ * @param {string} decimal - The column's decimal separator ('.' or ',').
+ * @returns {Object|null} { value, currency, unit, percent, plain }, or null if the value is not a number.
+ *   `plain` is true when the value was already a bare number and needed no cleaning.
+ */
+export function parseNumberText(raw, decimal = '.') {
+    if (typeof raw === 'number') {
+        return Number.isFinite(raw) ? { value: raw, currency: null, unit: null, percent: false, plain: true } : null;
+    }
+    if (raw === null || raw === undefined) return null;
+    let text = String(raw).trim();
+    if (text === '') return null;
+
+    if (decimal === '.' && PLAIN_NUMBER.test(text)) {
+        return { value: Number(text), currency: null, unit: null, percent: false, plain: true };
+    }
+
+    // Accounting style wraps negatives in parentheses: "(1,200)".
+    let negative = false;
+    if (text.startsWith('(') && text.endsWith(')')) {
+        negative = true;
+        text = text.slice(1, -1).trim();
+    }
+
+    const match = text.match(NUMBER_TEXT);
+    if (!match) return null;
+    const { sign, prefix, innerSign, digits, scale, suffix, trailingSign } = match.groups;
+    if (!getDigitsPattern(decimal).test(digits)) return null;
+
+    const signs = [sign, innerSign, trailingSign].filter(Boolean);
+    if (signs.length > 1 || (negative && signs.length > 0)) return null;
+    if (signs[0] === '-' || signs[0] === '−') negative = true;
+
+    let value = Number(digits.replace(new RegExp(THOUSANDS_SEPARATORS[decimal], 'g'), '').replace(decimal, '.'));
+    if (!Number.isFinite(value)) return null;
+
+    const percent = suffix === '%';
+    if (scale) value *= SCALE_SUFFIXES[scale];
+    if (percent) value /= 100;
+    if (negative) value = -value;
+
+    const isCurrency = (token) => Boolean(token) && CURRENCY_TOKEN.test(token);
+    const currency = isCurrency(prefix) ? prefix : (isCurrency(suffix) ? suffix : null);
+    const unit = suffix && !percent && !isCurrency(suffix) ? suffix : null;
+
+    return { value, currency, unit, percent, plain: false };
+}
+
+/**
+ * Guesses whether a column writes numbers as "1,234.56" or "1.234,56".
+ * Values like "1,234" are ambiguous and are not counted.
+ * @param {Array} values - Sample values of the column.
+ * @returns {string} The decimal separator, '.' or ','.
+ */
+export function detectDecimalSeparator(values) {
+    let commaDecimal = 0;
+    let dotDecimal = 0;
+    values.forEach(value => {
+        if (typeof value !== 'string') return;
+        const core = value.match(/\d[\d.,]*\d|\d/);
+        if (!core) return;
+        const digits = core[0];
+        if (/^(\d{1,3}(\.\d{3})+|\d+),(\d{1,2}|\d{4,})$/.test(digits) || /^\d{1,3}(\.\d{3}){2,}$/.test(digits)) {
+            commaDecimal++;
+        } else if (/^(\d{1,3}(,\d{3})+|\d+)\.(\d{1,2}|\d{4,})$/.test(digits) || /^\d{1,3}(,\d{3}){2,}$/.test(digits)) {
+            dotDecimal++;
+        }
+    });
+    return commaDecimal > dotDecimal ? ',' : '.';
+}
+
+/**
+ * Builds a function that rewrites numbers written with explicit separators, e.g. "1.234,56" or
+ * "€ 1 234,56", as "1234.56" and "€ 1234.56". Used when the user picks the number format on
+ * import. Values with letters, or that don't fit the pattern (dates, versions, IDs), are returned unchanged.
+ * @param {string} decimal - The decimal separator.
+ * @param {string} thousands - The thousands separator, or '' if there is none.
+ * @returns {Function} The value normalizer.
+ */
+export function createSeparatorNormalizer(decimal, thousands) {
+    // A space separator also covers the non-breaking spaces many locales format numbers with.
+    const thousandsPattern = thousands === ' ' ? '[ \\u00a0\\u202f]' : escapeRegExp(thousands);
+    const groups = thousands ? `\\d{1,3}(?:${thousandsPattern}\\d{3})+|` : '';
+    const numberPattern = new RegExp(`^([^\\d\\p{L}]*?)(-?(?:${groups}\\d+)(?:${escapeRegExp(decimal)}\\d+)?)([^\\d\\p{L}]*)$`, 'u');
+    const thousandsRegex = thousands ? new RegExp(thousandsPattern, 'g') : null;
+
+    return (value) => {
+        if (typeof value !== 'string') return value;
+        const match = value.trim().match(numberPattern);
+        if (!match) return value;
+        const [, prefix, number, suffix] = match;
+        const plain = thousandsRegex ? number.replace(thousandsRegex, '') : number;
+        return prefix + plain.replace(decimal, '.') + suffix;
+    };
+}
@@ -0,0 +1,239 @@
+import Papa from "https://esm.run/papaparse";
+import { parseNumberText, createSeparatorNormalizer } from "./number-parsing.js";
+import { parseDateText } from "./date-parsing.js";
+
+// --- Streaming Parse Worker ---
+// Parses large delimited files off the main thread, one chunk at a time, so the UI stays
+// responsive. It can load the whole file, keep a random or stratified sample of it, or
+// compute exact group-by aggregates over every row without keeping the rows in memory.
+
+const CHUNK_SIZE = 2 * 1024 * 1024; // 2MB of text per chunk
+const MIN_ROWS_PER_STRATUM = 20; // Every group of a stratified sample gets at least this many rows
+const MAX_STRATA = 1000; // Groups beyond this are only represented through the random part
+
+self.onmessage = (e) => {
+    const message = e.data;
+    if (message.type === 'parse') {
+        parseFile(message.file, message.options);
+    } else if (message.type === 'aggregate') {
+        aggregateFile(message.file, message.options, message.params, message.numberFormats || {}, message.dateFormats || {}, message.timeZone);
+    }
+};
+
+function isFilledCell(cell) {
+    return cell !== null && cell !== undefined && String(cell).trim() !== '';
+}
+
+/**
+ * Streams a file through Papa in chunks, reporting progress after each one.
+ * Rows before options.dataStartRow (skipped lines and the header) are dropped and the rest are
+ * turned into records using the columns the import dialog resolved.
+ * @param {File} file - The file to read.
+ * @param {Object} options - { delimiter, quoteChar, encoding, dataStartRow, columns, decimal, thousands }.
+ * @param {Function} onRows - Called with each chunk's records and the index of its first record.
+ * @param {Function} onDone - Called with the header fields and the total record count.
+ */
+function streamRows(file, options, onRows, onDone) {
+    const { dataStartRow = 0, columns = [], decimal = '.', thousands = ',' } = options;
+    const normalize = decimal !== '.' || thousands !== ',' ? createSeparatorNormalizer(decimal, thousands) : null;
+    let rawRowCount = 0;
+    let rowCount = 0;
+
+    Papa.parse(file, {
+        skipEmptyLines: true,
+        delimiter: options.delimiter || '',
+        quoteChar: options.quoteChar || '"',
+        encoding: options.encoding || '',
+        chunkSize: CHUNK_SIZE,
+        chunk: (results) => {
+            const rows = [];
+            results.data.forEach(cells => {
+                if (rawRowCount++ < dataStartRow) return;
+                if (!columns.some(({ index }) => isFilledCell(cells[index]))) return;
+                const record = {};
+                columns.forEach(({ name, index }) => {
+                    const value = cells[index] === undefined ? '' : cells[index];
+                    record[name] = normalize ? normalize(value) : value;
+                });
+                rows.push(record);
+            });
+
+            onRows(rows, rowCount);
+            rowCount += rows.length;
+            self.postMessage({
+                type: 'progress',
+                loaded: Math.min(results.meta.cursor, file.size),
+                total: file.size,
+                rows: rowCount
+            });
+        },
+        complete: () => onDone(columns.map(col => col.name), rowCount),
+        error: (error) => self.postMessage({ type: 'error', message: error.message })
+    });
+}
+
+/**
+ * Keeps a uniform random sample of a stream of unknown length (Algorithm R).
+ */
+function createReservoir(capacity) {
+    const items = [];
+    let seen = 0;
+    return {
+        items,
+        add(item) {
+            seen++;
+            if (items.length < capacity) {
+                items.push(item);
+            } else {
+                const j = Math.floor(Math.random() * seen);
+                if (j < capacity) items[j] = item;
+            }
+        }
+    };
+}
+
+function parseFile(file, options) {
+    const { mode = 'full', sampleSize, stratifyColumn } = options;
+
+    const allRows = [];
+    const reservoir = createReservoir(sampleSize);
+    const strata = new Map(); // value -> { count, reservoir }
+
+    streamRows(file, options, (rows, firstIndex) => {
+        rows.forEach((row, offset) => {
+            if (mode === 'full') {
+                allRows.push(row);
+                return;
+            }
+            const item = { index: firstIndex + offset, row };
+            reservoir.add(item);
+
+            if (mode === 'stratified') {
+                const value = String(row[stratifyColumn] ?? '');
+                let stratum = strata.get(value);
+                if (!stratum && strata.size < MAX_STRATA) {
+                    stratum = { count: 0, reservoir: createReservoir(MIN_ROWS_PER_STRATUM) };
+                    strata.set(value, stratum);
+                }
+                if (stratum) {
+                    stratum.count++;
+                    stratum.reservoir.add(item);
+                }
+            }
+        });
+    }, (fields, totalRows) => {
+        if (mode === 'full') {
+            self.postMessage({ type: 'complete', fields, data: allRows, totalRows });
+            return;
+        }
+
+        const picked = new Set(reservoir.items);
+        if (mode === 'stratified') {
+            // Top up groups the random sample under-represents, so small groups are never lost.
+            const pickedPerStratum = new Map();
+            reservoir.items.forEach(({ row }) => {
+                const value = String(row[stratifyColumn] ?? '');
+                pickedPerStratum.set(value, (pickedPerStratum.get(value) || 0) + 1);
+            });
+            strata.forEach((stratum, value) => {
+                let missing = Math.min(MIN_ROWS_PER_STRATUM, stratum.count) - (pickedPerStratum.get(value) || 0);
+                for (const item of stratum.reservoir.items) {
+                    if (missing <= 0) break;
+                    if (!picked.has(item)) {
+                        picked.add(item);
+                        missing--;
+                    }
+                }
+            });
+        }
+
+        // Restore file order so time series still read naturally.
+        const data = Array.from(picked).sort((a, b) => a.index - b.index).map(item => item.row);
+        self.postMessage({ type: 'complete', fields, data, totalRows });
+    });
+}
+
+/**
+ * Reads a raw value the way the loaded sample saw it: columns that were cleaned on load are
+ * parsed in their number format, the rest as the aggregate step would.
+ */
+function toNumber(value, format) {
+    if (format) {
+        const parsed = parseNumberText(value, format.decimal);
+        return parsed ? parsed.value : NaN;
+    }
+    return parseFloat(String(value).replace(/,/g, ''));
+}
+
+/**
+ * Computes a group-by aggregation over every row of the file, mirroring the
+ * semantics of the planner's 'aggregate' step.
+ * @param {Object} numberFormats - The number formats detected when the sample was cleaned.
+ * @param {Object} dateFormats - The date formats detected when the sample was cleaned, so that
+ *   date keys group the way the sample's ISO dates do.
+ * @param {string} timeZone - The timezone date-times without an offset are read in.
+ */
+function aggregateFile(file, options, params, numberFormats, dateFormats, timeZone) {
+    const groupByCols = params.groupBy ? (Array.isArray(params.groupBy) ? params.groupBy : [params.groupBy]) : [];
+    const aggregations = params.aggregations || [];
+    const groups = new Map();
+
+    streamRows(file, options, (rows) => {
+        rows.forEach(row => {
+            const keyParts = groupByCols.map(col => {
+                if (!dateFormats[col]) return row[col];
+                const iso = parseDateText(row[col], dateFormats[col], timeZone);
+                return iso === null ? row[col] : iso;
+            });
+            if (groupByCols.length > 0 && keyParts.some(k => k === undefined || k === null)) return;
+            const key = groupByCols.length > 0 ? keyParts.join('::') : 'ALL';
+
+            let group = groups.get(key);
+            if (!group) {
+                group = { keyValues: keyParts, aggs: {} };
+                aggregations.forEach(agg => {
+                    group.aggs[agg.newColumn] = { sum: 0, min: Infinity, max: -Infinity, count: 0 };
+                });
+                groups.set(key, group);
+            }
+
+            aggregations.forEach(agg => {
+                const stats = group.aggs[agg.newColumn];
+                const value = row[agg.column];
+                if (agg.type === 'count') {
+                    if (value !== undefined && value !== null && value !== '') stats.count++;
+                    return;
+                }
+                const num = toNumber(value, numberFormats[agg.column]);
+                if (!isNaN(num)) {
+                    stats.sum += num;
+                    stats.min = Math.min(stats.min, num);
+                    stats.max = Math.max(stats.max, num);
+                    stats.count++;
+                }
+            });
+        });
+    }, (fields, totalRows) => {
+        const data = [];
+        groups.forEach(group => {
+            const row = {};
+            groupByCols.forEach((col, i) => {
+                const num = Number(group.keyValues[i]);
+                row[col] = group.keyValues[i] !== '' && !isNaN(num) ? num : group.keyValues[i];
+            });
+            aggregations.forEach(agg => {
+                const stats = group.aggs[agg.newColumn];
+                switch (agg.type) {
+                    case 'sum': row[agg.newColumn] = stats.sum; break;
+                    case 'average': row[agg.newColumn] = stats.count > 0 ? stats.sum / stats.count : 0; break;
+                    case 'min': row[agg.newColumn] = stats.min === Infinity ? null : stats.min; break;
+                    case 'max': row[agg.newColumn] = stats.max === -Infinity ? null : stats.max; break;
+                    case 'count': row[agg.newColumn] = stats.count; break;
+                    default: row[agg.newColumn] = 0;
+                }
+            });
+            data.push(row);
+        });
+        self.postMessage({ type: 'complete', data, totalRows });
+    });
+}